@@ -0,0 +1,219 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { listSources, getSource } from "./sources/index.js";
+import { configFromDraft, draftFromConfig } from "./configForm.js";
+import { REFRESH_MINUTES } from "./persistence.js";
+import { cacheKey, writeCache } from "./responseCache.js";
+import { describeError, isAbort } from "./errors.js";
+import ConfigFields from "./ConfigFields.jsx";
+import useFocusTrap from "./useFocusTrap.js";
+
+const PREVIEW_COUNT = 3;
+const PREVIEW_DELAY_MS = 600;
+
+function SourceBadge({ meta }) {
+  return (
+    <div
+      className="flex h-8 w-8 flex-shrink-0 items-center justify-center rounded text-lg font-bold text-white"
+      style={{ background: meta.badgeBg }}
+    >
+      {meta.badge}
+    </div>
+  );
+}
+
+function Catalog({ onPick }) {
+  return (
+    <ul className="grid gap-2 sm:grid-cols-2">
+      {listSources().map((s, i) => (
+        <li key={s.type}>
+          <button
+            type="button"
+            onClick={() => onPick(s.type)}
+            autoFocus={i === 0}
+            className="flex h-full w-full items-start gap-3 rounded-xl border border-[#2a3b4d] bg-[#182430] p-3 text-left transition-colors hover:border-[#137fec]/60 focus:border-[#137fec] focus:outline-none"
+          >
+            <SourceBadge meta={s.meta} />
+            <span className="min-w-0">
+              <span className="block text-sm font-bold text-white">{s.meta.name}</span>
+              <span className="mt-0.5 block text-xs text-slate-400">{s.meta.description || s.meta.subtitle}</span>
+            </span>
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+/** First page for the draft config, debounced; the response is cached so the new column opens instantly. */
+function usePreview(type, config, enabled) {
+  const [preview, setPreview] = useState({ loading: false, items: [], error: null });
+  const key = JSON.stringify(config);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const source = getSource(type);
+    const controller = new AbortController();
+    setPreview((p) => ({ ...p, loading: true, error: null }));
+    const timer = setTimeout(() => {
+      source
+        .fetch({ config, cursor: source.initialCursor, signal: controller.signal })
+        .then((res) => {
+          writeCache(cacheKey(type, config, source.initialCursor), res);
+          setPreview({ loading: false, items: res.items.slice(0, PREVIEW_COUNT), error: null });
+        })
+        .catch((e) => {
+          if (!isAbort(e)) setPreview({ loading: false, items: [], error: describeError(e, source) });
+        });
+    }, PREVIEW_DELAY_MS);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+    // `key` stands in for `config`, which is a new object on every render.
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [type, key, enabled]);
+
+  return preview;
+}
+
+function ConfigureSource({ type, onBack, onAdd }) {
+  const source = getSource(type);
+  const [draft, setDraft] = useState(() => draftFromConfig(type));
+  const [refreshMinutes, setRefreshMinutes] = useState(0);
+  const [touched, setTouched] = useState(false);
+  const { config, errors } = useMemo(() => configFromDraft(type, draft), [type, draft]);
+  const valid = Object.keys(errors).length === 0;
+  const preview = usePreview(type, config, valid);
+  const Card = source.Card;
+  const formRef = useRef(null);
+
+  useEffect(() => {
+    formRef.current?.querySelector("input, select, button")?.focus();
+  }, []);
+
+  function submit(e) {
+    e.preventDefault();
+    setTouched(true);
+    if (valid) onAdd({ type, config, refreshMinutes });
+  }
+
+  return (
+    <form ref={formRef} onSubmit={submit} className="grid gap-4 md:grid-cols-[240px_1fr]">
+      <div className="space-y-2">
+        <div className="mb-3 flex items-center gap-3">
+          <SourceBadge meta={source.meta} />
+          <div>
+            <div className="text-sm font-bold text-white">{source.meta.name}</div>
+            <div className="text-xs text-slate-400">{source.meta.subtitle}</div>
+          </div>
+        </div>
+        {source.configFields.length ? null : (
+          <p className="text-xs text-slate-400">This source has no settings.</p>
+        )}
+        <ConfigFields
+          fields={source.configFields}
+          draft={draft}
+          errors={touched ? errors : {}}
+          idPrefix="add-column"
+          onChange={(k, v) => {
+            setTouched(true);
+            setDraft((d) => ({ ...d, [k]: v }));
+          }}
+        />
+        <label className="block">
+          <span className="mb-1 block text-xs text-slate-400">Auto-refresh</span>
+          <select
+            value={refreshMinutes}
+            onChange={(e) => setRefreshMinutes(Number(e.target.value))}
+            className="w-full rounded-lg border border-[#2a3b4d] bg-[#101922] px-2 py-1 text-xs text-slate-200 outline-none focus:border-[#137fec]/60"
+          >
+            {REFRESH_MINUTES.map((m) => (
+              <option key={m} value={m}>
+                {m ? `every ${m} min` : "off"}
+              </option>
+            ))}
+          </select>
+        </label>
+        <div className="flex justify-between gap-2 pt-2">
+          <button
+            type="button"
+            onClick={onBack}
+            className="rounded-lg px-2 py-1 text-xs text-slate-400 hover:bg-white/5 hover:text-slate-200"
+          >
+            ← All sources
+          </button>
+          <button
+            type="submit"
+            disabled={touched && !valid}
+            className="rounded-lg bg-[#137fec] px-3 py-1 text-xs font-medium text-white hover:bg-[#0f6bd0] disabled:opacity-50"
+          >
+            Add column
+          </button>
+        </div>
+      </div>
+
+      <section aria-label="Preview" aria-live="polite" className="min-w-0">
+        <div className="mb-2 text-xs font-semibold uppercase tracking-wide text-slate-500">Preview</div>
+        <div className="custom-scrollbar max-h-[50vh] space-y-2 overflow-y-auto rounded-xl bg-[#0c131a] p-2">
+          {!valid ? <div className="p-2 text-xs text-slate-400">Fix the highlighted settings to see a preview.</div> : null}
+          {valid && preview.loading && !preview.items.length ? (
+            <div className="p-2 text-xs text-slate-300">Loading preview…</div>
+          ) : null}
+          {valid && preview.error ? (
+            <div className="rounded-lg border border-red-400/30 bg-red-500/10 p-2 text-xs text-red-100/80">
+              {preview.error.message}
+            </div>
+          ) : null}
+          {valid && !preview.loading && !preview.error && !preview.items.length ? (
+            <div className="p-2 text-xs text-slate-400">No items for these settings.</div>
+          ) : null}
+          {valid && !preview.error
+            ? preview.items.map((it, idx) => <Card key={it.id} item={it} index={idx} />)
+            : null}
+        </div>
+      </section>
+    </form>
+  );
+}
+
+/** Modal source catalog → per-source settings with a live preview → onAdd({ type, config, refreshMinutes }). */
+export default function AddColumnDialog({ onAdd, onClose }) {
+  const [type, setType] = useState(null);
+  const dialogRef = useRef(null);
+  useFocusTrap(dialogRef, onClose);
+
+  return (
+    <div className="fixed inset-0 z-40 flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black/50" onClick={onClose} />
+      <div
+        ref={dialogRef}
+        className="relative flex max-h-full w-full max-w-3xl flex-col rounded-2xl border border-[#2a3b4d] bg-[#101922] text-left shadow-2xl"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="add-column-title"
+        tabIndex={-1}
+      >
+        <div className="flex flex-shrink-0 items-center justify-between border-b border-[#2a3b4d] p-4">
+          <h2 id="add-column-title" className="text-sm font-bold text-white">
+            {type ? `Add ${getSource(type).meta.name} column` : "Add column"}
+          </h2>
+          <button
+            type="button"
+            onClick={onClose}
+            className="rounded p-1.5 text-slate-400 transition-colors hover:bg-white/5 hover:text-white"
+            aria-label="Close"
+          >
+            ✕
+          </button>
+        </div>
+        <div className="custom-scrollbar overflow-y-auto p-4">
+          {type ? (
+            <ConfigureSource key={type} type={type} onBack={() => setType(null)} onAdd={onAdd} />
+          ) : (
+            <Catalog onPick={setType} />
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,199 @@
+import { useMemo } from "react";
+import { distribution, topDomains, topTerms, volumeByHour } from "./analytics.js";
+import { getSource } from "./sources/index.js";
+
+function Panel({ title, subtitle, children }) {
+  return (
+    <section className="rounded-xl border border-[#2a3b4d] bg-[#182430] p-4">
+      <h3 className="text-sm font-bold text-white">{title}</h3>
+      {subtitle ? <p className="text-xs text-slate-400">{subtitle}</p> : null}
+      <div className="mt-3">{children}</div>
+    </section>
+  );
+}
+
+function Empty() {
+  return <div className="text-xs text-slate-500">Not enough data yet.</div>;
+}
+
+/** Horizontal bars; rows become buttons (click, Enter or Space) when `onSelect` is given. */
+function BarList({ rows, color = "#137fec", onSelect }) {
+  if (!rows.length) return <Empty />;
+  const max = Math.max(...rows.map((r) => r.count));
+  const rowH = 22;
+  const labelW = 150;
+  const width = 420;
+  // Selectable rows are focusable buttons so filtering works from the keyboard too.
+  const rowProps = (r) =>
+    onSelect
+      ? {
+          role: "button",
+          tabIndex: 0,
+          "aria-label": `Filter by “${r.label}” (${r.count})`,
+          className:
+            "cursor-pointer outline-none [&:focus-visible_rect]:opacity-80 [&:focus-visible_text]:fill-white [&:hover_rect]:opacity-80 [&:hover_text]:fill-white",
+          onClick: () => onSelect(r.label),
+          onKeyDown: (e) => {
+            if (e.key !== "Enter" && e.key !== " ") return;
+            e.preventDefault();
+            onSelect(r.label);
+          },
+        }
+      : { role: "listitem" };
+  return (
+    <svg viewBox={`0 0 ${width} ${rows.length * rowH}`} className="w-full" role={onSelect ? "group" : "list"}>
+      {rows.map((r, i) => {
+        const barW = ((width - labelW - 36) * r.count) / max;
+        const y = i * rowH;
+        return (
+          <g key={r.label} transform={`translate(0 ${y})`} {...rowProps(r)}>
+            <title>{onSelect ? `Filter by “${r.label}”` : `${r.label}: ${r.count}`}</title>
+            <text x={labelW - 8} y={rowH / 2 + 4} textAnchor="end" className="fill-slate-300 text-[11px]">
+              {r.label.length > 22 ? `${r.label.slice(0, 21)}…` : r.label}
+            </text>
+            <rect x={labelW} y={4} width={Math.max(barW, 2)} height={rowH - 8} rx={3} fill={color} />
+            <text x={labelW + barW + 6} y={rowH / 2 + 4} className="fill-slate-400 text-[10px]">
+              {r.count}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+function Histogram({ bins, color }) {
+  if (!bins.some((b) => b.count)) return <Empty />;
+  const max = Math.max(...bins.map((b) => b.count));
+  const width = 420;
+  const height = 140;
+  const barW = width / bins.length;
+  return (
+    <svg viewBox={`0 0 ${width} ${height + 20}`} className="w-full">
+      {bins.map((b, i) => {
+        const h = (height - 14) * (b.count / max);
+        return (
+          <g key={b.label}>
+            <title>{`${b.label}: ${b.count}`}</title>
+            <rect x={i * barW + 3} y={height - h} width={barW - 6} height={h} rx={2} fill={color} />
+            {b.count ? (
+              <text x={i * barW + barW / 2} y={height - h - 3} textAnchor="middle" className="fill-slate-400 text-[9px]">
+                {b.count}
+              </text>
+            ) : null}
+            <text x={i * barW + barW / 2} y={height + 14} textAnchor="middle" className="fill-slate-500 text-[9px]">
+              {b.label}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+function HourChart({ volume, sources }) {
+  const totals = volume.buckets.map((b) => Object.values(b).reduce((n, c) => n + c, 0));
+  if (!totals.some(Boolean)) return <Empty />;
+  const max = Math.max(...totals);
+  const width = 840;
+  const height = 150;
+  const hours = volume.buckets.length;
+  const barW = width / hours;
+  return (
+    <>
+      <svg viewBox={`0 0 ${width} ${height + 20}`} className="w-full">
+        {volume.buckets.map((bucket, i) => {
+          // Oldest hour on the left, current hour on the right.
+          const x = (hours - 1 - i) * barW;
+          let y = height;
+          return (
+            <g key={i}>
+              <title>{`${i === 0 ? "This hour" : `${i}h ago`}: ${totals[i]} items`}</title>
+              {sources.map((type) => {
+                const n = bucket[type] || 0;
+                if (!n) return null;
+                const h = (height - 4) * (n / max);
+                y -= h;
+                return <rect key={type} x={x + 2} y={y} width={barW - 4} height={h} fill={getSource(type)?.meta.badgeBg} />;
+              })}
+              {i % 6 === 0 ? (
+                <text x={x + barW / 2} y={height + 14} textAnchor="middle" className="fill-slate-500 text-[10px]">
+                  {i === 0 ? "now" : `-${i}h`}
+                </text>
+              ) : null}
+            </g>
+          );
+        })}
+      </svg>
+      <div className="mt-2 flex flex-wrap items-center gap-3 text-xs text-slate-400">
+        {sources.map((type) => (
+          <span key={type} className="flex items-center gap-1">
+            <span className="h-2 w-2 rounded-sm" style={{ background: getSource(type)?.meta.badgeBg }} />
+            {getSource(type)?.meta.name || type}
+          </span>
+        ))}
+        {volume.older ? <span className="ml-auto">{volume.older} older items not shown</span> : null}
+      </div>
+    </>
+  );
+}
+
+/** Charts over every item loaded in the column store (not filtered by the search box). */
+export default function AnalyticsView({ items, onSelectTerm }) {
+  const stats = useMemo(() => {
+    const hn = items.filter((it) => it.source === "hn");
+    const reddit = items.filter((it) => it.source === "reddit");
+    return {
+      ...topTerms(items),
+      volume: volumeByHour(items),
+      sources: Array.from(new Set(items.map((it) => it.source))),
+      hnScores: distribution(hn, "score"),
+      hnComments: distribution(hn, "comments"),
+      redditScores: distribution(reddit, "score"),
+      redditComments: distribution(reddit, "comments"),
+      domains: topDomains(items),
+    };
+  }, [items]);
+
+  const hnColor = getSource("hn")?.meta.badgeBg;
+  const redditColor = getSource("reddit")?.meta.badgeBg;
+
+  return (
+    <div className="custom-scrollbar h-full overflow-y-auto">
+      <div className="mx-auto grid max-w-6xl gap-4 p-4 text-left lg:grid-cols-2">
+        <div className="flex items-baseline gap-2 lg:col-span-2">
+          <h2 className="text-sm font-bold text-white">Analytics</h2>
+          <span className="text-xs text-slate-500">{items.length} loaded items · select a term to filter</span>
+        </div>
+        <Panel title="Trending terms" subtitle="Words recurring across titles">
+          <BarList rows={stats.terms} onSelect={onSelectTerm} />
+        </Panel>
+        <Panel title="Trending phrases" subtitle="Recurring word pairs">
+          <BarList rows={stats.bigrams} color="#8b5cf6" onSelect={onSelectTerm} />
+        </Panel>
+        <div className="lg:col-span-2">
+          <Panel title="Volume by hour" subtitle="Items per source over the last 24 hours">
+            <HourChart volume={stats.volume} sources={stats.sources} />
+          </Panel>
+        </div>
+        <Panel title="Hacker News scores">
+          <Histogram bins={stats.hnScores} color={hnColor} />
+        </Panel>
+        <Panel title="Hacker News comments">
+          <Histogram bins={stats.hnComments} color={hnColor} />
+        </Panel>
+        <Panel title="Reddit scores">
+          <Histogram bins={stats.redditScores} color={redditColor} />
+        </Panel>
+        <Panel title="Reddit comments">
+          <Histogram bins={stats.redditComments} color={redditColor} />
+        </Panel>
+        <div className="lg:col-span-2">
+          <Panel title="Top domains" subtitle="Most-linked hosts">
+            <BarList rows={stats.domains} color="#10b981" onSelect={onSelectTerm} />
+          </Panel>
+        </div>
+      </div>
+    </div>
+  );
+}
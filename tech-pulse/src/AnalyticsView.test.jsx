@@ -0,0 +1,54 @@
+// @vitest-environment jsdom
+import { afterEach, beforeAll, describe, expect, it, vi } from "vitest";
+import { act } from "react";
+import { createRoot } from "react-dom/client";
+import AnalyticsView from "./AnalyticsView.jsx";
+
+const items = [
+  { id: "a", source: "hn", title: "Kubernetes operators explained", host: "example.com", date: new Date() },
+  { id: "b", source: "reddit", title: "Kubernetes on a budget", host: "example.com", date: new Date() },
+  { id: "c", source: "hn", title: "Rust async in practice", host: "rust-lang.org", date: new Date() },
+];
+
+let container;
+let root;
+
+function render(ui) {
+  container = document.createElement("div");
+  document.body.appendChild(container);
+  root = createRoot(container);
+  act(() => root.render(ui));
+}
+
+const termButton = (label) => container.querySelector(`[role=button][aria-label^="Filter by “${label}”"]`);
+
+beforeAll(() => {
+  globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+});
+
+afterEach(() => {
+  act(() => root.unmount());
+  container.remove();
+});
+
+describe("AnalyticsView term lists", () => {
+  it("renders selectable terms as focusable buttons", () => {
+    render(<AnalyticsView items={items} onSelectTerm={() => {}} />);
+    const row = termButton("kubernetes");
+    expect(row).not.toBeNull();
+    expect(row.getAttribute("tabindex")).toBe("0");
+  });
+
+  it("calls onSelect with the term on click, Enter and Space", () => {
+    const onSelectTerm = vi.fn();
+    render(<AnalyticsView items={items} onSelectTerm={onSelectTerm} />);
+    const row = termButton("kubernetes");
+
+    act(() => row.dispatchEvent(new MouseEvent("click", { bubbles: true })));
+    act(() => row.dispatchEvent(new KeyboardEvent("keydown", { key: "Enter", bubbles: true })));
+    act(() => row.dispatchEvent(new KeyboardEvent("keydown", { key: " ", bubbles: true })));
+    act(() => row.dispatchEvent(new KeyboardEvent("keydown", { key: "a", bubbles: true })));
+
+    expect(onSelectTerm.mock.calls).toEqual([["kubernetes"], ["kubernetes"], ["kubernetes"]]);
+  });
+});
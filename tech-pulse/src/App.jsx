@@ -1,4 +1,31 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useReducer, useRef, useState } from "react";
+import { columnSubtitle, getSource, normalizeConfig } from "./sources/index.js";
+import { COLUMN_WIDTH, REFRESH_MINUTES, clampColumnWidth, loadLayout, saveLayout } from "./persistence.js";
+import Icon from "./Icon.jsx";
+import ThreadPanel from "./ThreadPanel.jsx";
+import AddColumnDialog from "./AddColumnDialog.jsx";
+import BoardsPanel from "./BoardsPanel.jsx";
+import SettingsPanel from "./SettingsPanel.jsx";
+import ConfigFields from "./ConfigFields.jsx";
+import ColumnItem from "./ColumnItem.jsx";
+import TimelineView from "./TimelineView.jsx";
+import SavedView from "./SavedView.jsx";
+import useSavedItems from "./useSavedItems.js";
+import NotificationsPanel from "./NotificationsPanel.jsx";
+import useAlerts from "./useAlerts.js";
+import AnalyticsView from "./AnalyticsView.jsx";
+import usePolling from "./usePolling.js";
+import useVirtualList from "./useVirtualList.js";
+import { formatRelative, moveItem } from "./utils.js";
+import { configFromDraft, draftFromConfig } from "./configForm.js";
+import { createBoard, duplicateBoard, newColumnId, uniqueBoardName } from "./boards.js";
+import { applyOpeningUrl, boardStateUrl, readUrlState, sameBoardState } from "./urlState.js";
+import { clusterItems, relatedItems } from "./clusters.js";
+import { compileQuery } from "./query.js";
+import useSearchIndex from "./useSearchIndex.js";
+import { HighlightContext, highlightPattern } from "./searchHighlight.js";
+import { createColumnLoader } from "./columnLoader.js";
+import { columnStoreReducer, initColumnStore, selectLoadedItems, selectVisibleByColumn } from "./columnStore.js";
 
 /**
  * Tech Pulse — Multi-Source Content Dashboard (SPA)
@@ -8,438 +35,346 @@ import React, { useEffect, useMemo, useRef, useState } from "react";
  * - Hacker News (Algolia)  ✅ no key
  * - Reddit public JSON     ✅ no key
  * - NASA APOD              ✅ DEMO_KEY
- * Optional addable column:
+ * Optional addable columns:
  * - Quotable               ✅ no key
+ * - RSS 2.0 / Atom feeds   ✅ no key (feed must allow CORS)
+ * - Product Hunt           🔑 token held by a proxy (VITE_PRODUCT_HUNT_PROXY)
+ * - GitHub                 ✅ no key (optional token proxy, VITE_GITHUB_PROXY)
+ *
+ * Each source is an adapter in ./sources (fetch client + card renderer).
  */
 
 // ---------------------------
-// Meta + utils
+// UI pieces
 // ---------------------------
 
-const SOURCE_META = {
-  hn: { name: "Hacker News", subtitle: "Top Stories", badge: "Y", badgeBg: "#ff6600" },
-  reddit: { name: "Reddit", subtitle: "r/startups + r/technology", badge: "r", badgeBg: "#FF4500" },
-  nasa: { name: "NASA", subtitle: "Astronomy Picture of the Day", badge: "N", badgeBg: "#137fec" },
-  quote: { name: "Quotes", subtitle: "Daily Inspiration", badge: "Q", badgeBg: "#8b5cf6" },
-};
+function Tooltip({ label }) {
+  return (
+    <span className="pointer-events-none absolute left-14 z-50 whitespace-nowrap rounded bg-gray-900 px-2 py-1 text-xs text-white opacity-0 transition-opacity group-hover:opacity-100">
+      {label}
+    </span>
+  );
+}
 
-function isoToDate(iso) {
-  const d = new Date(iso);
-  return Number.isNaN(d.getTime()) ? null : d;
+function sidebarButtonClass(active) {
+  return active
+    ? "group relative rounded-xl bg-[#137fec]/10 p-3 text-[#137fec]"
+    : "group relative rounded-xl p-3 text-slate-400 transition-colors hover:bg-[#182430] hover:text-[#137fec]";
 }
 
-function formatRelative(d) {
-  if (!d) return "";
-  const ms = Date.now() - d.getTime();
-  const s = Math.floor(ms / 1000);
-  if (s < 60) return `${s}s ago`;
-  const m = Math.floor(s / 60);
-  if (m < 60) return `${m}m ago`;
-  const h = Math.floor(m / 60);
-  if (h < 24) return `${h}h ago`;
-  const days = Math.floor(h / 24);
-  return `${days}d ago`;
+/** Shows the countdown to `error.retryAt`; the retry itself is scheduled by ColumnRetrier. */
+function ErrorBanner({ title, error, onRetry, onDismiss }) {
+  const [now, setNow] = useState(() => Date.now());
+  const retryAt = error.retryAt;
+
+  useEffect(() => {
+    if (!retryAt) return undefined;
+    const tick = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(tick);
+  }, [retryAt]);
+
+  const secondsLeft = retryAt ? Math.max(0, Math.ceil((retryAt - now) / 1000)) : 0;
+
+  return (
+    <div className="rounded-xl border border-red-400/30 bg-red-500/10 p-3">
+      <div className="flex items-start justify-between gap-3">
+        <div className="min-w-0">
+          <div className="text-sm font-semibold text-red-200">{title}</div>
+          <div className="mt-1 text-xs text-red-100/80">{error.message}</div>
+        </div>
+        <button
+          type="button"
+          onClick={onDismiss}
+          className="rounded-lg px-2 py-1 text-xs text-red-100/80 hover:bg-red-500/10"
+          aria-label="Dismiss"
+        >
+          ✕
+        </button>
+      </div>
+      <div className="mt-2 flex items-center gap-2 text-[11px] text-red-100/70">
+        <button
+          type="button"
+          onClick={onRetry}
+          className="rounded-lg border border-red-400/30 px-2 py-0.5 text-red-100/90 hover:bg-red-500/10"
+        >
+          Retry now
+        </button>
+        {retryAt ? <span aria-live="polite">Retrying in {secondsLeft}s</span> : null}
+      </div>
+      {error.details ? (
+        <details className="mt-2 text-[11px] text-red-100/70">
+          <summary className="cursor-pointer select-none">Details</summary>
+          <pre className="mt-1 whitespace-pre-wrap break-all font-mono">{error.details}</pre>
+        </details>
+      ) : null}
+    </div>
+  );
 }
 
-function hostFromUrl(u) {
-  try {
-    return new URL(u).host.replace(/^www\./, "");
-  } catch {
-    return "";
+function ColumnSettings({ col, onApply, onClose }) {
+  const fields = getSource(col.type).configFields;
+  const [draft, setDraft] = useState(() => draftFromConfig(col.type, col.config));
+  const [refreshMinutes, setRefreshMinutes] = useState(col.refreshMinutes || 0);
+  const [errors, setErrors] = useState({});
+
+  function submit(e) {
+    e.preventDefault();
+    const next = configFromDraft(col.type, draft, col.config);
+    setErrors(next.errors);
+    if (!Object.keys(next.errors).length) onApply({ config: next.config, refreshMinutes });
   }
-}
 
-function clampText(s, max = 180) {
-  if (!s) return "";
-  const t = String(s).replace(/\s+/g, " ").trim();
-  return t.length > max ? t.slice(0, max - 1) + "…" : t;
+  const inputClass =
+    "w-full rounded-lg border border-[#2a3b4d] bg-[#101922] px-2 py-1 text-xs text-slate-200 placeholder:text-slate-500 outline-none focus:border-[#137fec]/60";
+
+  return (
+    <form
+      onSubmit={submit}
+      className="absolute right-2 top-14 z-30 w-64 space-y-2 rounded-xl border border-[#2a3b4d] bg-[#0c131a] p-3 text-left shadow-xl"
+    >
+      <ConfigFields
+        fields={fields}
+        draft={draft}
+        errors={errors}
+        idPrefix={`settings-${col.id}`}
+        onChange={(k, v) => setDraft((d) => ({ ...d, [k]: v }))}
+      />
+      <label className="block">
+        <span className="mb-1 block text-xs text-slate-400">Auto-refresh</span>
+        <select value={refreshMinutes} onChange={(e) => setRefreshMinutes(Number(e.target.value))} className={inputClass}>
+          {REFRESH_MINUTES.map((m) => (
+            <option key={m} value={m}>
+              {m ? `every ${m} min` : "off"}
+            </option>
+          ))}
+        </select>
+      </label>
+      <div className="flex justify-end gap-2 pt-1">
+        <button
+          type="button"
+          onClick={onClose}
+          className="rounded-lg px-2 py-1 text-xs text-slate-400 hover:bg-white/5 hover:text-slate-200"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          className="rounded-lg border border-[#2a3b4d] bg-white/5 px-2 py-1 text-xs text-slate-200 hover:bg-white/10"
+        >
+          Apply
+        </button>
+      </div>
+    </form>
+  );
 }
 
-function safeUrl(u) {
-  try {
-    return new URL(u).toString();
-  } catch {
-    return "";
-  }
+const itemKey = (it) => it.id;
+
+// Alt+Shift+arrows select words in text fields (e.g. the settings form), so they aren't column shortcuts there.
+function isTextEntry(el) {
+  return Boolean(el?.isContentEditable) || ["INPUT", "TEXTAREA", "SELECT"].includes(el?.tagName);
 }
 
-function formatScore(n) {
-  if (typeof n !== "number") return "0";
-  if (n >= 1000) return `${(n / 1000).toFixed(1)}k`;
-  return String(n);
+/** Background refresh for one column. App renders one per column so polling keeps running in every view. */
+function ColumnPoller({ colId, refreshMinutes, onPoll }) {
+  usePolling((refreshMinutes || 0) * 60 * 1000, () => onPoll(colId));
+  return null;
 }
 
-// ---------------------------
-// API clients
-// ---------------------------
+/** Automatic retry at the failed load's `retryAt`. Rendered by App, like ColumnPoller, so it runs in every view. */
+function ColumnRetrier({ colId, error, onRetry }) {
+  const retryRef = useRef(onRetry);
+  const retryAt = error?.retryAt;
+  const mode = error?.mode;
 
-async function fetchHN({ query, page, daysBack, signal }) {
-  const base = "https://hn.algolia.com/api/v1/search_by_date";
-  const params = new URLSearchParams();
-  params.set("tags", "story");
-  params.set("hitsPerPage", "20");
-  params.set("page", String(page));
-  if (query && query.trim()) params.set("query", query.trim());
-
-  if (daysBack !== "all") {
-    const nowSec = Math.floor(Date.now() / 1000);
-    const backSec =
-      daysBack === "24h" ? 24 * 3600 : daysBack === "7d" ? 7 * 24 * 3600 : 30 * 24 * 3600;
-    const minSec = nowSec - backSec;
-    params.set("numericFilters", `created_at_i>${minSec}`);
-  }
-
-  const res = await fetch(`${base}?${params.toString()}`, {
-    signal,
-    headers: { Accept: "application/json" },
-  });
-  if (!res.ok) throw new Error(`HN request failed (${res.status})`);
-  const data = await res.json();
-
-  const items = (data.hits || []).map((h) => {
-    const url = safeUrl(h.url || (h.objectID ? `https://news.ycombinator.com/item?id=${h.objectID}` : ""));
-    return {
-      id: `hn_${h.objectID}`,
-      source: "hn",
-      title: h.title || "(Untitled)",
-      url,
-      date: isoToDate(h.created_at),
-      summary: clampText(h.story_text || "", 140),
-      score: typeof h.points === "number" ? h.points : 0,
-      comments: typeof h.num_comments === "number" ? h.num_comments : 0,
-      author: h.author || "",
-      host: hostFromUrl(url),
-    };
+  useEffect(() => {
+    retryRef.current = onRetry;
   });
 
-  const hasMore = typeof data.nbPages === "number" ? page + 1 < data.nbPages : false;
-  return { items, nextPage: page + 1, hasMore };
+  useEffect(() => {
+    if (!retryAt) return undefined;
+    const fire = setTimeout(() => retryRef.current(colId, mode), Math.max(0, retryAt - Date.now()));
+    return () => clearTimeout(fire);
+  }, [colId, retryAt, mode]);
+
+  return null;
 }
 
-async function fetchReddit({ query, after, signal }) {
-  const base = "https://www.reddit.com/r/technology+startups/hot.json";
-  const params = new URLSearchParams();
-  params.set("limit", "15");
-  params.set("raw_json", "1");
-  if (after) params.set("after", after);
-
-  const res = await fetch(`${base}?${params.toString()}`, {
-    signal,
-    headers: {
-      Accept: "application/json",
-      "User-Agent": "TechPulseDashboard/1.0 (portfolio project)",
+function ColumnShell({
+  col,
+  items,
+  loading,
+  stale,
+  cachedAt,
+  notice,
+  error,
+  onRefresh,
+  onRetry,
+  onDismissError,
+  onLoadMore,
+  hasMore,
+  onRemove,
+  onConfigChange,
+  onOpenThread,
+  saved,
+  onToggleSaved,
+  pendingCount,
+  onShowPending,
+  clusters,
+  index,
+  columnCount,
+  draggingId,
+  onDragStart,
+  onDragEnd,
+  onDropColumn,
+  onMove,
+  onResize,
+}) {
+  const source = getSource(col.type);
+  const meta = source.meta;
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const scrollRef = useRef(null);
+  const listRef = useRef(null);
+  const rootRef = useRef(null);
+  const gripRef = useRef(null);
+  const resizeRef = useRef(null); // { pointerId, x, width } while the handle is dragged
+  const [liveWidth, setLiveWidth] = useState(null);
+  const [dropSide, setDropSide] = useState(null); // "before" | "after" while another column hovers
+  const width = liveWidth ?? col.width;
+
+  // Only cards near the viewport are mounted; scrolling close to the end loads the next page.
+  const { rows, total, measure } = useVirtualList({
+    items,
+    keyOf: itemKey,
+    scrollRef,
+    listRef,
+    onNearEnd: () => {
+      if (hasMore && !loading && !error) onLoadMore();
     },
   });
-  if (!res.ok) throw new Error(`Reddit request failed (${res.status})`);
-  const data = await res.json();
-
-  const children = data?.data?.children || [];
-  let mapped = children
-    .map((c) => c?.data)
-    .filter(Boolean)
-    .map((p) => {
-      const url = safeUrl(p.url_overridden_by_dest || (p.permalink ? `https://www.reddit.com${p.permalink}` : ""));
-      const thumb = safeUrl((p.preview?.images?.[0]?.source?.url || "").replace(/&amp;/g, "&"));
-      return {
-        id: `rd_${p.id}`,
-        source: "reddit",
-        title: p.title || "(Untitled)",
-        url,
-        date: typeof p.created_utc === "number" ? new Date(p.created_utc * 1000) : null,
-        summary: clampText(p.selftext || "", 160),
-        score: typeof p.ups === "number" ? p.ups : 0,
-        comments: typeof p.num_comments === "number" ? p.num_comments : 0,
-        author: p.author || "",
-        subreddit: p.subreddit_name_prefixed || "",
-        imageUrl: thumb || "",
-        host: hostFromUrl(url),
-      };
-    });
 
-  const q = (query || "").trim().toLowerCase();
-  if (q) {
-    mapped = mapped.filter((it) => `${it.title} ${it.summary} ${it.subreddit}`.toLowerCase().includes(q));
-  }
+  // ---- Reordering ----
 
-  const nextAfter = data?.data?.after || null;
-  return { items: mapped, nextAfter, hasMore: Boolean(nextAfter) };
-}
+  function move(to) {
+    if (to < 0 || to >= columnCount) return;
+    onMove(col.id, to);
+    // React moves the node, which can drop focus; keep the grip focused for repeated moves.
+    requestAnimationFrame(() => gripRef.current?.focus());
+  }
 
-async function fetchNASA({ signal }) {
-  const base = "https://api.nasa.gov/planetary/apod";
-  const params = new URLSearchParams({ api_key: import.meta.env.VITE_NASA_API_KEY || "McO1EuGGc6maPIowuhkdYGWxkJsYQgozNVAkRvYR" });
-  const res = await fetch(`${base}?${params.toString()}`, { signal });
-  if (!res.ok) throw new Error(`NASA APOD request failed (${res.status})`);
-  const d = await res.json();
-
-  const url = safeUrl(d.url || "");
-  const hd = safeUrl(d.hdurl || "");
-  const bestImage = d.media_type === "image" ? hd || url : "";
-
-  return {
-    items: [
-      {
-        id: `nasa_${d.date || "apod"}`,
-        source: "nasa",
-        title: d.title || "Astronomy Picture of the Day",
-        url: url || "https://apod.nasa.gov/",
-        date: d.date ? isoToDate(`${d.date}T00:00:00Z`) : null,
-        summary: clampText(d.explanation || "", 240),
-        author: d.copyright || "NASA",
-        imageUrl: bestImage,
-        score: 0,
-        comments: 0,
-        host: "api.nasa.gov",
-      },
-    ],
-    hasMore: false,
-  };
-}
+  function handleKeyDown(e) {
+    if (!e.altKey || !e.shiftKey || isTextEntry(e.target)) return;
+    if (e.key === "ArrowLeft" || e.key === "ArrowRight") {
+      e.preventDefault();
+      move(index + (e.key === "ArrowLeft" ? -1 : 1));
+    }
+  }
 
-async function fetchQuote({ signal }) {
-  const res = await fetch("https://api.quotable.io/random", { signal });
-  if (!res.ok) throw new Error(`Quote request failed (${res.status})`);
-  const q = await res.json();
-  return {
-    items: [
-      {
-        id: `quote_${q._id}`,
-        source: "quote",
-        title: q.author ? `Quote by ${q.author}` : "Quote",
-        url: "",
-        date: q.dateAdded ? isoToDate(q.dateAdded) : null,
-        summary: `“${q.content}”`,
-        author: q.author || "",
-        host: "quotable.io",
-        tags: Array.isArray(q.tags) ? q.tags : [],
-        score: 0,
-        comments: 0,
-      },
-    ],
-    hasMore: false,
-  };
-}
+  function handleGripKeyDown(e) {
+    if (e.altKey || e.shiftKey) return; // handled by the column-wide shortcut
+    if (e.key === "ArrowLeft" || e.key === "ArrowRight") {
+      e.preventDefault();
+      move(index + (e.key === "ArrowLeft" ? -1 : 1));
+    } else if (e.key === "Home" || e.key === "End") {
+      e.preventDefault();
+      move(e.key === "Home" ? 0 : columnCount - 1);
+    }
+  }
 
-// ---------------------------
-// UI pieces
-// ---------------------------
+  function handleDragStart(e) {
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", col.id);
+    if (rootRef.current) e.dataTransfer.setDragImage(rootRef.current, 24, 24);
+    onDragStart(col.id);
+  }
 
-function Icon({ name, className = "" }) {
-  const common = "w-5 h-5";
-  if (name === "columns")
-    return (
-      <svg className={`${common} ${className}`} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-        <rect x="3" y="4" width="7" height="16" rx="1" />
-        <rect x="14" y="4" width="7" height="16" rx="1" />
-      </svg>
-    );
-  if (name === "trend")
-    return (
-      <svg className={`${common} ${className}`} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-        <path d="M3 17l6-6 4 4 7-7" />
-        <path d="M14 8h6v6" />
-      </svg>
-    );
-  if (name === "bookmark")
-    return (
-      <svg className={`${common} ${className}`} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-        <path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z" />
-      </svg>
-    );
-  if (name === "bell")
-    return (
-      <svg className={`${common} ${className}`} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-        <path d="M18 8a6 6 0 10-12 0c0 7-3 7-3 7h18s-3 0-3-7" />
-        <path d="M13.73 21a2 2 0 0 1-3.46 0" />
-      </svg>
-    );
-  if (name === "settings")
-    return (
-      <svg className={`${common} ${className}`} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-        <path d="M12 15.5A3.5 3.5 0 1 0 12 8.5a3.5 3.5 0 0 0 0 7z" />
-        <path d="M19.4 15a7.8 7.8 0 0 0 .1-1l2-1.5-2-3.5-2.4.5a7.5 7.5 0 0 0-1.7-1L15 4h-6l-.4 2.5a7.5 7.5 0 0 0-1.7 1L4.5 7 2.5 10.5 4.5 12a7.8 7.8 0 0 0 0 2L2.5 15.5 4.5 19l2.4-.5a7.5 7.5 0 0 0 1.7 1L9 22h6l.4-2.5a7.5 7.5 0 0 0 1.7-1l2.4.5 2-3.5-2-1.5z" />
-      </svg>
-    );
-  if (name === "search")
-    return (
-      <svg className={`${common} ${className}`} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-        <circle cx="11" cy="11" r="7" />
-        <path d="M20 20l-3.5-3.5" />
-      </svg>
-    );
-  if (name === "refresh")
-    return (
-      <svg className={`${common} ${className}`} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-        <path d="M21 12a9 9 0 1 1-3-6.7" />
-        <path d="M21 3v6h-6" />
-      </svg>
-    );
-  if (name === "add")
-    return (
-      <svg className={`${common} ${className}`} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-        <path d="M12 5v14" />
-        <path d="M5 12h14" />
-      </svg>
-    );
-  return null;
-}
+  function handleDragOver(e) {
+    if (!draggingId || draggingId === col.id) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "move";
+    const rect = rootRef.current.getBoundingClientRect();
+    setDropSide(e.clientX < rect.left + rect.width / 2 ? "before" : "after");
+  }
 
-function Tooltip({ label }) {
-  return (
-    <span className="pointer-events-none absolute left-14 z-50 whitespace-nowrap rounded bg-gray-900 px-2 py-1 text-xs text-white opacity-0 transition-opacity group-hover:opacity-100">
-      {label}
-    </span>
-  );
-}
+  function handleDrop(e) {
+    if (!draggingId || draggingId === col.id) return;
+    e.preventDefault();
+    onDropColumn(draggingId, col.id, dropSide === "after");
+    setDropSide(null);
+  }
 
-function ErrorBanner({ title, message, onDismiss }) {
-  return (
-    <div className="rounded-xl border border-red-400/30 bg-red-500/10 p-3">
-      <div className="flex items-start justify-between gap-3">
-        <div>
-          <div className="text-sm font-semibold text-red-200">{title}</div>
-          <div className="mt-1 text-xs text-red-100/80">{message}</div>
-        </div>
-        <button
-          type="button"
-          onClick={onDismiss}
-          className="rounded-lg px-2 py-1 text-xs text-red-100/80 hover:bg-red-500/10"
-          aria-label="Dismiss"
-        >
-          ✕
-        </button>
-      </div>
-    </div>
-  );
-}
+  // ---- Resizing ----
 
-function ColumnItem({ item, index }) {
-  if (item.source === "nasa") {
-    return (
-      <article className="cursor-pointer rounded-lg border border-white/5 bg-[#202c3a] p-3 transition-colors hover:bg-[#253341]">
-        <div className="flex items-start gap-3">
-          <span className="mt-0.5 text-sm font-bold text-[#137fec]">{index + 1}.</span>
-          <div className="min-w-0 flex-1">
-            <h3 className="line-clamp-2 text-sm font-semibold text-slate-100">
-              <a className="hover:text-[#137fec]" href={item.url} target="_blank" rel="noreferrer">
-                {item.title}
-              </a>
-            </h3>
-            {item.imageUrl ? (
-              <div className="mt-2 overflow-hidden rounded-lg border border-white/10">
-                <img src={item.imageUrl} alt={item.title} className="h-28 w-full object-cover" loading="lazy" />
-              </div>
-            ) : null}
-            <p className="mt-2 line-clamp-3 text-xs text-slate-300/80">{item.summary}</p>
-            <div className="mt-2 text-[11px] text-slate-400">
-              {item.date ? formatRelative(item.date) : ""}{item.author ? ` • ${item.author}` : ""}
-            </div>
-          </div>
-        </div>
-      </article>
-    );
+  function startResize(e) {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    resizeRef.current = { pointerId: e.pointerId, x: e.clientX, width: rootRef.current.offsetWidth };
   }
 
-  if (item.source === "quote") {
-    return (
-      <article className="rounded-lg border border-white/5 bg-[#202c3a] p-3">
-        <div className="flex items-start gap-3">
-          <span className="mt-0.5 text-sm font-bold text-[#137fec]">{index + 1}.</span>
-          <div className="min-w-0 flex-1">
-            <h3 className="text-sm font-semibold text-slate-100">{item.title}</h3>
-            <p className="mt-2 text-xs text-slate-300/90">{item.summary}</p>
-            <div className="mt-2 text-[11px] text-slate-400">
-              {item.author ? `— ${item.author}` : ""}
-              {item.date ? ` • ${formatRelative(item.date)}` : ""}
-            </div>
-          </div>
-        </div>
-      </article>
-    );
+  function trackResize(e) {
+    const start = resizeRef.current;
+    if (!start || start.pointerId !== e.pointerId) return;
+    setLiveWidth(clampColumnWidth(start.width + e.clientX - start.x));
   }
 
-  if (item.source === "reddit") {
-    return (
-      <article className="group cursor-pointer rounded-lg border border-white/5 bg-[#202c3a] p-3 transition-colors hover:bg-[#253341]">
-        <div className="flex gap-3">
-          <div className="flex min-w-[26px] flex-col items-center gap-1 pt-1">
-            <span className="text-xs font-bold text-slate-200/90">{formatScore(item.score)}</span>
-          </div>
-          <div className="min-w-0 flex-1">
-            <div className="mb-1 flex items-center gap-2">
-              {item.subreddit ? (
-                <span className="rounded bg-white/10 px-1.5 py-0.5 text-[10px] font-bold text-slate-100">
-                  {item.subreddit}
-                </span>
-              ) : null}
-              {item.date ? <span className="text-[10px] text-slate-400">{formatRelative(item.date)}</span> : null}
-            </div>
-            <h3 className="mb-2 line-clamp-2 text-sm font-medium text-slate-100 group-hover:text-[#137fec]">
-              <a href={item.url} target="_blank" rel="noreferrer">
-                {item.title}
-              </a>
-            </h3>
-            {item.imageUrl ? (
-              <div className="relative mb-2 h-28 w-full overflow-hidden rounded-lg">
-                <img src={item.imageUrl} alt={item.title} className="h-full w-full object-cover" loading="lazy" />
-                <div className="absolute inset-0 bg-gradient-to-t from-black/60 to-transparent" />
-              </div>
-            ) : item.summary ? (
-              <p className="mb-2 line-clamp-3 text-xs text-slate-300/70">{item.summary}</p>
-            ) : null}
-            <div className="flex items-center gap-3 text-xs text-slate-400">
-              <span>{item.comments ?? 0} comments</span>
-              {item.author ? <span>by {item.author}</span> : null}
-            </div>
-          </div>
-        </div>
-      </article>
-    );
+  function endResize(e) {
+    const start = resizeRef.current;
+    if (!start || start.pointerId !== e.pointerId) return;
+    resizeRef.current = null;
+    if (liveWidth !== null) onResize(col.id, liveWidth);
+    setLiveWidth(null);
   }
 
-  // HN default
-  return (
-    <article className="group cursor-pointer rounded-lg border border-white/5 bg-[#202c3a] p-3 transition-colors hover:bg-[#253341]">
-      <div className="flex items-start gap-3">
-        <span className="mt-0.5 text-sm font-bold text-[#137fec]">{index + 1}.</span>
-        <div className="min-w-0 flex-1">
-          <h3 className="line-clamp-2 text-sm font-medium text-slate-100 group-hover:text-[#137fec]">
-            <a href={item.url} target="_blank" rel="noreferrer">
-              {item.title}
-            </a>
-          </h3>
-          <div className="mt-2 flex flex-wrap items-center gap-2 text-xs text-slate-400">
-            <span className="flex items-center gap-1">↑ {formatScore(item.score)}</span>
-            <span>•</span>
-            <span>{item.comments ?? 0} comments</span>
-            {item.host ? (
-              <>
-                <span>•</span>
-                <span>{item.host}</span>
-              </>
-            ) : null}
-          </div>
-          <div className="mt-1 text-xs text-slate-400">
-            {item.date ? formatRelative(item.date) : ""}
-            {item.author ? (
-              <>
-                {" "}by <span className="text-slate-200/80">{item.author}</span>
-              </>
-            ) : null}
-          </div>
-        </div>
-      </div>
-    </article>
-  );
-}
+  function handleResizeKeyDown(e) {
+    const current = width ?? rootRef.current.offsetWidth;
+    const next = {
+      ArrowLeft: current - COLUMN_WIDTH.step,
+      ArrowRight: current + COLUMN_WIDTH.step,
+      Home: COLUMN_WIDTH.min,
+      End: COLUMN_WIDTH.max,
+    }[e.key];
+    if (next === undefined) return;
+    e.preventDefault();
+    onResize(col.id, clampColumnWidth(next));
+  }
 
-function ColumnShell({ col, items, loading, error, onRefresh, onLoadMore, hasMore, onRemove }) {
-  const meta = SOURCE_META[col.type];
+  const dropIndicator =
+    dropSide === "before"
+      ? "before:absolute before:-left-2.5 before:inset-y-0 before:w-1 before:rounded before:bg-[#137fec]"
+      : dropSide === "after"
+        ? "after:absolute after:-right-2.5 after:inset-y-0 after:w-1 after:rounded after:bg-[#137fec]"
+        : "";
 
   return (
-    <div className="flex h-full w-[380px] flex-shrink-0 flex-col rounded-xl border border-[#2a3b4d] bg-[#182430] shadow-sm md:w-[420px]">
+    <div
+      ref={rootRef}
+      onKeyDown={handleKeyDown}
+      onDragOver={handleDragOver}
+      onDragLeave={(e) => {
+        if (!e.currentTarget.contains(e.relatedTarget)) setDropSide(null);
+      }}
+      onDrop={handleDrop}
+      style={width ? { width } : undefined}
+      className={`relative flex h-full flex-shrink-0 flex-col rounded-xl border border-[#2a3b4d] bg-[#182430] shadow-sm ${
+        width ? "" : "w-[380px] md:w-[420px]"
+      } ${draggingId === col.id ? "opacity-50" : ""} ${dropIndicator}`}
+    >
       <div className="flex flex-shrink-0 items-center justify-between border-b border-[#2a3b4d] p-4">
-        <div className="flex items-center gap-3">
+        <div className="flex min-w-0 items-center gap-3">
+          <button
+            ref={gripRef}
+            type="button"
+            draggable
+            onDragStart={handleDragStart}
+            onDragEnd={() => onDragEnd()}
+            onKeyDown={handleGripKeyDown}
+            className="-ml-2 cursor-grab rounded p-0.5 text-slate-500 hover:bg-white/5 hover:text-slate-300 active:cursor-grabbing"
+            aria-label={`Move ${meta.name} column (position ${index + 1} of ${columnCount}; arrow keys move it)`}
+            title="Drag to reorder · ←/→ or Alt+Shift+←/→ to move"
+          >
+            <Icon name="grip" className="h-4 w-4" />
+          </button>
           <div
             className="flex h-8 w-8 items-center justify-center rounded text-lg font-bold text-white"
             style={{ background: meta.badgeBg }}
@@ -448,10 +383,32 @@ function ColumnShell({ col, items, loading, error, onRefresh, onLoadMore, hasMor
           </div>
           <div>
             <h2 className="text-sm font-bold text-white">{meta.name}</h2>
-            <p className="text-xs text-slate-400">{meta.subtitle}</p>
+            <p className="text-xs text-slate-400">
+              {columnSubtitle(col)}
+              {stale && cachedAt ? (
+                <span
+                  className="ml-2 rounded bg-amber-500/15 px-1.5 py-0.5 text-[10px] font-medium text-amber-300"
+                  title={loading ? "Showing cached results while refreshing" : "Showing cached results; refresh failed"}
+                >
+                  cached {formatRelative(new Date(cachedAt))}
+                </span>
+              ) : null}
+            </p>
           </div>
         </div>
         <div className="flex items-center gap-1">
+          <button
+            onClick={() => setSettingsOpen((o) => !o)}
+            className={`rounded p-1.5 transition-colors hover:bg-white/5 hover:text-[#137fec] ${
+              settingsOpen ? "text-[#137fec]" : "text-slate-400"
+            }`}
+            type="button"
+            aria-label="Column settings"
+            aria-expanded={settingsOpen}
+            title="Column settings"
+          >
+            <Icon name="settings" className="h-4 w-4" />
+          </button>
           <button
             onClick={onRefresh}
             className="rounded p-1.5 text-slate-400 transition-colors hover:bg-white/5 hover:text-[#137fec]"
@@ -472,20 +429,73 @@ function ColumnShell({ col, items, loading, error, onRefresh, onLoadMore, hasMor
         </div>
       </div>
 
-      <div className="custom-scrollbar flex-1 space-y-2 overflow-y-auto p-2">
+      {settingsOpen ? (
+        <ColumnSettings
+          col={col}
+          onClose={() => setSettingsOpen(false)}
+          onApply={(patch) => {
+            setSettingsOpen(false);
+            onConfigChange(col.id, patch);
+          }}
+        />
+      ) : null}
+
+      <div ref={scrollRef} className="custom-scrollbar relative flex-1 space-y-2 overflow-y-auto p-2">
+        {pendingCount ? (
+          <div className="sticky top-0 z-10 flex justify-center">
+            <button
+              type="button"
+              onClick={() => onShowPending(col.id)}
+              className="rounded-full bg-[#137fec] px-3 py-1 text-xs font-medium text-white shadow-lg shadow-[#137fec]/30 hover:bg-[#0f6bd0]"
+            >
+              ↑ {pendingCount} new {pendingCount === 1 ? "item" : "items"}
+            </button>
+          </div>
+        ) : null}
+
         {loading && items.length === 0 ? (
           <div className="rounded-lg border border-white/5 bg-[#202c3a] p-4 text-sm text-slate-300">Loading content…</div>
         ) : null}
 
         {error ? (
           <div className="p-2">
-            <ErrorBanner title={`${meta.name} unavailable`} message={error} onDismiss={onRefresh} />
+            <ErrorBanner
+              title={`${meta.name} unavailable`}
+              error={error}
+              onRetry={() => onRetry(col.id, error.mode)}
+              onDismiss={() => onDismissError(col.id)}
+            />
           </div>
         ) : null}
 
-        {items.map((it, idx) => (
-          <ColumnItem key={it.id} item={it} index={idx} />
-        ))}
+        {notice ? (
+          <div className="p-2">
+            <div className="rounded-xl border border-amber-400/30 bg-amber-500/10 px-3 py-2 text-xs text-amber-200">
+              {notice}
+            </div>
+          </div>
+        ) : null}
+
+        <div ref={listRef} className="relative" style={{ height: total }}>
+          {rows.map(({ item: it, index: idx, top }) => (
+            <div
+              key={it.id}
+              ref={measure}
+              data-key={it.id}
+              className="absolute inset-x-0 top-0 pb-2"
+              style={{ transform: `translateY(${top}px)` }}
+            >
+              <ColumnItem
+                item={it}
+                index={idx}
+                onOpenThread={onOpenThread}
+                isSaved={saved.has(it.id)}
+                onToggleSaved={onToggleSaved}
+                related={relatedItems(clusters, it)}
+              />
+            </div>
+          ))}
+        </div>
 
         {hasMore ? (
           <button
@@ -499,6 +509,26 @@ function ColumnShell({ col, items, loading, error, onRefresh, onLoadMore, hasMor
           </button>
         ) : null}
       </div>
+
+      <div
+        role="separator"
+        aria-orientation="vertical"
+        aria-label={`Resize ${meta.name} column`}
+        aria-valuemin={COLUMN_WIDTH.min}
+        aria-valuemax={COLUMN_WIDTH.max}
+        aria-valuenow={width || undefined}
+        tabIndex={0}
+        title="Drag to resize · double-click to reset"
+        onPointerDown={startResize}
+        onPointerMove={trackResize}
+        onPointerUp={endResize}
+        onPointerCancel={endResize}
+        onDoubleClick={() => onResize(col.id, null)}
+        onKeyDown={handleResizeKeyDown}
+        className={`absolute inset-y-3 -right-2 w-2 cursor-col-resize touch-none rounded focus:outline-none focus-visible:bg-[#137fec] hover:bg-[#137fec]/40 ${
+          liveWidth !== null ? "bg-[#137fec]" : ""
+        }`}
+      />
     </div>
   );
 }
@@ -507,303 +537,574 @@ function ColumnShell({ col, items, loading, error, onRefresh, onLoadMore, hasMor
 // App
 // ---------------------------
 
+// Widths change a step at a time while resizing (each arrow key press is one), too many for history entries.
+function sameIgnoringWidth(a, b) {
+  const strip = (cols) => JSON.stringify(cols.map((c) => ({ ...c, width: undefined })));
+  return a === b || strip(a) === strip(b);
+}
+
 export default function App() {
-  const [globalSearch, setGlobalSearch] = useState("");
-  const [hnQuery, setHnQuery] = useState("");
-  const [hnDaysBack, setHnDaysBack] = useState("7d");
+  // A link (?board=…&state=…) wins over the board that was open last.
+  const [initialLayout] = useState(() => applyOpeningUrl(loadLayout(), readUrlState()));
+  const [viewMode, setViewMode] = useState(initialLayout.viewMode);
 
-  const [columns, setColumns] = useState([
-    { id: "col_hn", type: "hn" },
-    { id: "col_reddit", type: "reddit" },
-    { id: "col_nasa", type: "nasa" },
-  ]);
+  const [boards, setBoards] = useState(initialLayout.boards);
+  const [activeBoardId, setActiveBoardId] = useState(initialLayout.activeBoardId);
+  const board = boards.find((b) => b.id === activeBoardId) || boards[0];
+  const { columns, globalSearch } = board;
 
-  const [store, setStore] = useState(() => ({
-    col_hn: { items: [], loading: false, error: "", page: 0, hasMore: true },
-    col_reddit: { items: [], loading: false, error: "", after: null, hasMore: true },
-    col_nasa: { items: [], loading: false, error: "", hasMore: false },
-  }));
+  function updateBoard(id, fn) {
+    setBoards((prev) => prev.map((b) => (b.id === id ? fn(b) : b)));
+  }
+
+  function setColumns(fn) {
+    updateBoard(board.id, (b) => ({ ...b, columns: fn(b.columns) }));
+  }
 
-  const abortRef = useRef(null);
+  function setGlobalSearch(value) {
+    updateBoard(board.id, (b) => ({ ...b, globalSearch: value }));
+  }
 
-  // Ensure store exists for newly added columns
+  const [store, dispatch] = useReducer(columnStoreReducer, columns, initColumnStore);
+  // Async loaders read the latest cursor from here rather than from a render's closure.
+  const storeRef = useRef(store);
   useEffect(() => {
-    setStore((prev) => {
-      const next = { ...prev };
-      for (const c of columns) {
-        if (!next[c.id]) {
-          if (c.type === "hn") next[c.id] = { items: [], loading: false, error: "", page: 0, hasMore: true };
-          if (c.type === "reddit") next[c.id] = { items: [], loading: false, error: "", after: null, hasMore: true };
-          if (c.type === "nasa") next[c.id] = { items: [], loading: false, error: "", hasMore: false };
-          if (c.type === "quote") next[c.id] = { items: [], loading: false, error: "", hasMore: false };
-        }
-      }
-      return next;
-    });
+    storeRef.current = store;
+  }, [store]);
+
+  const [threadItem, setThreadItem] = useState(null);
+  const savedItems = useSavedItems();
+  const alerts = useAlerts();
+  const [notificationsOpen, setNotificationsOpen] = useState(false);
+  const [boardsOpen, setBoardsOpen] = useState(false);
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const closeSettings = useCallback(() => setSettingsOpen(false), []);
+  const [clustering, setClustering] = useState(initialLayout.clustering);
+  const closeBoards = useCallback(() => setBoardsOpen(false), []);
+  const [draggingColumn, setDraggingColumn] = useState(null);
+  const [addColumnOpen, setAddColumnOpen] = useState(false);
+  const closeAddColumn = useCallback(() => setAddColumnOpen(false), []);
+  const closeNotifications = useCallback(() => setNotificationsOpen(false), []);
+  const closeThread = useCallback(() => setThreadItem(null), []);
+
+  // One load and one poll in flight per column; superseded responses are dropped (columnLoader.js).
+  const [loader] = useState(() =>
+    createColumnLoader({ dispatch, getEntry: (colId) => storeRef.current[colId], onItems: alerts.evaluate })
+  );
+  useEffect(() => () => loader.cancelAll(), [loader]);
+
+  // Keep one store entry per column
+  useEffect(() => {
+    dispatch({ type: "init", columns });
   }, [columns]);
 
+  useEffect(() => {
+    saveLayout({ boards, activeBoardId: board.id, viewMode, clustering });
+  }, [boards, board.id, viewMode, clustering]);
+
+  // ---- URL ----
+  // The address bar always encodes the open board (columns, configs, search, view), so it can
+  // be pasted into chat. Structural changes push a history entry; search typing, column
+  // resizing and restoring an entry replace the current one.
+  const urlSyncRef = useRef(null); // { boardId, columns, viewMode } last written, or null to replace
+
+  useEffect(() => {
+    const url = boardStateUrl(board, viewMode);
+    const last = urlSyncRef.current;
+    urlSyncRef.current = { boardId: board.id, columns: board.columns, viewMode };
+    if (sameBoardState(url, window.location.href)) return;
+    const searchOnly =
+      !last ||
+      (last.boardId === board.id && sameIgnoringWidth(last.columns, board.columns) && last.viewMode === viewMode);
+    if (searchOnly) window.history.replaceState(null, "", url);
+    else window.history.pushState(null, "", url);
+  }, [board, viewMode]);
+
+  function restoreFromUrl() {
+    const { boardId, shared } = readUrlState();
+    if (!boardId) return;
+    urlSyncRef.current = null;
+    if (!shared) {
+      if (boards.some((b) => b.id === boardId)) switchBoard(boardId);
+      return;
+    }
+    const target = shared.board;
+    setViewMode(shared.viewMode);
+    if (boards.some((b) => b.id === boardId)) {
+      updateBoard(boardId, (b) => ({ ...b, columns: target.columns, globalSearch: target.globalSearch }));
+    } else {
+      setBoards((prev) => [...prev, target]); // deleted since; bring it back
+    }
+
+    if (boardId !== board.id) {
+      loader.cancelAll();
+      setActiveBoardId(boardId);
+      refreshAll({ force: false, cols: target.columns });
+      return;
+    }
+    for (const c of columns) {
+      if (target.columns.some((t) => t.id === c.id)) continue;
+      loader.cancel(c.id);
+    }
+    for (const c of target.columns) {
+      const prev = columns.find((o) => o.id === c.id);
+      if (prev && JSON.stringify(prev.config) === JSON.stringify(c.config)) continue;
+      dispatch({ type: "add", column: c });
+      loadColumn(c.id, "refresh", c);
+    }
+  }
+
+  // popstate is subscribed once; the ref always holds this render's handler.
+  const restoreRef = useRef(restoreFromUrl);
+  useEffect(() => {
+    restoreRef.current = restoreFromUrl;
+  });
+  useEffect(() => {
+    const onPop = () => restoreRef.current();
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, []);
+
+  // ---- Boards ----
+
+  function switchBoard(id) {
+    const next = boards.find((b) => b.id === id);
+    setBoardsOpen(false);
+    if (!next || next.id === board.id) return;
+    // Nothing the old board still has in flight may land in the new board's store.
+    loader.cancelAll();
+    setActiveBoardId(id);
+    refreshAll({ force: false, cols: next.columns });
+  }
+
+  function addBoard(next) {
+    setBoards((prev) => [...prev, next]);
+    loader.cancelAll();
+    setActiveBoardId(next.id);
+    refreshAll({ force: false, cols: next.columns });
+    setBoardsOpen(false);
+  }
+
+  function renameBoard(id, name) {
+    updateBoard(id, (b) => ({ ...b, name: uniqueBoardName(boards.filter((o) => o.id !== id), name) }));
+  }
+
+  function deleteBoard(id) {
+    if (boards.length < 2) return;
+    const rest = boards.filter((b) => b.id !== id);
+    if (id === board.id) {
+      const idx = boards.findIndex((b) => b.id === id);
+      const next = rest[Math.min(idx, rest.length - 1)];
+      loader.cancelAll();
+      setActiveBoardId(next.id);
+      refreshAll({ force: false, cols: next.columns });
+    }
+    setBoards(rest);
+  }
+
+  // ---- Columns ----
+
   function removeColumn(id) {
+    loader.cancel(id);
     setColumns((prev) => prev.filter((c) => c.id !== id));
+    dispatch({ type: "remove", colId: id });
   }
 
-  function addColumn(type) {
-    const id = `col_${type}_${Math.random().toString(16).slice(2, 8)}`;
-    setColumns((prev) => [...prev, { id, type }]);
+  function addColumn({ type, config, refreshMinutes = 0 }) {
+    const id = newColumnId(type);
+    const col = { id, type, config: normalizeConfig(type, config), refreshMinutes };
+    setColumns((prev) => [...prev, col]);
+    dispatch({ type: "add", column: col });
+    setAddColumnOpen(false);
+    loadColumn(id, "refresh", col);
   }
 
-  function openAddColumnMenu() {
-    const choice = window.prompt("Add Column:\n1 = Quotes\n2 = NASA\n3 = Hacker News\n4 = Reddit\n\nEnter 1-4");
-    const map = { "1": "quote", "2": "nasa", "3": "hn", "4": "reddit" };
-    const t = map[String(choice || "").trim()];
-    if (t) addColumn(t);
+  function updateColumnSettings(id, { config, refreshMinutes }) {
+    const col = columns.find((c) => c.id === id);
+    if (!col) return;
+    const next = { ...col, config, refreshMinutes };
+    setColumns((prev) => prev.map((c) => (c.id === id ? next : c)));
+    if (JSON.stringify(config) !== JSON.stringify(col.config)) loadColumn(id, "refresh", next);
   }
 
-  async function loadColumn(colId, mode) {
+  // Background check for new first-page items; rejects on failure so the poller can back off.
+  function pollColumn(colId) {
     const col = columns.find((c) => c.id === colId);
-    if (!col) return;
+    return col ? loader.poll(col) : undefined;
+  }
 
-    setStore((p) => ({ ...p, [colId]: { ...p[colId], loading: true, error: "" } }));
-
-    try {
-      if (col.type === "hn") {
-        const currentPage = mode === "more" ? store[colId]?.page ?? 0 : 0;
-        const res = await fetchHN({ query: hnQuery, page: currentPage, daysBack: hnDaysBack, signal: abortRef.current?.signal });
-        setStore((p) => {
-          const prevItems = mode === "more" ? p[colId].items : [];
-          return {
-            ...p,
-            [colId]: { ...p[colId], items: [...prevItems, ...res.items], loading: false, error: "", page: res.nextPage, hasMore: res.hasMore },
-          };
-        });
-        return;
-      }
-
-      if (col.type === "reddit") {
-        const after = mode === "more" ? store[colId]?.after ?? null : null;
-        const res = await fetchReddit({ query: hnQuery || "", after, signal: abortRef.current?.signal });
-        setStore((p) => {
-          const prevItems = mode === "more" ? p[colId].items : [];
-          return {
-            ...p,
-            [colId]: { ...p[colId], items: [...prevItems, ...res.items], loading: false, error: "", after: res.nextAfter, hasMore: res.hasMore },
-          };
-        });
-        return;
-      }
-
-            if (!res.ok) {
-        return {
-          items: [{
-            id: "nasa_fallback",
-            source: "nasa",
-            title: "NASA APOD temporarily unavailable",
-            summary: "Rate limit reached. Please refresh later.",
-            author: "NASA",
-            date: new Date(),
-            imageUrl: "",
-            score: 0,
-            comments: 0,
-            host: "api.nasa.gov",
-          }],
-          hasMore: false,
-        };
-      }
-
-
-      if (col.type === "quote") {
-        const res = await fetchQuote({ signal: abortRef.current?.signal });
-        setStore((p) => ({ ...p, [colId]: { ...p[colId], items: res.items, loading: false, error: "", hasMore: false } }));
-        return;
-      }
-    } catch (e) {
-      const msg =
-        col.type === "reddit"
-          ? "Could not load Reddit items. If you see a CORS error locally, try a different network or deploy (CORS often differs locally vs hosted)."
-          : "Could not load content. Try Refresh.";
-      setStore((p) => ({ ...p, [colId]: { ...p[colId], loading: false, error: msg } }));
-    }
+  /** Retry whatever failed: the first page, or the next page from the current cursor. */
+  function retryColumn(colId, mode = "refresh") {
+    loadColumn(colId, mode, undefined, { force: true });
   }
 
-  async function refreshAll() {
-    if (abortRef.current) abortRef.current.abort();
-    abortRef.current = new AbortController();
+  function dismissError(colId) {
+    dispatch({ type: "dismiss", colId });
+  }
 
-    setStore((p) => {
-      const next = { ...p };
-      for (const c of columns) {
-        if (!next[c.id]) continue;
-        if (c.type === "hn") next[c.id] = { ...next[c.id], items: [], page: 0, hasMore: true, error: "", loading: true };
-        if (c.type === "reddit") next[c.id] = { ...next[c.id], items: [], after: null, hasMore: true, error: "", loading: true };
-        if (c.type === "nasa" || c.type === "quote") next[c.id] = { ...next[c.id], items: [], error: "", loading: true, hasMore: false };
-      }
-      return next;
+  function showPending(colId) {
+    dispatch({ type: "reveal", colId });
+  }
+
+  function moveColumn(id, to) {
+    setColumns((prev) => moveItem(prev, prev.findIndex((c) => c.id === id), to));
+  }
+
+  // Dropped on the left/right half of `targetId`.
+  function dropColumn(dragId, targetId, after) {
+    setColumns((prev) => {
+      const from = prev.findIndex((c) => c.id === dragId);
+      let to = prev.findIndex((c) => c.id === targetId) + (after ? 1 : 0);
+      if (from < to) to -= 1;
+      return moveItem(prev, from, to);
     });
+  }
 
-    await Promise.all(columns.map((c) => loadColumn(c.id, "refresh")));
+  /** `width` null restores the responsive default. */
+  function resizeColumn(id, width) {
+    setColumns((prev) =>
+      prev.map((c) => {
+        if (c.id !== id) return c;
+        if (width === null) {
+          const { width: _omit, ...rest } = c;
+          return rest;
+        }
+        return { ...c, width };
+      })
+    );
+  }
+
+  /**
+   * Load the first page ("refresh") or the next one ("more"), see columnLoader.js.
+   * `colOverride` lets callers load with a config that hasn't reached state yet.
+   */
+  function loadColumn(colId, mode, colOverride, { force = false } = {}) {
+    const col = colOverride || columns.find((c) => c.id === colId);
+    return col ? loader.load(col, mode, { force }) : undefined;
+  }
+
+  /** `cols` defaults to the open board; switching boards passes the incoming board's columns. */
+  async function refreshAll({ force = true, cols = columns } = {}) {
+    dispatch({ type: "reset", columns: cols });
+
+    await Promise.all(cols.map((c) => loadColumn(c.id, "refresh", c, { force })));
   }
 
   useEffect(() => {
-    refreshAll();
+    refreshAll({ force: false });
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
-  const visibleByColumn = useMemo(() => {
-    const s = globalSearch.trim().toLowerCase();
-    const out = {};
-    for (const c of columns) {
-      const bucket = store[c.id]?.items || [];
-      out[c.id] =
-        !s
-          ? bucket
-          : bucket.filter((it) =>
-              [it.title, it.summary, it.author, it.subreddit, it.host, (it.tags || []).join(" ")]
-                .filter(Boolean)
-                .join(" ")
-                .toLowerCase()
-                .includes(s)
-            );
-    }
-    return out;
-  }, [columns, store, globalSearch]);
+  const search = useSearchIndex(store);
+  const query = useMemo(() => compileQuery(globalSearch, search.index), [globalSearch, search]);
+  const highlight = useMemo(() => highlightPattern(query.highlights), [query]);
 
-  return (
-    <div className="h-screen overflow-hidden bg-[#101922] text-slate-200">
-      <div className="flex h-full">
-        {/* Sidebar */}
-        <aside className="z-20 flex w-16 flex-shrink-0 flex-col items-center border-r border-[#2a3b4d] bg-[#0c131a] py-6 md:w-20">
-          <div className="mb-8">
-            <div className="flex h-10 w-10 items-center justify-center rounded-xl bg-[#137fec] shadow-lg shadow-[#137fec]/20">
-              <span className="text-white">✺</span>
-            </div>
-          </div>
+  const visibleByColumn = useMemo(
+    () => selectVisibleByColumn(store, columns, query.match, query.score),
+    [columns, store, query]
+  );
 
-          <nav className="flex w-full flex-1 flex-col items-center gap-6">
-            <button className="group relative rounded-xl bg-[#137fec]/10 p-3 text-[#137fec]" type="button">
-              <Icon name="columns" />
-              <Tooltip label="Dashboard" />
-            </button>
-            <button className="group relative rounded-xl p-3 text-slate-400 transition-colors hover:bg-[#182430] hover:text-[#137fec]" type="button">
-              <Icon name="trend" />
-              <Tooltip label="Analytics" />
-            </button>
-            <button className="group relative rounded-xl p-3 text-slate-400 transition-colors hover:bg-[#182430] hover:text-[#137fec]" type="button">
-              <Icon name="bookmark" />
-              <Tooltip label="Saved" />
-            </button>
-            <button className="group relative rounded-xl p-3 text-slate-400 transition-colors hover:bg-[#182430] hover:text-[#137fec]" type="button">
-              <div className="absolute right-2 top-2 h-2 w-2 rounded-full bg-red-500" />
-              <Icon name="bell" />
-              <Tooltip label="Notifications" />
-            </button>
-          </nav>
+  const loadedItems = useMemo(() => selectLoadedItems(store, columns), [columns, store]);
 
-          <div className="mt-auto flex flex-col items-center gap-4">
-            <div className="h-8 w-8 overflow-hidden rounded-full border border-[#2a3b4d] bg-white/10" />
-            <button className="rounded-xl p-3 text-slate-400 transition-colors hover:bg-[#182430] hover:text-slate-200" type="button">
-              <Icon name="settings" />
-            </button>
-          </div>
-        </aside>
-
-        {/* Main */}
-        <main className="flex h-full flex-1 flex-col overflow-hidden">
-          {/* Top bar */}
-          <header className="flex h-16 flex-shrink-0 items-center justify-between border-b border-[#2a3b4d] bg-[#101922] px-4 sm:px-6">
-            <div className="flex items-center gap-4">
-              <h1 className="text-xl font-bold tracking-tight text-white">Tech Pulse</h1>
-              <div className="mx-2 hidden h-4 w-px bg-[#2a3b4d] sm:block" />
-
-              <div className="flex items-center gap-2 rounded-lg border border-transparent bg-[#182430] px-3 py-1.5 text-sm text-slate-300 transition-all focus-within:border-[#137fec]/50 focus-within:ring-1 focus-within:ring-[#137fec]/50 sm:w-96">
-                <Icon name="search" className="h-4 w-4 text-slate-400" />
-                <input
-                  className="h-full w-full border-none bg-transparent p-0 text-sm text-slate-200 placeholder:text-slate-500 outline-none focus:ring-0"
-                  placeholder="Search keywords across all sources…"
-                  value={globalSearch}
-                  onChange={(e) => setGlobalSearch(e.target.value)}
-                />
+  const clusters = useMemo(() => clusterItems(loadedItems, clustering), [loadedItems, clustering]);
+
+  function applyTermFilter(term) {
+    // A word pair goes in as two words, not a quoted phrase: the title may join them with
+    // punctuation ("Rust: Go") that the phrase wouldn't match.
+    setGlobalSearch(term);
+    setViewMode("columns");
+  }
+
+  const timelineItems = useMemo(() => columns.flatMap((c) => visibleByColumn[c.id] || []), [columns, visibleByColumn]);
+
+  return (
+    <HighlightContext.Provider value={highlight}>
+      <div className="h-screen overflow-hidden bg-[#101922] text-slate-200">
+        <div className="flex h-full">
+          {/* Sidebar */}
+          <aside className="z-20 flex w-16 flex-shrink-0 flex-col items-center border-r border-[#2a3b4d] bg-[#0c131a] py-6 md:w-20">
+            <div className="mb-8">
+              <div className="flex h-10 w-10 items-center justify-center rounded-xl bg-[#137fec] shadow-lg shadow-[#137fec]/20">
+                <span className="text-white">✺</span>
               </div>
             </div>
 
-            <div className="flex items-center gap-2">
+            <nav className="flex w-full flex-1 flex-col items-center gap-6">
               <button
-                onClick={refreshAll}
-                className="hidden items-center gap-2 rounded-lg border border-[#2a3b4d] bg-white/5 px-3 py-1.5 text-xs font-medium text-slate-200 hover:bg-white/10 sm:flex"
+                className={sidebarButtonClass(boardsOpen)}
                 type="button"
+                onClick={() => setBoardsOpen(true)}
+                aria-label={`Boards (current: ${board.name})`}
               >
-                <Icon name="refresh" className="h-4 w-4" />
-                Refresh All
+                <Icon name="layers" />
+                <Tooltip label="Boards" />
               </button>
-
               <button
-                onClick={openAddColumnMenu}
-                className="flex items-center gap-2 rounded-lg bg-[#137fec] px-3 py-1.5 text-xs font-medium text-white shadow-lg shadow-[#137fec]/20 transition-colors hover:bg-[#0f6bd0]"
+                className={sidebarButtonClass(viewMode === "columns" || viewMode === "timeline")}
                 type="button"
+                onClick={() => setViewMode("columns")}
               >
-                <Icon name="add" className="h-4 w-4" />
-                Add Column
+                <Icon name="columns" />
+                <Tooltip label="Dashboard" />
               </button>
-            </div>
-          </header>
-
-          {/* Controls row */}
-          <section className="flex flex-shrink-0 flex-wrap items-center gap-2 border-b border-[#2a3b4d] bg-[#0c131a] px-4 py-3 sm:px-6">
-            <div className="flex flex-wrap items-center gap-2">
-              <span className="text-xs text-slate-400">HN query:</span>
-              <input
-                value={hnQuery}
-                onChange={(e) => setHnQuery(e.target.value)}
-                placeholder="e.g., AI, climate, Apple"
-                className="w-44 rounded-lg border border-[#2a3b4d] bg-[#101922] px-2 py-1 text-xs text-slate-200 placeholder:text-slate-500 outline-none focus:border-[#137fec]/60"
-              />
-              <span className="text-xs text-slate-400">Window:</span>
-              <select
-                value={hnDaysBack}
-                onChange={(e) => setHnDaysBack(e.target.value)}
-                className="rounded-lg border border-[#2a3b4d] bg-[#101922] px-2 py-1 text-xs text-slate-200 outline-none"
+              <button
+                className={sidebarButtonClass(viewMode === "analytics")}
+                type="button"
+                onClick={() => setViewMode("analytics")}
               >
-                <option value="24h">24h</option>
-                <option value="7d">7d</option>
-                <option value="30d">30d</option>
-                <option value="all">all</option>
-              </select>
+                <Icon name="trend" />
+                <Tooltip label="Analytics" />
+              </button>
+              <button className={sidebarButtonClass(viewMode === "saved")} type="button" onClick={() => setViewMode("saved")}>
+                <Icon name="bookmark" />
+                <Tooltip label="Saved" />
+              </button>
               <button
+                className={sidebarButtonClass(notificationsOpen)}
                 type="button"
-                onClick={refreshAll}
-                className="ml-1 rounded-lg border border-[#2a3b4d] bg-white/5 px-2 py-1 text-xs text-slate-200 hover:bg-white/10"
+                onClick={() => setNotificationsOpen(true)}
+                aria-label={alerts.unread ? `Notifications (${alerts.unread} unread)` : "Notifications"}
               >
-                Apply
+                {alerts.unread ? (
+                  <span className="absolute right-1 top-1 flex h-4 min-w-[16px] items-center justify-center rounded-full bg-red-500 px-1 text-[10px] font-bold text-white">
+                    {alerts.unread > 99 ? "99+" : alerts.unread}
+                  </span>
+                ) : null}
+                <Icon name="bell" />
+                <Tooltip label="Notifications" />
+              </button>
+            </nav>
+
+            <div className="mt-auto flex flex-col items-center gap-4">
+              <div className="h-8 w-8 overflow-hidden rounded-full border border-[#2a3b4d] bg-white/10" />
+              <button
+                className={sidebarButtonClass(settingsOpen)}
+                type="button"
+                onClick={() => setSettingsOpen(true)}
+                aria-label="Settings"
+              >
+                <Icon name="settings" />
+                <Tooltip label="Settings" />
               </button>
             </div>
-            <div className="ml-auto text-xs text-slate-500">Global search filters fetched cards; refresh pulls new content.</div>
-          </section>
-
-          {/* Columns */}
-          <div className="flex-1 overflow-x-auto overflow-y-hidden bg-[#0c131a]">
-            <div className="flex h-full w-max min-w-full gap-4 p-4">
-              {columns.map((c) => (
-                <ColumnShell
-                  key={c.id}
-                  col={c}
-                  items={visibleByColumn[c.id] || []}
-                  loading={Boolean(store[c.id]?.loading)}
-                  error={store[c.id]?.error || ""}
-                  hasMore={Boolean(store[c.id]?.hasMore)}
-                  onRefresh={() => loadColumn(c.id, "refresh")}
-                  onLoadMore={() => loadColumn(c.id, "more")}
-                  onRemove={removeColumn}
+          </aside>
+
+          {/* Main */}
+          <main className="flex h-full flex-1 flex-col overflow-hidden">
+            {/* Top bar */}
+            <header className="flex h-16 flex-shrink-0 items-center justify-between border-b border-[#2a3b4d] bg-[#101922] px-4 sm:px-6">
+              <div className="flex items-center gap-4">
+                <h1 className="flex items-baseline gap-2 whitespace-nowrap text-xl font-bold tracking-tight text-white">
+                  Tech Pulse
+                  <button
+                    type="button"
+                    onClick={() => setBoardsOpen(true)}
+                    className="max-w-[10rem] truncate rounded px-1 text-sm font-medium text-slate-400 hover:bg-white/5 hover:text-slate-200"
+                    title="Switch board"
+                  >
+                    / {board.name}
+                  </button>
+                </h1>
+                <div className="mx-2 hidden h-4 w-px bg-[#2a3b4d] sm:block" />
+
+                <div
+                  className={`relative flex items-center gap-2 rounded-lg border bg-[#182430] px-3 py-1.5 text-sm text-slate-300 transition-all focus-within:ring-1 sm:w-96 ${
+                    query.error
+                      ? "border-red-400/50 focus-within:ring-red-400/40"
+                      : "border-transparent focus-within:border-[#137fec]/50 focus-within:ring-[#137fec]/50"
+                  }`}
+                >
+                  <Icon name="search" className="h-4 w-4 text-slate-400" />
+                  <input
+                    className="h-full w-full border-none bg-transparent p-0 text-sm text-slate-200 placeholder:text-slate-500 outline-none focus:ring-0"
+                    placeholder='Search… e.g. "open source" -crypto source:hn score:>100 age:<6h'
+                    value={globalSearch}
+                    onChange={(e) => setGlobalSearch(e.target.value)}
+                    aria-invalid={Boolean(query.error)}
+                    aria-describedby={query.error ? "search-error" : undefined}
+                    title="Words match by stem, prefix and small typos. Phrases in quotes, -exclude, OR, source: author: host: sub: tag:, score:>N, comments:>=N, age:<6h"
+                  />
+                  {query.error ? (
+                    <div
+                      id="search-error"
+                      role="status"
+                      className="absolute left-0 top-full z-30 mt-1 whitespace-nowrap rounded-md border border-red-400/30 bg-[#0c131a] px-2 py-1 text-[11px] text-red-200 shadow-lg"
+                    >
+                      {query.error.message}
+                      {query.error.start < globalSearch.length ? (
+                        <span className="ml-2 font-mono text-red-100/70">
+                          at “{globalSearch.slice(query.error.start, query.error.end)}”
+                        </span>
+                      ) : null}
+                    </div>
+                  ) : null}
+                </div>
+              </div>
+
+              <div className="flex items-center gap-2">
+                <div className="flex rounded-lg border border-[#2a3b4d] bg-white/5 p-0.5 text-xs" role="group" aria-label="View">
+                  {[
+                    ["columns", "Columns"],
+                    ["timeline", "Timeline"],
+                  ].map(([mode, label]) => (
+                    <button
+                      key={mode}
+                      type="button"
+                      onClick={() => setViewMode(mode)}
+                      aria-pressed={viewMode === mode}
+                      className={`rounded-md px-2.5 py-1 font-medium transition-colors ${
+                        viewMode === mode ? "bg-[#137fec] text-white" : "text-slate-300 hover:text-white"
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+
+                <button
+                  onClick={() => refreshAll()}
+                  className="hidden items-center gap-2 rounded-lg border border-[#2a3b4d] bg-white/5 px-3 py-1.5 text-xs font-medium text-slate-200 hover:bg-white/10 sm:flex"
+                  type="button"
+                >
+                  <Icon name="refresh" className="h-4 w-4" />
+                  Refresh All
+                </button>
+
+                <button
+                  onClick={() => setAddColumnOpen(true)}
+                  className="flex items-center gap-2 rounded-lg bg-[#137fec] px-3 py-1.5 text-xs font-medium text-white shadow-lg shadow-[#137fec]/20 transition-colors hover:bg-[#0f6bd0]"
+                  type="button"
+                >
+                  <Icon name="add" className="h-4 w-4" />
+                  Add Column
+                </button>
+              </div>
+            </header>
+
+            {/* Controls row */}
+            <section className="flex flex-shrink-0 flex-wrap items-center gap-2 border-b border-[#2a3b4d] bg-[#0c131a] px-4 py-3 sm:px-6">
+              <div className="text-xs text-slate-500">Use ⚙ on a column to set its own query, window and sources; drag ⠿ to reorder, drag the right edge to resize.</div>
+              <div className="ml-auto text-xs text-slate-500">Global search filters fetched cards; refresh pulls new content.</div>
+            </section>
+
+            {viewMode === "analytics" ? (
+              <div className="flex-1 overflow-hidden bg-[#0c131a]">
+                <AnalyticsView items={loadedItems} onSelectTerm={applyTermFilter} />
+              </div>
+            ) : viewMode === "saved" ? (
+              <div className="flex-1 overflow-hidden bg-[#0c131a]">
+                <SavedView
+                  saved={savedItems.saved}
+                  error={savedItems.error}
+                  onUpdate={savedItems.update}
+                  onRemove={savedItems.remove}
+                  onOpenThread={setThreadItem}
                 />
-              ))}
-            </div>
-          </div>
-        </main>
-      </div>
+              </div>
+            ) : viewMode === "timeline" ? (
+              <div className="flex-1 overflow-hidden bg-[#0c131a]">
+                <TimelineView
+                  items={timelineItems}
+                  score={query.score}
+                  clusters={clusters.byItemId}
+                  onOpenThread={setThreadItem}
+                  saved={savedItems.saved}
+                  onToggleSaved={savedItems.toggle}
+                />
+              </div>
+            ) : (
+              /* Columns */
+              <div className="flex-1 overflow-x-auto overflow-y-hidden bg-[#0c131a]">
+                <div className="flex h-full w-max min-w-full gap-4 p-4">
+                  {columns.length ? null : (
+                    <div className="m-auto max-w-sm text-center text-sm text-slate-400">
+                      <p>“{board.name}” has no columns yet.</p>
+                      <button
+                        type="button"
+                        onClick={() => setAddColumnOpen(true)}
+                        className="mt-3 rounded-lg bg-[#137fec] px-3 py-1.5 text-xs font-medium text-white hover:bg-[#0f6bd0]"
+                      >
+                        Add a column
+                      </button>
+                    </div>
+                  )}
+                  {columns.map((c, idx) => (
+                    <ColumnShell
+                      key={c.id}
+                      col={c}
+                      items={visibleByColumn[c.id] || []}
+                      loading={Boolean(store[c.id]?.loading)}
+                      stale={Boolean(store[c.id]?.stale)}
+                      cachedAt={store[c.id]?.cachedAt || null}
+                      notice={store[c.id]?.notice || null}
+                      error={store[c.id]?.error || null}
+                      hasMore={Boolean(store[c.id]?.hasMore)}
+                      onRefresh={() => loadColumn(c.id, "refresh", undefined, { force: true })}
+                      onRetry={retryColumn}
+                      onDismissError={dismissError}
+                      onLoadMore={() => loadColumn(c.id, "more")}
+                      onRemove={removeColumn}
+                      onConfigChange={updateColumnSettings}
+                      onOpenThread={setThreadItem}
+                      saved={savedItems.saved}
+                      onToggleSaved={savedItems.toggle}
+                      pendingCount={store[c.id]?.pending.length || 0}
+                      onShowPending={showPending}
+                      clusters={clusters.byItemId}
+                      index={idx}
+                      columnCount={columns.length}
+                      draggingId={draggingColumn}
+                      onDragStart={setDraggingColumn}
+                      onDragEnd={() => setDraggingColumn(null)}
+                      onDropColumn={dropColumn}
+                      onMove={moveColumn}
+                      onResize={resizeColumn}
+                    />
+                  ))}
+                </div>
+              </div>
+            )}
+          </main>
+        </div>
 
-      <style>{`
-        .custom-scrollbar::-webkit-scrollbar { width: 6px; }
-        .custom-scrollbar::-webkit-scrollbar-track { background: rgba(0,0,0,0.1); }
-        .custom-scrollbar::-webkit-scrollbar-thumb { background-color: #2a3b4d; border-radius: 20px; }
-        .custom-scrollbar::-webkit-scrollbar-thumb:hover { background-color: #137fec; }
-      `}</style>
-    </div>
+        {columns.map((c) => (
+          <ColumnPoller key={c.id} colId={c.id} refreshMinutes={c.refreshMinutes} onPoll={pollColumn} />
+        ))}
+        {columns.map((c) => (
+          <ColumnRetrier key={c.id} colId={c.id} error={store[c.id]?.error} onRetry={retryColumn} />
+        ))}
+
+        {threadItem ? <ThreadPanel key={threadItem.id} item={threadItem} onClose={closeThread} /> : null}
+        {notificationsOpen ? <NotificationsPanel alerts={alerts} onClose={closeNotifications} /> : null}
+        {settingsOpen ? (
+          <SettingsPanel clustering={clustering} onClusteringChange={setClustering} onClose={closeSettings} />
+        ) : null}
+        {addColumnOpen ? <AddColumnDialog onAdd={addColumn} onClose={closeAddColumn} /> : null}
+        {boardsOpen ? (
+          <BoardsPanel
+            boards={boards}
+            activeBoardId={board.id}
+            onSwitch={switchBoard}
+            onCreate={(name) => addBoard(createBoard(boards, name))}
+            onRename={renameBoard}
+            onDuplicate={(id) => addBoard(duplicateBoard(boards, boards.find((b) => b.id === id)))}
+            onDelete={deleteBoard}
+            linkFor={(b) => boardStateUrl(b, b.id === board.id ? viewMode : "columns")}
+            onClose={closeBoards}
+          />
+        ) : null}
+
+        <style>{`
+          .custom-scrollbar::-webkit-scrollbar { width: 6px; }
+          .custom-scrollbar::-webkit-scrollbar-track { background: rgba(0,0,0,0.1); }
+          .custom-scrollbar::-webkit-scrollbar-thumb { background-color: #2a3b4d; border-radius: 20px; }
+          .custom-scrollbar::-webkit-scrollbar-thumb:hover { background-color: #137fec; }
+          .thread-html p { margin-top: 0.5rem; }
+          .thread-html a { color: #137fec; text-decoration: underline; }
+          .thread-html pre { overflow-x: auto; white-space: pre; margin-top: 0.5rem; }
+          .thread-html blockquote { border-left: 2px solid #2a3b4d; padding-left: 0.5rem; color: #94a3b8; }
+        `}</style>
+      </div>
+    </HighlightContext.Provider>
   );
 }
@@ -0,0 +1,185 @@
+import { useEffect, useRef, useState } from "react";
+import useFocusTrap from "./useFocusTrap.js";
+
+const inputClass =
+  "w-full rounded-lg border border-[#2a3b4d] bg-[#101922] px-2 py-1 text-xs text-slate-200 placeholder:text-slate-500 outline-none focus:border-[#137fec]/60";
+const actionClass = "rounded px-1.5 py-0.5 text-[11px] text-slate-400 hover:bg-white/5 hover:text-slate-200";
+
+function BoardRow({ board, active, canDelete, link, onSwitch, onRename, onDuplicate, onDelete }) {
+  const [mode, setMode] = useState("idle"); // "idle" | "rename" | "confirm-delete"
+  const [name, setName] = useState(board.name);
+  const [copied, setCopied] = useState(false);
+
+  function submitRename(e) {
+    e.preventDefault();
+    if (name.trim()) onRename(board.id, name.trim());
+    setMode("idle");
+  }
+
+  async function copyLink() {
+    try {
+      await navigator.clipboard.writeText(link);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch {
+      window.prompt("Copy this link", link);
+    }
+  }
+
+  return (
+    <li className={`rounded-xl border p-3 ${active ? "border-[#137fec]/50 bg-[#137fec]/10" : "border-[#2a3b4d] bg-[#182430]"}`}>
+      {mode === "rename" ? (
+        <form onSubmit={submitRename} className="flex gap-2">
+          <input
+            autoFocus
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Escape") {
+                e.stopPropagation();
+                setName(board.name);
+                setMode("idle");
+              }
+            }}
+            className={inputClass}
+            aria-label="Board name"
+          />
+          <button type="submit" className={actionClass}>
+            Save
+          </button>
+        </form>
+      ) : (
+        <button
+          type="button"
+          onClick={() => onSwitch(board.id)}
+          aria-current={active ? "true" : undefined}
+          className="block w-full text-left"
+        >
+          <span className="block text-sm font-semibold text-white">{board.name}</span>
+          <span className="text-xs text-slate-400">
+            {board.columns.length} {board.columns.length === 1 ? "column" : "columns"}
+            {board.globalSearch ? ` · “${board.globalSearch}”` : ""}
+          </span>
+        </button>
+      )}
+
+      {mode === "confirm-delete" ? (
+        <div className="mt-2 flex items-center gap-2 text-[11px] text-red-200">
+          Delete “{board.name}”?
+          <button type="button" onClick={() => onDelete(board.id)} className="rounded px-1.5 py-0.5 hover:bg-red-500/10">
+            Delete
+          </button>
+          <button type="button" onClick={() => setMode("idle")} className={actionClass}>
+            Keep
+          </button>
+        </div>
+      ) : (
+        <div className="mt-2 flex flex-wrap gap-1">
+          <button type="button" onClick={() => setMode("rename")} className={actionClass}>
+            Rename
+          </button>
+          <button type="button" onClick={() => onDuplicate(board.id)} className={actionClass}>
+            Duplicate
+          </button>
+          <button type="button" onClick={copyLink} className={actionClass}>
+            {copied ? "Link copied" : "Copy link"}
+          </button>
+          {canDelete ? (
+            <button type="button" onClick={() => setMode("confirm-delete")} className={actionClass}>
+              Delete
+            </button>
+          ) : null}
+        </div>
+      )}
+    </li>
+  );
+}
+
+/** Flyout next to the sidebar: switch, create, rename, duplicate and delete boards. */
+export default function BoardsPanel({
+  boards,
+  activeBoardId,
+  onSwitch,
+  onCreate,
+  onRename,
+  onDuplicate,
+  onDelete,
+  linkFor,
+  onClose,
+}) {
+  const [newName, setNewName] = useState("");
+  const panelRef = useRef(null);
+  // Before the effect below, so the trap remembers the sidebar button to return focus to.
+  useFocusTrap(panelRef, onClose);
+
+  useEffect(() => {
+    panelRef.current?.querySelector("[aria-current]")?.focus();
+  }, []);
+
+  function create(e) {
+    e.preventDefault();
+    onCreate(newName);
+    setNewName("");
+  }
+
+  return (
+    <div className="fixed inset-0 z-40 flex">
+      <div className="absolute inset-0 bg-black/50" onClick={onClose} />
+      <aside
+        ref={panelRef}
+        className="relative ml-16 flex h-full w-full max-w-[320px] flex-col border-r border-[#2a3b4d] bg-[#101922] text-left shadow-2xl md:ml-20"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Boards"
+        tabIndex={-1}
+      >
+        <div className="flex flex-shrink-0 items-center justify-between border-b border-[#2a3b4d] p-4">
+          <div>
+            <h2 className="text-sm font-bold text-white">Boards</h2>
+            <p className="text-xs text-slate-400">Each board keeps its own columns and search.</p>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="rounded p-1.5 text-slate-400 transition-colors hover:bg-white/5 hover:text-white"
+            aria-label="Close boards"
+          >
+            ✕
+          </button>
+        </div>
+
+        <ul className="custom-scrollbar flex-1 space-y-2 overflow-y-auto p-4">
+          {boards.map((b) => (
+            <BoardRow
+              key={b.id}
+              board={b}
+              active={b.id === activeBoardId}
+              canDelete={boards.length > 1}
+              link={linkFor(b)}
+              onSwitch={onSwitch}
+              onRename={onRename}
+              onDuplicate={onDuplicate}
+              onDelete={onDelete}
+            />
+          ))}
+        </ul>
+
+        <form onSubmit={create} className="flex flex-shrink-0 gap-2 border-t border-[#2a3b4d] p-4">
+          <input
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder="New board name"
+            className={inputClass}
+            aria-label="New board name"
+          />
+          <button
+            type="submit"
+            className="whitespace-nowrap rounded-lg bg-[#137fec] px-3 py-1 text-xs font-medium text-white hover:bg-[#0f6bd0]"
+          >
+            Create
+          </button>
+        </form>
+      </aside>
+    </div>
+  );
+}
@@ -0,0 +1,62 @@
+import Icon from "./Icon.jsx";
+import { getSource } from "./sources/index.js";
+import { formatScore } from "./utils.js";
+
+const MAX_CHIPS = 3;
+
+function RelatedChip({ item, onOpenThread }) {
+  const source = getSource(item.source);
+  const label = `also on ${source?.meta.name || item.source}${
+    typeof item.score === "number" && item.score > 0 ? ` (${formatScore(item.score)} pts)` : ""
+  }`;
+  const className =
+    "rounded-full border border-[#2a3b4d] bg-white/5 px-2 py-0.5 text-[10px] text-slate-300 hover:border-[#137fec]/50 hover:text-white";
+  // Prefer the other discussion when the source has one; otherwise its link.
+  if (source?.fetchThread && onOpenThread) {
+    return (
+      <button type="button" onClick={() => onOpenThread(item)} className={className} title={item.title}>
+        {label}
+      </button>
+    );
+  }
+  return (
+    <a href={item.url} target="_blank" rel="noreferrer" className={className} title={item.title}>
+      {label}
+    </a>
+  );
+}
+
+export default function ColumnItem({ item, index, onOpenThread, isSaved, onToggleSaved, related = [] }) {
+  const source = getSource(item.source);
+  if (!source) return null;
+  const Card = source.Card;
+  return (
+    <div className="group/item relative">
+      <Card item={item} index={index} onOpenThread={source.fetchThread ? onOpenThread : undefined} />
+      {related.length ? (
+        <div className="mt-1 flex flex-wrap gap-1 px-1">
+          {related.slice(0, MAX_CHIPS).map((r) => (
+            <RelatedChip key={r.id} item={r} onOpenThread={onOpenThread} />
+          ))}
+          {related.length > MAX_CHIPS ? (
+            <span className="px-1 text-[10px] text-slate-500">+{related.length - MAX_CHIPS} more</span>
+          ) : null}
+        </div>
+      ) : null}
+      {onToggleSaved ? (
+        <button
+          type="button"
+          onClick={() => onToggleSaved(item)}
+          className={`absolute bottom-2 right-2 rounded p-1 transition-opacity hover:bg-white/10 focus:opacity-100 ${
+            isSaved ? "text-[#137fec] opacity-100" : "text-slate-400 opacity-0 group-hover/item:opacity-100"
+          }`}
+          aria-pressed={Boolean(isSaved)}
+          aria-label={isSaved ? "Remove from saved" : "Save item"}
+          title={isSaved ? "Remove from saved" : "Save"}
+        >
+          <Icon name={isSaved ? "bookmark-filled" : "bookmark"} className="h-4 w-4" />
+        </button>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+const inputClass =
+  "w-full rounded-lg border bg-[#101922] px-2 py-1 text-xs text-slate-200 placeholder:text-slate-500 outline-none focus:border-[#137fec]/60";
+
+/** The adapter's `configFields` as labelled inputs; hidden fields (`visibleWhen`) are skipped. */
+export default function ConfigFields({ fields, draft, errors = {}, onChange, idPrefix }) {
+  return fields
+    .filter((f) => !f.visibleWhen || f.visibleWhen(draft))
+    .map((f) => {
+      const error = errors[f.key];
+      const errorId = error ? `${idPrefix}-${f.key}-error` : undefined;
+      const className = `${inputClass} ${error ? "border-red-400/60" : "border-[#2a3b4d]"}`;
+      return (
+        <label key={f.key} className="block">
+          <span className="mb-1 block text-xs text-slate-400">{f.label}</span>
+          {f.kind === "select" ? (
+            <select value={draft[f.key]} onChange={(e) => onChange(f.key, e.target.value)} className={className}>
+              {f.options.map((o) => (
+                <option key={String(o)} value={String(o)}>
+                  {f.optionLabels?.[o] ?? String(o)}
+                </option>
+              ))}
+            </select>
+          ) : (
+            <input
+              value={draft[f.key]}
+              onChange={(e) => onChange(f.key, e.target.value)}
+              placeholder={f.placeholder}
+              aria-invalid={Boolean(error)}
+              aria-describedby={errorId}
+              className={className}
+            />
+          )}
+          {error ? (
+            <span id={errorId} className="mt-1 block text-[11px] text-red-300">
+              {error}
+            </span>
+          ) : null}
+        </label>
+      );
+    });
+}
@@ -0,0 +1,17 @@
+import { useContext } from "react";
+import { HighlightContext, highlightSegments } from "./searchHighlight.js";
+
+/** `text` with the current search terms marked. */
+export default function Highlight({ text }) {
+  const pattern = useContext(HighlightContext);
+  if (!pattern) return text;
+  return highlightSegments(text, pattern).map((seg, i) =>
+    seg.match ? (
+      <mark key={i} className="rounded-sm bg-[#137fec]/30 px-0.5 text-inherit">
+        {seg.text}
+      </mark>
+    ) : (
+      seg.text
+    )
+  );
+}
@@ -0,0 +1,222 @@
+import { useRef, useState } from "react";
+import { ruleError } from "./alerts.js";
+import { getSource, listSources } from "./sources/index.js";
+import { formatRelative, formatScore } from "./utils.js";
+import useFocusTrap from "./useFocusTrap.js";
+
+const EMPTY_RULE = { pattern: "", isRegex: false, source: "", minScore: 0, minComments: 0 };
+
+const inputClass =
+  "rounded-lg border border-[#2a3b4d] bg-[#101922] px-2 py-1 text-xs text-slate-200 placeholder:text-slate-500 outline-none focus:border-[#137fec]/60";
+
+function RuleForm({ onAdd }) {
+  const [draft, setDraft] = useState(EMPTY_RULE);
+  const [touched, setTouched] = useState(false);
+  const error = ruleError(draft);
+
+  function submit(e) {
+    e.preventDefault();
+    setTouched(true);
+    if (error) return;
+    onAdd({ ...draft, pattern: draft.pattern.trim() });
+    setDraft(EMPTY_RULE);
+    setTouched(false);
+  }
+
+  return (
+    <form onSubmit={submit} className="space-y-2 rounded-lg border border-white/5 bg-[#182430] p-3">
+      <div className="flex gap-2">
+        <input
+          value={draft.pattern}
+          onChange={(e) => setDraft((d) => ({ ...d, pattern: e.target.value }))}
+          placeholder={draft.isRegex ? "e.g., \\brust(lang)?\\b" : "Keyword, e.g., kubernetes"}
+          className={`${inputClass} flex-1`}
+          aria-label="Keyword or pattern"
+        />
+        <label className="flex items-center gap-1 text-xs text-slate-400">
+          <input
+            type="checkbox"
+            checked={draft.isRegex}
+            onChange={(e) => setDraft((d) => ({ ...d, isRegex: e.target.checked }))}
+          />
+          Regex
+        </label>
+      </div>
+      <div className="flex flex-wrap items-center gap-2 text-xs text-slate-400">
+        <select
+          value={draft.source}
+          onChange={(e) => setDraft((d) => ({ ...d, source: e.target.value }))}
+          className={inputClass}
+          aria-label="Source"
+        >
+          <option value="">Any source</option>
+          {listSources().map((s) => (
+            <option key={s.type} value={s.type}>
+              {s.meta.name}
+            </option>
+          ))}
+        </select>
+        <label className="flex items-center gap-1">
+          Score ≥
+          <input
+            type="number"
+            min="0"
+            value={draft.minScore}
+            onChange={(e) => setDraft((d) => ({ ...d, minScore: Math.max(0, Number(e.target.value) || 0) }))}
+            className={`${inputClass} w-16`}
+          />
+        </label>
+        <label className="flex items-center gap-1">
+          Comments ≥
+          <input
+            type="number"
+            min="0"
+            value={draft.minComments}
+            onChange={(e) => setDraft((d) => ({ ...d, minComments: Math.max(0, Number(e.target.value) || 0) }))}
+            className={`${inputClass} w-16`}
+          />
+        </label>
+        <button
+          type="submit"
+          className="ml-auto rounded-lg border border-[#2a3b4d] bg-white/5 px-2 py-1 text-xs text-slate-200 hover:bg-white/10"
+        >
+          Add rule
+        </button>
+      </div>
+      {touched && error ? <div className="text-xs text-red-200">{error}</div> : null}
+    </form>
+  );
+}
+
+function describeRule(rule) {
+  const parts = [rule.isRegex ? `/${rule.pattern}/i` : `“${rule.pattern}”`];
+  if (rule.source) parts.push(getSource(rule.source)?.meta.name || rule.source);
+  if (rule.minScore) parts.push(`score ≥ ${rule.minScore}`);
+  if (rule.minComments) parts.push(`comments ≥ ${rule.minComments}`);
+  return parts.join(" · ");
+}
+
+export default function NotificationsPanel({ alerts, onClose }) {
+  const panelRef = useRef(null);
+  useFocusTrap(panelRef, onClose);
+
+  const desktopSupported = typeof Notification !== "undefined";
+
+  return (
+    <div className="fixed inset-0 z-40 flex justify-end">
+      <div className="absolute inset-0 bg-black/50" onClick={onClose} />
+      <aside
+        ref={panelRef}
+        className="relative flex h-full w-full max-w-[480px] flex-col border-l border-[#2a3b4d] bg-[#101922] text-left shadow-2xl"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Notifications"
+        tabIndex={-1}
+      >
+        <div className="flex flex-shrink-0 items-center justify-between border-b border-[#2a3b4d] p-4">
+          <div>
+            <h2 className="text-sm font-bold text-white">Notifications</h2>
+            <p className="text-xs text-slate-400">{alerts.unread} unread</p>
+          </div>
+          <div className="flex items-center gap-1">
+            <button
+              type="button"
+              onClick={alerts.markAllRead}
+              className="rounded-lg px-2 py-1 text-xs text-slate-400 hover:bg-white/5 hover:text-slate-200"
+            >
+              Mark all read
+            </button>
+            <button
+              type="button"
+              onClick={alerts.clearNotifications}
+              className="rounded-lg px-2 py-1 text-xs text-slate-400 hover:bg-white/5 hover:text-slate-200"
+            >
+              Clear
+            </button>
+            <button
+              type="button"
+              onClick={onClose}
+              className="rounded p-1.5 text-slate-400 transition-colors hover:bg-white/5 hover:text-white"
+              aria-label="Close notifications"
+            >
+              ✕
+            </button>
+          </div>
+        </div>
+
+        <div className="custom-scrollbar flex-1 space-y-6 overflow-y-auto p-4">
+          <section className="space-y-2">
+            {!alerts.notifications.length ? (
+              <div className="text-sm text-slate-400">No alerts yet. Matches from new fetches show up here.</div>
+            ) : null}
+            {alerts.notifications.map((n) => {
+              const meta = getSource(n.source)?.meta;
+              return (
+                <a
+                  key={n.id}
+                  href={n.url || undefined}
+                  target="_blank"
+                  rel="noreferrer"
+                  onClick={() => alerts.markRead(n.id)}
+                  className={`block rounded-lg border p-3 transition-colors hover:bg-[#253341] ${
+                    n.read ? "border-white/5 bg-[#182430]" : "border-[#137fec]/40 bg-[#202c3a]"
+                  }`}
+                >
+                  <div className="flex items-center gap-2 text-[11px] text-slate-400">
+                    {!n.read ? <span className="h-2 w-2 rounded-full bg-[#137fec]" /> : null}
+                    <span>{meta?.name || n.source}</span>
+                    <span>•</span>
+                    <span>{formatRelative(new Date(n.firedAt))}</span>
+                    <span className="ml-auto">
+                      ↑ {formatScore(n.score)} • {n.comments} comments
+                    </span>
+                  </div>
+                  <div className="mt-1 line-clamp-2 text-sm text-slate-100">{n.title}</div>
+                  <div className="mt-1 text-[11px] text-slate-500">
+                    {n.ruleIds
+                      .map((id) => alerts.rules.find((r) => r.id === id))
+                      .filter(Boolean)
+                      .map(describeRule)
+                      .join(", ")}
+                  </div>
+                </a>
+              );
+            })}
+          </section>
+
+          <section className="space-y-2">
+            <h3 className="text-xs font-semibold uppercase tracking-wide text-slate-400">Alert rules</h3>
+            {alerts.rules.map((r) => (
+              <div key={r.id} className="flex items-center gap-2 rounded-lg border border-white/5 bg-[#182430] px-3 py-2">
+                <input
+                  type="checkbox"
+                  checked={r.enabled}
+                  onChange={(e) => alerts.updateRule(r.id, { enabled: e.target.checked })}
+                  aria-label="Rule enabled"
+                />
+                <span className={`flex-1 truncate text-xs ${r.enabled ? "text-slate-200" : "text-slate-500"}`}>
+                  {describeRule(r)}
+                </span>
+                <button
+                  type="button"
+                  onClick={() => alerts.removeRule(r.id)}
+                  className="rounded px-1.5 text-xs text-slate-400 hover:bg-white/5 hover:text-white"
+                  aria-label="Delete rule"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+            <RuleForm onAdd={alerts.addRule} />
+            {desktopSupported ? (
+              <label className="flex items-center gap-2 text-xs text-slate-400">
+                <input type="checkbox" checked={alerts.desktop} onChange={(e) => alerts.setDesktop(e.target.checked)} />
+                Also show browser notifications
+              </label>
+            ) : null}
+          </section>
+        </div>
+      </aside>
+    </div>
+  );
+}
@@ -0,0 +1,148 @@
+import { useMemo, useState } from "react";
+import ColumnItem from "./ColumnItem.jsx";
+import { normalizeTags } from "./savedItems.js";
+import { formatRelative } from "./utils.js";
+import { ITEM_FIELDS, createSearchIndex, rankItems } from "./searchIndex.js";
+import { itemSearchText } from "./query.js";
+
+// Saved records search like items, plus the user's own notes and tags.
+const SAVED_FIELDS = [
+  ...ITEM_FIELDS.map(({ weight, get }) => ({ weight, get: (r) => get(r.item) })),
+  { weight: 2, get: (r) => [r.notes, ...r.tags].join(" ") },
+];
+
+function SavedEntry({ record, onUpdate, onRemove, onOpenThread }) {
+  const [tagsDraft, setTagsDraft] = useState(record.tags.join(", "));
+  const [notesDraft, setNotesDraft] = useState(record.notes);
+
+  function commitTags() {
+    const tags = normalizeTags(tagsDraft);
+    setTagsDraft(tags.join(", "));
+    if (tags.join(",") !== record.tags.join(",")) onUpdate(record.id, { tags });
+  }
+
+  function commitNotes() {
+    if (notesDraft !== record.notes) onUpdate(record.id, { notes: notesDraft });
+  }
+
+  const inputClass =
+    "w-full rounded-lg border border-[#2a3b4d] bg-[#101922] px-2 py-1 text-xs text-slate-200 placeholder:text-slate-500 outline-none focus:border-[#137fec]/60";
+
+  return (
+    <div className="space-y-2 rounded-xl border border-[#2a3b4d] bg-[#182430] p-2">
+      <ColumnItem item={record.item} index={0} onOpenThread={onOpenThread} />
+      <div className="grid gap-2 px-1 sm:grid-cols-[1fr_2fr]">
+        <input
+          value={tagsDraft}
+          onChange={(e) => setTagsDraft(e.target.value)}
+          onBlur={commitTags}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") commitTags();
+          }}
+          placeholder="Tags (comma separated)"
+          className={inputClass}
+          aria-label="Tags"
+        />
+        <textarea
+          value={notesDraft}
+          onChange={(e) => setNotesDraft(e.target.value)}
+          onBlur={commitNotes}
+          placeholder="Notes"
+          rows={1}
+          className={`${inputClass} resize-y`}
+          aria-label="Notes"
+        />
+      </div>
+      <div className="flex items-center justify-between px-1 pb-1 text-[11px] text-slate-500">
+        <span>Saved {formatRelative(record.savedAt)}</span>
+        <button
+          type="button"
+          onClick={() => onRemove(record.id)}
+          className="rounded px-2 py-0.5 text-slate-400 hover:bg-red-500/10 hover:text-red-200"
+        >
+          Remove
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default function SavedView({ saved, error, onUpdate, onRemove, onOpenThread }) {
+  const [search, setSearch] = useState("");
+  const [activeTag, setActiveTag] = useState("");
+
+  const records = useMemo(
+    () => Array.from(saved.values()).sort((a, b) => b.savedAt.getTime() - a.savedAt.getTime()),
+    [saved]
+  );
+
+  const allTags = useMemo(() => Array.from(new Set(records.flatMap((r) => r.tags))).sort(), [records]);
+
+  // Saved items are few, so a fresh index per change is cheap.
+  const index = useMemo(() => {
+    const idx = createSearchIndex(SAVED_FIELDS);
+    idx.addAll(records);
+    return idx;
+  }, [records]);
+
+  const visible = useMemo(() => {
+    const s = search.trim().toLowerCase();
+    const { hits } = index.lookup(s);
+    const matching = records.filter((r) => {
+      if (activeTag && !r.tags.includes(activeTag)) return false;
+      if (!s || hits.has(r.id)) return true;
+      return [itemSearchText(r.item), r.notes.toLowerCase(), r.tags.join(" ").toLowerCase()].join(" ").includes(s);
+    });
+    return s ? rankItems(matching, (r) => hits.get(r.id) || 0) : matching;
+  }, [records, index, search, activeTag]);
+
+  return (
+    <div className="custom-scrollbar h-full overflow-y-auto">
+      <div className="mx-auto max-w-3xl space-y-4 p-4 text-left">
+        <div className="flex flex-wrap items-center gap-2">
+          <h2 className="text-sm font-bold text-white">Saved</h2>
+          <span className="text-xs text-slate-500">{records.length} items</span>
+          <input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search saved items and notes…"
+            className="ml-auto w-64 rounded-lg border border-[#2a3b4d] bg-[#101922] px-2 py-1 text-xs text-slate-200 placeholder:text-slate-500 outline-none focus:border-[#137fec]/60"
+          />
+        </div>
+
+        {allTags.length ? (
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="text-xs text-slate-400">Tags:</span>
+            {["", ...allTags].map((t) => (
+              <button
+                key={t || "__all"}
+                type="button"
+                onClick={() => setActiveTag(t)}
+                aria-pressed={activeTag === t}
+                className={`rounded-full px-3 py-1 text-xs transition-colors ${
+                  activeTag === t
+                    ? "bg-[#137fec] text-white"
+                    : "border border-[#2a3b4d] bg-white/5 text-slate-300 hover:bg-white/10"
+                }`}
+              >
+                {t || "All"}
+              </button>
+            ))}
+          </div>
+        ) : null}
+
+        {error ? <div className="rounded-xl border border-red-400/30 bg-red-500/10 p-3 text-xs text-red-100/80">{error}</div> : null}
+
+        {!visible.length ? (
+          <div className="rounded-lg border border-white/5 bg-[#202c3a] p-4 text-sm text-slate-300">
+            {records.length ? "No saved items match." : "Nothing saved yet. Use the bookmark on any card to keep it here."}
+          </div>
+        ) : null}
+
+        {visible.map((r) => (
+          <SavedEntry key={r.id} record={r} onUpdate={onUpdate} onRemove={onRemove} onOpenThread={onOpenThread} />
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,114 @@
+import { useRef } from "react";
+import { DEFAULT_CLUSTER_OPTIONS } from "./clusters.js";
+import useFocusTrap from "./useFocusTrap.js";
+
+const selectClass =
+  "rounded-lg border border-[#2a3b4d] bg-[#101922] px-2 py-1 text-xs text-slate-200 outline-none focus:border-[#137fec]/60";
+
+const WINDOW_HOURS = [12, 24, 48, 72, 168];
+const MIN_TITLE_TOKENS = [2, 3, 4, 5, 6];
+
+/** App-wide preferences; currently the duplicate-story detection thresholds. */
+export default function SettingsPanel({ clustering, onClusteringChange, onClose }) {
+  const panelRef = useRef(null);
+  useFocusTrap(panelRef, onClose);
+
+  const set = (patch) => onClusteringChange({ ...clustering, ...patch });
+
+  return (
+    <div className="fixed inset-0 z-40 flex justify-end">
+      <div className="absolute inset-0 bg-black/50" onClick={onClose} />
+      <aside
+        ref={panelRef}
+        className="relative flex h-full w-full max-w-[400px] flex-col border-l border-[#2a3b4d] bg-[#101922] text-left shadow-2xl"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Settings"
+        tabIndex={-1}
+      >
+        <div className="flex flex-shrink-0 items-center justify-between border-b border-[#2a3b4d] p-4">
+          <h2 className="text-sm font-bold text-white">Settings</h2>
+          <button
+            type="button"
+            onClick={onClose}
+            className="rounded p-1.5 text-slate-400 transition-colors hover:bg-white/5 hover:text-white"
+            aria-label="Close settings"
+          >
+            ✕
+          </button>
+        </div>
+
+        <div className="custom-scrollbar flex-1 space-y-4 overflow-y-auto p-4">
+          <section className="space-y-3 rounded-xl border border-[#2a3b4d] bg-[#182430] p-3">
+            <div>
+              <h3 className="text-xs font-semibold uppercase tracking-wide text-slate-400">Duplicate stories</h3>
+              <p className="mt-1 text-xs text-slate-500">
+                Items with the same link, or very similar titles, are grouped across sources and shown as “also on …”
+                chips.
+              </p>
+            </div>
+            <label className="flex items-center gap-2 text-xs text-slate-300">
+              <input type="checkbox" checked={clustering.enabled} onChange={(e) => set({ enabled: e.target.checked })} />
+              Detect duplicates
+            </label>
+            <label className="block text-xs text-slate-400">
+              <span className="mb-1 flex justify-between">
+                Title similarity
+                <span className="text-slate-300">{Math.round(clustering.titleThreshold * 100)}%</span>
+              </span>
+              <input
+                type="range"
+                min="0.3"
+                max="1"
+                step="0.05"
+                value={clustering.titleThreshold}
+                disabled={!clustering.enabled}
+                onChange={(e) => set({ titleThreshold: Number(e.target.value) })}
+                className="w-full"
+              />
+            </label>
+            <div className="flex flex-wrap gap-3">
+              <label className="flex items-center gap-2 text-xs text-slate-400">
+                Min. title words
+                <select
+                  value={clustering.minTitleTokens}
+                  disabled={!clustering.enabled}
+                  onChange={(e) => set({ minTitleTokens: Number(e.target.value) })}
+                  className={selectClass}
+                >
+                  {MIN_TITLE_TOKENS.map((n) => (
+                    <option key={n} value={n}>
+                      {n}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex items-center gap-2 text-xs text-slate-400">
+                Within
+                <select
+                  value={clustering.windowHours}
+                  disabled={!clustering.enabled}
+                  onChange={(e) => set({ windowHours: Number(e.target.value) })}
+                  className={selectClass}
+                >
+                  {WINDOW_HOURS.map((h) => (
+                    <option key={h} value={h}>
+                      {h < 48 ? `${h}h` : `${h / 24} days`}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </div>
+            <button
+              type="button"
+              onClick={() => onClusteringChange(DEFAULT_CLUSTER_OPTIONS)}
+              className="rounded-lg px-2 py-1 text-xs text-slate-400 hover:bg-white/5 hover:text-slate-200"
+            >
+              Reset to defaults
+            </button>
+          </section>
+        </div>
+      </aside>
+    </div>
+  );
+}
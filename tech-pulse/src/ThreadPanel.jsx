@@ -0,0 +1,156 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { isAbort } from "./errors.js";
+import { getSource } from "./sources/index.js";
+import { sanitizeHtml } from "./sanitize.js";
+import { formatRelative } from "./utils.js";
+import useFocusTrap from "./useFocusTrap.js";
+
+function countComments(list) {
+  return list.reduce((n, c) => n + 1 + countComments(c.children), 0);
+}
+
+function Comment({ comment, depth, collapsed, onToggle }) {
+  const isCollapsed = collapsed.has(comment.id);
+  const html = useMemo(() => sanitizeHtml(comment.html), [comment.html]);
+  const replies = countComments(comment.children);
+
+  return (
+    <li className={depth > 0 ? "border-l border-[#2a3b4d] pl-3" : ""}>
+      <div className="flex items-center gap-2 text-[11px] text-slate-400">
+        <button
+          type="button"
+          onClick={() => onToggle(comment.id)}
+          className="rounded px-1 font-mono text-slate-500 hover:bg-white/5 hover:text-slate-200"
+          aria-expanded={!isCollapsed}
+          aria-label={isCollapsed ? "Expand thread" : "Collapse thread"}
+        >
+          {isCollapsed ? "[+]" : "[–]"}
+        </button>
+        <span className="font-semibold text-slate-200/90">{comment.author || "[deleted]"}</span>
+        {comment.date ? <span>{formatRelative(comment.date)}</span> : null}
+        {typeof comment.score === "number" ? <span>{comment.score} pts</span> : null}
+        {isCollapsed && replies ? <span>({replies} more)</span> : null}
+      </div>
+      {isCollapsed ? null : (
+        <>
+          {comment.deleted ? (
+            <p className="mt-1 text-xs italic text-slate-500">[deleted]</p>
+          ) : (
+            <div
+              className="thread-html mt-1 break-words text-xs leading-relaxed text-slate-200/90"
+              dangerouslySetInnerHTML={{ __html: html }}
+            />
+          )}
+          {comment.children.length ? (
+            <ul className="mt-3 space-y-3">
+              {comment.children.map((c) => (
+                <Comment key={c.id} comment={c} depth={depth + 1} collapsed={collapsed} onToggle={onToggle} />
+              ))}
+            </ul>
+          ) : null}
+        </>
+      )}
+    </li>
+  );
+}
+
+/**
+ * Slide-over with the full comment tree for one item. Mount with `key={item.id}`
+ * so switching stories starts with a fresh fetch and collapse state.
+ */
+export default function ThreadPanel({ item, onClose }) {
+  const [thread, setThread] = useState(null);
+  const [error, setError] = useState("");
+  const [collapsed, setCollapsed] = useState(() => new Set());
+  const meta = getSource(item.source)?.meta;
+  const panelRef = useRef(null);
+  useFocusTrap(panelRef, onClose);
+
+  useEffect(() => {
+    const source = getSource(item.source);
+    const controller = new AbortController();
+    source
+      .fetchThread({ item, signal: controller.signal })
+      .then(setThread)
+      .catch((e) => {
+        if (!isAbort(e)) setError(`Could not load the discussion from ${source.meta.name}.`);
+      });
+    return () => controller.abort();
+  }, [item]);
+
+  function toggle(id) {
+    setCollapsed((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  }
+
+  const storyHtml = useMemo(() => sanitizeHtml(thread?.html), [thread]);
+
+  return (
+    <div className="fixed inset-0 z-40 flex justify-end">
+      <div className="absolute inset-0 bg-black/50" onClick={onClose} />
+      <aside
+        ref={panelRef}
+        className="relative flex h-full w-full max-w-[560px] flex-col border-l border-[#2a3b4d] bg-[#101922] text-left shadow-2xl"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Discussion"
+        tabIndex={-1}
+      >
+        <div className="flex flex-shrink-0 items-start justify-between gap-3 border-b border-[#2a3b4d] p-4">
+          <div className="min-w-0">
+            <div className="text-xs text-slate-400">
+              {meta?.name}
+              {item.subreddit ? ` • ${item.subreddit}` : ""} • {item.comments ?? 0} comments
+            </div>
+            <h2 className="mt-1 text-sm font-bold text-white">
+              <a href={item.url} target="_blank" rel="noreferrer" className="hover:text-[#137fec]">
+                {item.title}
+              </a>
+            </h2>
+            {thread?.discussionUrl ? (
+              <a
+                href={thread.discussionUrl}
+                target="_blank"
+                rel="noreferrer"
+                className="mt-1 inline-block text-[11px] text-slate-400 hover:text-[#137fec]"
+              >
+                Open original discussion ↗
+              </a>
+            ) : null}
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="rounded p-1.5 text-slate-400 transition-colors hover:bg-white/5 hover:text-white"
+            aria-label="Close discussion"
+          >
+            ✕
+          </button>
+        </div>
+
+        <div className="custom-scrollbar flex-1 overflow-y-auto p-4">
+          {error ? <div className="text-sm text-red-200">{error}</div> : null}
+          {!thread && !error ? <div className="text-sm text-slate-300">Loading comments…</div> : null}
+          {storyHtml ? (
+            <div
+              className="thread-html mb-4 break-words rounded-lg border border-white/5 bg-[#182430] p-3 text-xs leading-relaxed text-slate-200/90"
+              dangerouslySetInnerHTML={{ __html: storyHtml }}
+            />
+          ) : null}
+          {thread && !thread.comments.length ? <div className="text-sm text-slate-400">No comments yet.</div> : null}
+          {thread?.comments.length ? (
+            <ul className="space-y-4">
+              {thread.comments.map((c) => (
+                <Comment key={c.id} comment={c} depth={0} collapsed={collapsed} onToggle={toggle} />
+              ))}
+            </ul>
+          ) : null}
+        </div>
+      </aside>
+    </div>
+  );
+}
@@ -0,0 +1,188 @@
+import { useMemo, useState } from "react";
+import ColumnItem from "./ColumnItem.jsx";
+import { getSource } from "./sources/index.js";
+import { relatedItems } from "./clusters.js";
+import { rankItems } from "./searchIndex.js";
+
+const SORTS = {
+  newest: (a, b) => (b.date?.getTime() || 0) - (a.date?.getTime() || 0),
+  oldest: (a, b) => (a.date?.getTime() || 0) - (b.date?.getTime() || 0),
+  score: (a, b) => (b.score || 0) - (a.score || 0) || SORTS.newest(a, b),
+  comments: (a, b) => (b.comments || 0) - (a.comments || 0) || SORTS.newest(a, b),
+};
+
+function dayKey(d) {
+  if (!d) return "";
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+function dayLabel(key) {
+  if (!key) return "Undated";
+  const today = dayKey(new Date());
+  const yesterday = dayKey(new Date(Date.now() - 24 * 3600 * 1000));
+  if (key === today) return "Today";
+  if (key === yesterday) return "Yesterday";
+  const [y, m, d] = key.split("-").map(Number);
+  return new Date(y, m - 1, d).toLocaleDateString(undefined, { weekday: "long", month: "short", day: "numeric" });
+}
+
+function PillButton({ active, children, onClick }) {
+  return (
+    <button
+      onClick={onClick}
+      className={`rounded-full px-3 py-1 text-xs transition-colors ${
+        active ? "bg-[#137fec] text-white" : "border border-[#2a3b4d] bg-white/5 text-slate-300 hover:bg-white/10"
+      }`}
+      type="button"
+      aria-pressed={active}
+    >
+      {children}
+    </button>
+  );
+}
+
+/**
+ * Every loaded item from every column in one list. `items` is already filtered
+ * by the global search; this view only dedupes, sorts and groups. `clusters` maps
+ * item ids to their cross-source story cluster (see clusters.js). `score` is the search's
+ * relevance (see query.js), null when the search has no words to rank by.
+ */
+export default function TimelineView({ items, score, clusters, onOpenThread, saved, onToggleSaved }) {
+  const [sortChoice, setSortChoice] = useState("newest");
+  const sortBy = sortChoice === "relevance" && !score ? "newest" : sortChoice;
+  const [hidden, setHidden] = useState(() => new Set());
+  const [groupByDay, setGroupByDay] = useState(true);
+  const [collapseClusters, setCollapseClusters] = useState(true);
+
+  // Two columns of the same type can hold the same story.
+  const unique = useMemo(() => {
+    const seen = new Map();
+    for (const it of items) if (!seen.has(it.id)) seen.set(it.id, it);
+    return Array.from(seen.values());
+  }, [items]);
+
+  const sources = useMemo(() => Array.from(new Set(unique.map((it) => it.source))), [unique]);
+
+  const sorted = useMemo(() => {
+    const shown = unique.filter((it) => !hidden.has(it.source));
+    const list = sortBy === "relevance" ? rankItems(shown.sort(SORTS.newest), score) : shown.sort(SORTS[sortBy]);
+    if (!collapseClusters) return list;
+    // One entry per story: the first member in the current sort order stands in for the rest.
+    const seen = new Set();
+    return list.filter((it) => {
+      const cluster = clusters.get(it.id);
+      if (!cluster) return true;
+      if (seen.has(cluster.id)) return false;
+      seen.add(cluster.id);
+      return true;
+    });
+  }, [unique, hidden, sortBy, score, collapseClusters, clusters]);
+
+  const groups = useMemo(() => {
+    if (!groupByDay) return [{ key: "all", items: sorted }];
+    const byDay = new Map();
+    for (const it of sorted) {
+      const k = dayKey(it.date);
+      if (!byDay.has(k)) byDay.set(k, []);
+      byDay.get(k).push(it);
+    }
+    const oldestFirst = sortBy === "oldest";
+    return Array.from(byDay.entries())
+      .sort(([a], [b]) => {
+        if (!a || !b) return a ? -1 : b ? 1 : 0; // undated last
+        return oldestFirst ? a.localeCompare(b) : b.localeCompare(a);
+      })
+      .map(([key, list]) => ({ key, items: list }));
+  }, [sorted, groupByDay, sortBy]);
+
+  function toggleSource(type) {
+    setHidden((prev) => {
+      const next = new Set(prev);
+      if (next.has(type)) next.delete(type);
+      else next.add(type);
+      return next;
+    });
+  }
+
+  return (
+    <div className="custom-scrollbar h-full overflow-y-auto">
+      <div className="mx-auto max-w-3xl space-y-4 p-4 text-left">
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-xs text-slate-400">Sources:</span>
+          {sources.map((type) => (
+            <PillButton key={type} active={!hidden.has(type)} onClick={() => toggleSource(type)}>
+              {getSource(type)?.meta.name || type}
+            </PillButton>
+          ))}
+          <div className="ml-auto flex items-center gap-2">
+            <label className="flex items-center gap-1 text-xs text-slate-400">
+              <input
+                type="checkbox"
+                checked={collapseClusters}
+                onChange={(e) => setCollapseClusters(e.target.checked)}
+              />
+              Collapse duplicates
+            </label>
+            <label className="flex items-center gap-1 text-xs text-slate-400">
+              <input type="checkbox" checked={groupByDay} onChange={(e) => setGroupByDay(e.target.checked)} />
+              Group by day
+            </label>
+            <select
+              value={sortBy}
+              onChange={(e) => setSortChoice(e.target.value)}
+              className="rounded-lg border border-[#2a3b4d] bg-[#101922] px-2 py-1 text-xs text-slate-200 outline-none"
+              aria-label="Sort timeline"
+            >
+              {score ? <option value="relevance">Relevance</option> : null}
+              <option value="newest">Newest</option>
+              <option value="oldest">Oldest</option>
+              <option value="score">Score</option>
+              <option value="comments">Comments</option>
+            </select>
+            <span className="text-xs text-slate-500">{sorted.length} items</span>
+          </div>
+        </div>
+
+        {!sorted.length ? (
+          <div className="rounded-lg border border-white/5 bg-[#202c3a] p-4 text-sm text-slate-300">
+            Nothing to show. Load some columns or loosen the search.
+          </div>
+        ) : null}
+
+        {groups.map((g) => (
+          <section key={g.key} className="space-y-2">
+            {groupByDay ? (
+              <h2 className="sticky top-0 z-10 bg-[#0c131a]/95 py-1 text-xs font-semibold uppercase tracking-wide text-slate-400">
+                {dayLabel(g.key)}
+              </h2>
+            ) : null}
+            {g.items.map((it, idx) => {
+              const meta = getSource(it.source)?.meta;
+              return (
+                <div key={it.id} className="flex items-start gap-2">
+                  <div
+                    className="mt-3 flex h-6 w-6 flex-shrink-0 items-center justify-center rounded text-xs font-bold text-white"
+                    style={{ background: meta?.badgeBg }}
+                    title={meta?.name}
+                  >
+                    {meta?.badge}
+                  </div>
+                  <div className="min-w-0 flex-1">
+                    <ColumnItem
+                      item={it}
+                      index={idx}
+                      onOpenThread={onOpenThread}
+                      isSaved={saved.has(it.id)}
+                      onToggleSaved={onToggleSaved}
+                      related={relatedItems(clusters, it)}
+                    />
+                  </div>
+                </div>
+              );
+            })}
+          </section>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,114 @@
+import { itemSearchText } from "./query.js";
+
+// ---------------------------
+// Keyword alert rules (localStorage)
+// ---------------------------
+
+const STORAGE_KEY = "techpulse:alerts";
+const ALERTS_VERSION = 1;
+
+const MAX_NOTIFICATIONS = 200;
+const MAX_SEEN = 5000;
+
+export const EMPTY_ALERTS = { version: ALERTS_VERSION, rules: [], notifications: [], seen: [], desktop: false };
+
+/**
+ * Rule: { id, pattern, isRegex, source ("" = any), minScore, minComments, enabled }
+ * Notification: { id, itemId, ruleIds, title, url, source, score, comments, firedAt, read }
+ * `seen` lists item ids that already fired, so one item never notifies twice.
+ */
+
+export function compileRule(rule) {
+  const pattern = rule.pattern.trim();
+  if (!pattern) return null;
+  if (rule.isRegex) {
+    try {
+      const re = new RegExp(pattern, "i");
+      return (text) => re.test(text);
+    } catch {
+      return null;
+    }
+  }
+  const needle = pattern.toLowerCase();
+  return (text) => text.toLowerCase().includes(needle);
+}
+
+export function ruleError(rule) {
+  if (!rule.pattern.trim()) return "Enter a keyword or pattern";
+  if (rule.isRegex && !compileRule(rule)) return "Invalid regular expression";
+  return "";
+}
+
+/**
+ * Match one fetched batch against the enabled rules.
+ * Returns { notifications, seen } for items that fired; both are empty when nothing new matched.
+ */
+export function evaluateBatch(rules, seen, items, now = Date.now()) {
+  const active = rules
+    .filter((r) => r.enabled)
+    .map((r) => ({ rule: r, test: compileRule(r) }))
+    .filter((r) => r.test);
+  if (!active.length) return { notifications: [], seen: [] };
+
+  const already = new Set(seen);
+  const notifications = [];
+  for (const it of items) {
+    if (already.has(it.id)) continue;
+    const text = itemSearchText(it);
+    const hits = active.filter(
+      ({ rule, test }) =>
+        (!rule.source || rule.source === it.source) &&
+        (it.score || 0) >= (rule.minScore || 0) &&
+        (it.comments || 0) >= (rule.minComments || 0) &&
+        test(text)
+    );
+    if (!hits.length) continue;
+    already.add(it.id);
+    notifications.push({
+      id: `ntf_${it.id}_${now}`,
+      itemId: it.id,
+      ruleIds: hits.map((h) => h.rule.id),
+      title: it.title,
+      url: it.url,
+      source: it.source,
+      score: it.score || 0,
+      comments: it.comments || 0,
+      firedAt: now,
+      read: false,
+    });
+  }
+  return { notifications, seen: notifications.map((n) => n.itemId) };
+}
+
+export function mergeEvaluation(state, result) {
+  if (!result.notifications.length) return state;
+  return {
+    ...state,
+    notifications: [...result.notifications, ...state.notifications].slice(0, MAX_NOTIFICATIONS),
+    seen: [...state.seen, ...result.seen].slice(-MAX_SEEN),
+  };
+}
+
+export function loadAlerts() {
+  try {
+    const raw = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || "null");
+    if (!raw || raw.version !== ALERTS_VERSION) return EMPTY_ALERTS;
+    return {
+      version: ALERTS_VERSION,
+      rules: Array.isArray(raw.rules) ? raw.rules : [],
+      notifications: Array.isArray(raw.notifications) ? raw.notifications : [],
+      seen: Array.isArray(raw.seen) ? raw.seen : [],
+      desktop: Boolean(raw.desktop),
+    };
+  } catch {
+    return EMPTY_ALERTS;
+  }
+}
+
+export function saveAlerts(state) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...state, version: ALERTS_VERSION }));
+  } catch {
+    // Storage full or disabled — alerts keep working for this session.
+  }
+}
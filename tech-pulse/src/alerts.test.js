@@ -0,0 +1,35 @@
+import { describe, expect, it } from "vitest";
+import { evaluateBatch } from "./alerts.js";
+import { compileQuery } from "./query.js";
+
+const rule = (pattern, extra = {}) => ({ id: pattern, pattern, isRegex: false, source: "", enabled: true, ...extra });
+
+const items = [
+  { id: "a", source: "reddit", title: "Weekly thread", subreddit: "r/golang", score: 5 },
+  { id: "b", source: "github", title: "fast-json", tags: ["Serialization"], score: 300 },
+  { id: "c", source: "hn", title: "Show HN: a Rust GUI", author: "ferris", score: 80 },
+];
+
+const fired = (rules) => evaluateBatch(rules, [], items).notifications.map((n) => n.itemId);
+
+describe("evaluateBatch", () => {
+  it("matches the same item text as a global search for the same word", () => {
+    for (const word of ["golang", "serialization", "ferris", "rust gui"]) {
+      const { match } = compileQuery(`"${word}"`);
+      expect(fired([rule(word)])).toEqual(items.filter(match).map((it) => it.id));
+    }
+  });
+
+  it("applies regex, source and threshold filters", () => {
+    expect(fired([rule("^show hn", { isRegex: true })])).toEqual(["c"]);
+    expect(fired([rule("a", { source: "hn" })])).toEqual(["c"]);
+    expect(fired([rule("s", { minScore: 100 })])).toEqual(["b"]);
+  });
+
+  it("fires once per item", () => {
+    const result = evaluateBatch([rule("rust"), rule("gui")], ["a"], items);
+    expect(result.notifications).toHaveLength(1);
+    expect(result.notifications[0].ruleIds).toEqual(["rust", "gui"]);
+    expect(result.seen).toEqual(["c"]);
+  });
+});
@@ -0,0 +1,97 @@
+// ---------------------------
+// Analytics over loaded items (pure functions)
+// ---------------------------
+
+export const STOPWORDS = new Set(
+  `a about above after again against all am an and any are as at be because been before being below between both
+  but by can could did do does doing down during each few for from further had has have having he her here hers
+  how i if in into is it its itself just me more most my new no nor not now of off on once only or other our ours
+  out over own same she should so some such than that the their theirs them then there these they this those
+  through to too under until up very was we were what when where which while who whom why will with you your
+  yours show ask tell hn via using use get got vs one two like make way says say year years day days week
+  s t don isn it's i'm you're we're can't won't didn't doesn't`.split(/\s+/)
+);
+
+/** Words of the title in order, with null where a stopword, number or stray letter was. */
+function words(title) {
+  return String(title || "")
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, " ")
+    .split(/[^a-z0-9+#.'-]+/)
+    .map((w) => w.replace(/^[.'-]+|[.'-]+$/g, ""))
+    .filter(Boolean)
+    .map((w) => (w.length > 1 && !/^\d+$/.test(w) && !STOPWORDS.has(w) ? w : null));
+}
+
+/** A title's content words for term counts and title similarity (not the search index's tokens). */
+export function titleTerms(title) {
+  return words(title).filter(Boolean);
+}
+
+function topCounts(counter, limit) {
+  return Array.from(counter.entries())
+    .filter(([, n]) => n > 1)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([label, count]) => ({ label, count }));
+}
+
+/**
+ * Recurring words and word pairs across titles (each counted once per title). A pair is two
+ * words next to each other in the title itself: a dropped stopword between them breaks it.
+ */
+export function topTerms(items, limit = 15) {
+  const terms = new Map();
+  const bigrams = new Map();
+  for (const it of items) {
+    const all = words(it.title);
+    for (const w of new Set(all.filter(Boolean))) terms.set(w, (terms.get(w) || 0) + 1);
+    const pairs = new Set();
+    for (let i = 0; i < all.length - 1; i++) if (all[i] && all[i + 1]) pairs.add(`${all[i]} ${all[i + 1]}`);
+    for (const p of pairs) bigrams.set(p, (bigrams.get(p) || 0) + 1);
+  }
+  return { terms: topCounts(terms, limit), bigrams: topCounts(bigrams, limit) };
+}
+
+/** Counts per source for each of the last `hours` hours; index 0 is the current hour. */
+export function volumeByHour(items, hours = 24, now = Date.now()) {
+  const buckets = Array.from({ length: hours }, () => ({}));
+  let older = 0;
+  for (const it of items) {
+    if (!it.date) continue;
+    const idx = Math.floor((now - it.date.getTime()) / 3600000);
+    if (idx < 0) continue;
+    if (idx >= hours) {
+      older += 1;
+      continue;
+    }
+    buckets[idx][it.source] = (buckets[idx][it.source] || 0) + 1;
+  }
+  return { buckets, older };
+}
+
+export const DISTRIBUTION_EDGES = [0, 1, 5, 10, 25, 50, 100, 250, 500, 1000];
+
+/** Histogram of `field` (score/comments) using DISTRIBUTION_EDGES as lower bounds. */
+export function distribution(items, field) {
+  const counts = DISTRIBUTION_EDGES.map(() => 0);
+  for (const it of items) {
+    const v = typeof it[field] === "number" ? it[field] : 0;
+    let i = DISTRIBUTION_EDGES.length - 1;
+    while (i > 0 && v < DISTRIBUTION_EDGES[i]) i -= 1;
+    counts[i] += 1;
+  }
+  return DISTRIBUTION_EDGES.map((lo, i) => {
+    const hi = DISTRIBUTION_EDGES[i + 1];
+    return { label: hi === undefined ? `${lo}+` : hi - lo === 1 ? String(lo) : `${lo}–${hi - 1}`, count: counts[i] };
+  });
+}
+
+export function topDomains(items, limit = 12) {
+  const counter = new Map();
+  for (const it of items) if (it.host) counter.set(it.host, (counter.get(it.host) || 0) + 1);
+  return Array.from(counter.entries())
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([label, count]) => ({ label, count }));
+}
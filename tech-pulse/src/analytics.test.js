@@ -0,0 +1,39 @@
+import { describe, expect, it } from "vitest";
+import { topTerms } from "./analytics.js";
+import { compileQuery } from "./query.js";
+
+const titles = [
+  "Rust and Go for backend services",
+  "Rust and Go: a comparison",
+  "Apple’s M4 chip benchmarked",
+  "Apple’s M4 MacBook review",
+  "Rust: Go faster with fewer allocations",
+  "Rust go brr",
+  "Open-source LLM tooling roundup",
+  "Open-source LLM tooling, part two",
+];
+const items = titles.map((title, i) => ({ id: String(i), source: "hn", title }));
+
+/** Items whose own title yields `label` as a pair (two copies clear the "seen more than once" cut). */
+const countedFrom = (label) => items.filter((it) => topTerms([it, it]).bigrams.some((b) => b.label === label));
+
+describe("topTerms", () => {
+  it("pairs only words that sit next to each other in the title", () => {
+    const labels = topTerms(items).bigrams.map((b) => b.label);
+    expect(labels).toContain("open-source llm");
+    expect(labels).toContain("rust go");
+    expect(labels).not.toContain("apple m4"); // "’s" sits between them
+    expect(topTerms(items).bigrams.find((b) => b.label === "rust go").count).toBe(2); // not "Rust and Go"
+  });
+
+  it("suggests only pairs whose search matches every item they were counted from", () => {
+    const { bigrams } = topTerms(items);
+    expect(bigrams.length).toBeGreaterThan(0);
+    for (const { label, count } of bigrams) {
+      const sources = countedFrom(label);
+      expect(sources).toHaveLength(count);
+      const { match } = compileQuery(label);
+      expect(sources.filter(match)).toEqual(sources);
+    }
+  });
+});
@@ -0,0 +1,35 @@
+// ---------------------------
+// Named boards: pure helpers
+// ---------------------------
+
+function randomSuffix() {
+  return Math.random().toString(16).slice(2, 8);
+}
+
+export function newColumnId(type) {
+  return `col_${type}_${randomSuffix()}`;
+}
+
+/** "AI", "AI 2", "AI 3", … — first name not taken by another board. */
+export function uniqueBoardName(boards, base) {
+  const taken = new Set(boards.map((b) => b.name.toLowerCase()));
+  const name = base.trim() || "Untitled";
+  if (!taken.has(name.toLowerCase())) return name;
+  let n = 2;
+  while (taken.has(`${name} ${n}`.toLowerCase())) n += 1;
+  return `${name} ${n}`;
+}
+
+export function createBoard(boards, name) {
+  return { id: `board_${randomSuffix()}`, name: uniqueBoardName(boards, name), columns: [], globalSearch: "" };
+}
+
+/** Deep copy with fresh board and column ids (column ids key the fetch store and scroll state). */
+export function duplicateBoard(boards, board) {
+  return {
+    ...board,
+    id: `board_${randomSuffix()}`,
+    name: uniqueBoardName(boards, `${board.name} copy`),
+    columns: board.columns.map((c) => ({ ...c, id: newColumnId(c.type), config: structuredClone(c.config) })),
+  };
+}
@@ -0,0 +1,136 @@
+import { titleTerms } from "./analytics.js";
+
+// ---------------------------
+// Cross-source story clustering (pure functions)
+// ---------------------------
+
+export const DEFAULT_CLUSTER_OPTIONS = {
+  enabled: true,
+  titleThreshold: 0.6, // Jaccard similarity of title tokens needed to merge two items
+  minTitleTokens: 3, // shorter titles ("Show HN: Foo") only cluster by URL
+  windowHours: 72, // title matches must be published this close together
+};
+
+// Query params that identify a campaign or referrer, not the page.
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|igshid|ref|ref_src|ref_url|via)$/i;
+
+/**
+ * Comparable form of an article URL: https, no www./m./amp. host prefix, no tracking
+ * params, sorted remaining params, no hash or trailing slash. "" for unparseable input.
+ */
+export function canonicalUrl(raw) {
+  let url;
+  try {
+    url = new URL(raw);
+  } catch {
+    return "";
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") return "";
+  const host = url.hostname.toLowerCase().replace(/^(www\d*|m|mobile|amp)\./, "");
+  const params = Array.from(url.searchParams.entries())
+    .filter(([k]) => !TRACKING_PARAMS.test(k))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const path = url.pathname.replace(/\/(index\.html?|amp)?$/i, "").replace(/\/+$/, "") || "";
+  const query = params.length ? `?${new URLSearchParams(params).toString()}` : "";
+  return `https://${host}${url.port ? `:${url.port}` : ""}${path}${query}`;
+}
+
+export function titleSimilarity(a, b) {
+  const ta = new Set(titleTerms(a));
+  const tb = new Set(titleTerms(b));
+  if (!ta.size || !tb.size) return 0;
+  let shared = 0;
+  for (const t of ta) if (tb.has(t)) shared += 1;
+  return shared / (ta.size + tb.size - shared);
+}
+
+function createUnionFind(n) {
+  const parent = Array.from({ length: n }, (_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+  return {
+    find,
+    union(a, b) {
+      const ra = find(a);
+      const rb = find(b);
+      if (ra !== rb) parent[rb] = ra;
+    },
+  };
+}
+
+/**
+ * Group items that are the same story: first by canonical URL, then by title similarity
+ * (only items sharing a title token are compared, so this stays cheap for a few thousand).
+ *
+ * Returns { clusters: [{ id, items }], byItemId: Map(itemId → cluster) } — only clusters
+ * with at least two distinct items are listed; items are ordered by score, highest first.
+ */
+export function clusterItems(items, options = {}) {
+  const opts = { ...DEFAULT_CLUSTER_OPTIONS, ...options };
+  const byItemId = new Map();
+  if (!opts.enabled) return { clusters: [], byItemId };
+
+  const unique = Array.from(new Map(items.map((it) => [it.id, it])).values());
+  const uf = createUnionFind(unique.length);
+
+  const byUrl = new Map();
+  unique.forEach((it, i) => {
+    const key = canonicalUrl(it.url);
+    if (!key) return;
+    if (byUrl.has(key)) uf.union(byUrl.get(key), i);
+    else byUrl.set(key, i);
+  });
+
+  const tokens = unique.map((it) => new Set(titleTerms(it.title)));
+  const byToken = new Map();
+  const windowMs = opts.windowHours * 3600 * 1000;
+  unique.forEach((it, i) => {
+    if (tokens[i].size < opts.minTitleTokens) return;
+    const candidates = new Set();
+    for (const t of tokens[i]) {
+      for (const j of byToken.get(t) || []) candidates.add(j);
+      if (!byToken.has(t)) byToken.set(t, []);
+      byToken.get(t).push(i);
+    }
+    for (const j of candidates) {
+      if (uf.find(i) === uf.find(j)) continue;
+      const a = it.date?.getTime();
+      const b = unique[j].date?.getTime();
+      if (a && b && Math.abs(a - b) > windowMs) continue;
+      let shared = 0;
+      for (const t of tokens[i]) if (tokens[j].has(t)) shared += 1;
+      const score = shared / (tokens[i].size + tokens[j].size - shared);
+      if (score >= opts.titleThreshold) uf.union(i, j);
+    }
+  });
+
+  const groups = new Map();
+  unique.forEach((it, i) => {
+    const root = uf.find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(it);
+  });
+
+  const clusters = [];
+  for (const members of groups.values()) {
+    if (members.length < 2) continue;
+    members.sort((a, b) => (b.score || 0) - (a.score || 0));
+    const cluster = { id: `cluster_${members[0].id}`, items: members };
+    clusters.push(cluster);
+    for (const it of members) byItemId.set(it.id, cluster);
+  }
+  return { clusters, byItemId };
+}
+
+/**
+ * Members of `item`'s cluster from other sources (what its "also on …" chips list).
+ * Same-source duplicates, like an HN repost of the same URL, aren't "also on" anywhere new.
+ */
+export function relatedItems(byItemId, item) {
+  return (byItemId.get(item.id)?.items || []).filter((it) => it.source !== item.source);
+}
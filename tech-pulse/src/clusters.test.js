@@ -0,0 +1,141 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_CLUSTER_OPTIONS, canonicalUrl, clusterItems, relatedItems, titleSimilarity } from "./clusters.js";
+
+const NOW = Date.UTC(2026, 0, 10, 12);
+const at = (hoursAgo) => new Date(NOW - hoursAgo * 3600e3);
+
+function story(id, source, extra) {
+  return { id, source, title: `Untitled ${id}`, url: "", date: at(1), score: 0, ...extra };
+}
+
+const groupIds = ({ clusters }) => clusters.map((c) => c.items.map((it) => it.id).sort()).sort();
+
+describe("canonicalUrl", () => {
+  it("drops tracking params but keeps meaningful ones, sorted", () => {
+    expect(canonicalUrl("https://example.com/a?utm_source=hn&b=2&fbclid=x&a=1&ref=top")).toBe(
+      "https://example.com/a?a=1&b=2"
+    );
+  });
+
+  it("ignores www., m. and amp. host prefixes and http vs https", () => {
+    const want = "https://example.com/post";
+    expect(canonicalUrl("http://www.example.com/post")).toBe(want);
+    expect(canonicalUrl("https://m.example.com/post")).toBe(want);
+    expect(canonicalUrl("https://amp.example.com/post")).toBe(want);
+    expect(canonicalUrl("https://WWW2.Example.com/post")).toBe(want);
+  });
+
+  it("ignores trailing slashes, index pages, /amp and the hash", () => {
+    const want = "https://example.com/post";
+    expect(canonicalUrl("https://example.com/post/")).toBe(want);
+    expect(canonicalUrl("https://example.com/post/index.html")).toBe(want);
+    expect(canonicalUrl("https://example.com/post/amp")).toBe(want);
+    expect(canonicalUrl("https://example.com/post#comments")).toBe(want);
+    expect(canonicalUrl("https://example.com/")).toBe("https://example.com");
+  });
+
+  it("keeps ports and returns '' for non-web or unparseable input", () => {
+    expect(canonicalUrl("http://localhost:8080/x")).toBe("https://localhost:8080/x");
+    expect(canonicalUrl("mailto:a@b.c")).toBe("");
+    expect(canonicalUrl("not a url")).toBe("");
+    expect(canonicalUrl("")).toBe("");
+  });
+});
+
+describe("titleSimilarity", () => {
+  it("is the Jaccard index of title tokens, ignoring stopwords", () => {
+    expect(titleSimilarity("Rust compiler speedups", "The Rust compiler speedups")).toBe(1);
+    expect(titleSimilarity("alpha beta gamma delta", "alpha beta gamma epsilon")).toBe(0.6);
+    expect(titleSimilarity("", "alpha")).toBe(0);
+  });
+});
+
+describe("clusterItems", () => {
+  it("merges items whose URLs canonicalize the same, across sources", () => {
+    const items = [
+      story("hn_1", "hn", { url: "https://www.example.com/post?utm_source=hn", score: 10 }),
+      story("rd_1", "reddit", { url: "https://example.com/post/", score: 50 }),
+      story("rss_1", "rss", { url: "https://example.com/other" }),
+    ];
+    const { clusters, byItemId } = clusterItems(items);
+    expect(groupIds({ clusters })).toEqual([["hn_1", "rd_1"]]);
+    expect(clusters[0].items.map((it) => it.id)).toEqual(["rd_1", "hn_1"]); // by score
+    expect(clusters[0].id).toBe("cluster_rd_1");
+    expect(byItemId.get("hn_1")).toBe(clusters[0]);
+    expect(byItemId.has("rss_1")).toBe(false);
+  });
+
+  it("merges titles at exactly the threshold and not below it", () => {
+    const items = [
+      story("a", "hn", { title: "alpha beta gamma delta" }),
+      story("b", "reddit", { title: "alpha beta gamma epsilon" }), // 3/5 = 0.6 with a
+      story("c", "rss", { title: "alpha beta gamma zeta eta" }), // 3/6 = 0.5 with a, 3/6 with b
+    ];
+    expect(groupIds(clusterItems(items))).toEqual([["a", "b"]]);
+    expect(groupIds(clusterItems(items, { titleThreshold: 0.61 }))).toEqual([]);
+    expect(groupIds(clusterItems(items, { titleThreshold: 0.5 }))).toEqual([["a", "b", "c"]]);
+  });
+
+  it("only compares titles with at least minTitleTokens tokens", () => {
+    const items = [story("a", "hn", { title: "Show HN: Foo Bar" }), story("b", "reddit", { title: "Foo Bar" })];
+    expect(groupIds(clusterItems(items))).toEqual([]);
+    expect(groupIds(clusterItems(items, { minTitleTokens: 2 }))).toEqual([["a", "b"]]);
+  });
+
+  it("only merges titles published within windowHours of each other", () => {
+    const items = [
+      story("a", "hn", { title: "alpha beta gamma delta", date: at(0) }),
+      story("b", "reddit", { title: "alpha beta gamma delta", date: at(80) }),
+    ];
+    expect(groupIds(clusterItems(items))).toEqual([]);
+    expect(groupIds(clusterItems(items, { windowHours: 96 }))).toEqual([["a", "b"]]);
+  });
+
+  it("still merges by URL outside the title window", () => {
+    const items = [
+      story("a", "hn", { url: "https://example.com/x", date: at(0) }),
+      story("b", "reddit", { url: "https://example.com/x", date: at(500) }),
+    ];
+    expect(groupIds(clusterItems(items))).toEqual([["a", "b"]]);
+  });
+
+  it("returns nothing when disabled", () => {
+    const items = [
+      story("a", "hn", { url: "https://example.com/x" }),
+      story("b", "reddit", { url: "https://example.com/x" }),
+    ];
+    const out = clusterItems(items, { enabled: false });
+    expect(out.clusters).toEqual([]);
+    expect(out.byItemId.size).toBe(0);
+  });
+
+  it("counts a repeated id once", () => {
+    const a = story("a", "hn", { url: "https://example.com/x" });
+    expect(clusterItems([a, a]).clusters).toEqual([]);
+  });
+
+  it("uses the documented defaults", () => {
+    expect(DEFAULT_CLUSTER_OPTIONS).toEqual({ enabled: true, titleThreshold: 0.6, minTitleTokens: 3, windowHours: 72 });
+  });
+});
+
+describe("relatedItems", () => {
+  const items = [
+    story("hn_1", "hn", { url: "https://example.com/x", score: 30 }),
+    story("hn_2", "hn", { url: "https://example.com/x", score: 20 }),
+    story("rd_1", "reddit", { url: "https://example.com/x", score: 10 }),
+    story("solo", "rss"),
+  ];
+  const { byItemId } = clusterItems(items);
+
+  it("lists cluster members from other sources only", () => {
+    expect(relatedItems(byItemId, items[0]).map((it) => it.id)).toEqual(["rd_1"]);
+    expect(relatedItems(byItemId, items[2]).map((it) => it.id)).toEqual(["hn_1", "hn_2"]);
+  });
+
+  it("is empty for unclustered items and same-source-only clusters", () => {
+    expect(relatedItems(byItemId, items[3])).toEqual([]);
+    const reposts = clusterItems(items.slice(0, 2)).byItemId;
+    expect(relatedItems(reposts, items[0])).toEqual([]);
+  });
+});
@@ -0,0 +1,136 @@
+import { getSource } from "./sources/index.js";
+import { cacheKey, readCache, writeCache } from "./responseCache.js";
+import { describeError, isAbort } from "./errors.js";
+import { createRequestTracker } from "./requestTracker.js";
+
+// ---------------------------
+// Column loading: source fetches + response cache → column store actions
+// ---------------------------
+
+const pollKey = (colId) => `${colId}#poll`;
+
+// A cache read slower than this (e.g. IndexedDB stuck behind another tab) counts as a miss.
+const CACHE_READ_TIMEOUT_MS = 300;
+
+/** Resolves with the cache entry, or null if the read fails or takes longer than `ms`. */
+function readWithin(cache, key, ms) {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(null), ms);
+  });
+  const read = Promise.resolve()
+    .then(() => cache.read(key))
+    .catch(() => null);
+  return Promise.race([read, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Loads and polls columns into the column store. Each column has one load and one
+ * poll in flight at most (see requestTracker.js); superseded or aborted requests
+ * never dispatch.
+ *
+ * - `dispatch` receives columnStore actions.
+ * - `getEntry(colId)` returns the column's current store entry (cursor, failure count).
+ * - `onItems(items)` sees every page that arrives from the network (keyword alerts).
+ * - `cache` ({ read, write }) and `sources` (type → adapter) default to IndexedDB and the registry.
+ * - `cacheTimeoutMs` bounds how long a load waits on the cache before going to the network.
+ */
+export function createColumnLoader({
+  dispatch,
+  getEntry,
+  onItems = () => {},
+  cache = { read: readCache, write: writeCache },
+  sources = getSource,
+  cacheTimeoutMs = CACHE_READ_TIMEOUT_MS,
+}) {
+  const requests = createRequestTracker();
+
+  return {
+    /**
+     * Load the first page ("refresh") or the next one ("more").
+     * Unless `force` is set, a cached first page is shown right away: a fresh one ends
+     * the load, a stale one stays on screen (flagged) while the network revalidates.
+     */
+    async load(col, mode, { force = false } = {}) {
+      const source = sources(col.type);
+      if (!source) return;
+      const colId = col.id;
+
+      const more = mode === "more";
+      const cursor = more ? getEntry(colId)?.cursor ?? source.initialCursor : source.initialCursor;
+      const key = cacheKey(col.type, col.config, cursor);
+      // Supersedes (and aborts) whatever this column was still loading.
+      const req = requests.begin(colId);
+
+      const apply = (res, extra) => dispatch({ type: more ? "append" : "success", colId, res, ...extra });
+
+      dispatch({ type: "request", colId });
+
+      if (!force) {
+        const hit = await readWithin(cache, key, cacheTimeoutMs);
+        if (!req.isCurrent()) return;
+        const fresh = hit && Date.now() - hit.savedAt < source.cacheTtl;
+        // Appending a stale page and then the revalidated one would duplicate it,
+        // so "more" only takes fresh hits.
+        if (hit && (fresh || !more)) {
+          apply(hit.value, { loading: !fresh, stale: !fresh, cachedAt: hit.savedAt });
+          if (fresh) {
+            req.done();
+            return;
+          }
+        }
+      }
+
+      try {
+        const res = await source.fetch({ config: col.config, cursor, signal: req.signal, force });
+        if (!req.isCurrent()) return;
+        onItems(res.items);
+        cache.write(key, res);
+        apply(res, { loading: false, stale: false, cachedAt: null });
+      } catch (e) {
+        // Aborted or superseded: the newer request owns this column's state now.
+        if (isAbort(e) || !req.isCurrent()) return;
+        // Remember which load failed so retrying a page doesn't throw away the ones before it.
+        const error = describeError(e, source, Date.now(), getEntry(colId)?.failures || 0);
+        dispatch({ type: "failure", colId, error: { ...error, mode: more ? "more" : "refresh" } });
+      } finally {
+        req.done();
+      }
+    },
+
+    /**
+     * Background check for new first-page items; they wait in `pending` until the user shows them.
+     * Rejects on failure so the poller can back off.
+     */
+    async poll(col) {
+      const source = sources(col.type);
+      if (!source) return;
+      // A poll never cancels a user-triggered load; instead it is dropped if one started meanwhile.
+      const loadGeneration = requests.generation(col.id);
+      const req = requests.begin(pollKey(col.id));
+      let res;
+      try {
+        res = await source.fetch({ config: col.config, cursor: source.initialCursor, signal: req.signal });
+      } catch (e) {
+        if (isAbort(e)) return;
+        throw e;
+      } finally {
+        req.done();
+      }
+      if (!req.isCurrent() || requests.generation(col.id) !== loadGeneration) return;
+      onItems(res.items);
+      dispatch({ type: "poll", colId: col.id, items: res.items });
+    },
+
+    /** Abort the column's load and poll; anything still resolving for it is dropped. */
+    cancel(colId) {
+      requests.abort(colId);
+      requests.abort(pollKey(colId));
+    },
+
+    /** Abort every column's requests (board switch, unmount). */
+    cancelAll() {
+      requests.abortAll();
+    },
+  };
+}
@@ -0,0 +1,222 @@
+import { describe, expect, it, vi } from "vitest";
+import { createColumnLoader } from "./columnLoader.js";
+import { columnStoreReducer, initColumnStore } from "./columnStore.js";
+import { AbortedError, NetworkError } from "./errors.js";
+
+const col = { id: "c1", type: "fake", config: { q: "x" } };
+const page = (...ids) => ({ items: ids.map((id) => ({ id })), cursor: ids.length, hasMore: true });
+const settle = () => new Promise((r) => setTimeout(r, 0));
+
+/** A source whose fetches the test settles by hand; each rejects with AbortedError when its signal fires. */
+function deferredSource() {
+  const calls = [];
+  const source = {
+    meta: { name: "Fake" },
+    errorMessage: "Could not load Fake.",
+    initialCursor: 0,
+    paginated: true,
+    cacheTtl: 60 * 1000,
+    fetch: ({ cursor, signal, force }) =>
+      new Promise((resolve, reject) => {
+        calls.push({ resolve, reject, signal, cursor, force });
+        signal.addEventListener("abort", () => reject(new AbortedError("fake://")));
+      }),
+  };
+  return { source, calls };
+}
+
+function memoryCache(entries = []) {
+  const map = new Map(entries);
+  return {
+    map,
+    read: async (key) => map.get(key) || null,
+    write: async (key, value) => void map.set(key, { value, savedAt: Date.now() }),
+  };
+}
+
+/** A real loader wired to a reducer-backed store, the way App uses it. */
+function setup({ cache = memoryCache(), cacheTimeoutMs } = {}) {
+  const { source, calls } = deferredSource();
+  const actions = [];
+  let state = columnStoreReducer(initColumnStore([]), { type: "add", column: { id: "c1", type: "hn" } });
+  const onItems = vi.fn();
+  const loader = createColumnLoader({
+    dispatch: (action) => {
+      actions.push(action);
+      state = columnStoreReducer(state, action);
+    },
+    getEntry: (colId) => state[colId],
+    onItems,
+    cache,
+    sources: () => source,
+    cacheTimeoutMs,
+  });
+  return {
+    loader,
+    calls,
+    actions,
+    cache,
+    onItems,
+    get state() {
+      return state;
+    },
+    types: () => actions.map((a) => a.type),
+  };
+}
+
+describe("createColumnLoader().load", () => {
+  it("dispatches request then success, and passes the items on", async () => {
+    const h = setup();
+    const load = h.loader.load(col, "refresh", { force: true });
+    await settle();
+    h.calls[0].resolve(page("a", "b"));
+    await load;
+
+    expect(h.types()).toEqual(["request", "success"]);
+    expect(h.state.c1.items.map((it) => it.id)).toEqual(["a", "b"]);
+    expect(h.onItems).toHaveBeenCalledWith(page("a", "b").items);
+    expect(h.calls[0].force).toBe(true); // adapters refetch anything they keep between calls
+  });
+
+  it("drops a slower earlier response once a newer load has begun", async () => {
+    const h = setup();
+    const first = h.loader.load(col, "refresh", { force: true });
+    const second = h.loader.load(col, "refresh", { force: true });
+    expect(h.calls[0].signal.aborted).toBe(true);
+
+    h.calls[1].resolve(page("new"));
+    h.calls[0].resolve(page("old")); // arrives late, ignoring the abort
+    await Promise.all([first, second]);
+
+    expect(h.state.c1.items.map((it) => it.id)).toEqual(["new"]);
+    expect(h.actions.filter((a) => a.type === "success")).toHaveLength(1);
+  });
+
+  it("never reports a failure for an aborted or superseded load", async () => {
+    const h = setup();
+    const first = h.loader.load(col, "refresh", { force: true });
+    const second = h.loader.load(col, "refresh", { force: true });
+    h.calls[1].resolve(page("a"));
+    await second;
+    h.calls[0].reject(new NetworkError("fake://", new Error("offline")));
+    await first;
+
+    expect(h.types()).not.toContain("failure");
+    expect(h.state.c1.error).toBeNull();
+  });
+
+  it("reports the current load's failure with the mode that failed", async () => {
+    const h = setup();
+    const load = h.loader.load(col, "more", { force: true });
+    h.calls[0].reject(new NetworkError("fake://", new Error("offline")));
+    await load;
+
+    expect(h.state.c1.error).toMatchObject({ mode: "more", message: "Network error. Check your connection." });
+    expect(h.state.c1.failures).toBe(1);
+  });
+
+  it("loads the next page from the stored cursor", async () => {
+    const h = setup();
+    const first = h.loader.load(col, "refresh", { force: true });
+    h.calls[0].resolve(page("a", "b"));
+    await first;
+    const more = h.loader.load(col, "more", { force: true });
+    h.calls[1].resolve(page("c"));
+    await more;
+
+    expect(h.calls[1].cursor).toBe(2);
+    expect(h.state.c1.items.map((it) => it.id)).toEqual(["a", "b", "c"]);
+  });
+
+  it("cancel() drops whatever was in flight for the column", async () => {
+    const h = setup();
+    const load = h.loader.load(col, "refresh", { force: true });
+    h.loader.cancel("c1");
+    h.calls[0].resolve(page("late"));
+    await load;
+
+    expect(h.types()).toEqual(["request"]);
+    expect(h.state.c1.items).toEqual([]);
+  });
+
+  it("serves a fresh cache hit without fetching", async () => {
+    const cache = memoryCache();
+    const h = setup({ cache });
+    await cache.write('fake|{"q":"x"}|0', page("cached"));
+
+    await h.loader.load(col, "refresh");
+
+    expect(h.calls).toHaveLength(0);
+    expect(h.state.c1).toMatchObject({ loading: false, stale: false });
+    expect(h.state.c1.items.map((it) => it.id)).toEqual(["cached"]);
+  });
+
+  it("shows a stale cache hit while it revalidates", async () => {
+    const cache = memoryCache([['fake|{"q":"x"}|0', { value: page("old"), savedAt: Date.now() - 3600e3 }]]);
+    const h = setup({ cache });
+
+    const load = h.loader.load(col, "refresh");
+    await settle();
+    expect(h.state.c1).toMatchObject({ loading: true, stale: true });
+    expect(h.state.c1.items.map((it) => it.id)).toEqual(["old"]);
+
+    h.calls[0].resolve(page("new"));
+    await load;
+    expect(h.state.c1).toMatchObject({ loading: false, stale: false });
+    expect(h.state.c1.items.map((it) => it.id)).toEqual(["new"]);
+    expect(cache.map.get('fake|{"q":"x"}|0').value).toEqual(page("new"));
+  });
+
+  it("goes to the network when the cache read hangs", async () => {
+    // IndexedDB waiting on an upgrade that another tab blocks never answers.
+    const hanging = { read: () => new Promise(() => {}), write: async () => {} };
+    const h = setup({ cache: hanging, cacheTimeoutMs: 5 });
+
+    const load = h.loader.load(col, "refresh");
+    await new Promise((r) => setTimeout(r, 20));
+    expect(h.calls).toHaveLength(1);
+
+    h.calls[0].resolve(page("net"));
+    await load;
+    expect(h.state.c1.items.map((it) => it.id)).toEqual(["net"]);
+  });
+});
+
+describe("createColumnLoader().poll", () => {
+  it("queues unseen first-page items as pending", async () => {
+    const h = setup();
+    const poll = h.loader.poll(col);
+    h.calls[0].resolve(page("n"));
+    await poll;
+
+    expect(h.state.c1.pending.map((it) => it.id)).toEqual(["n"]);
+    expect(h.onItems).toHaveBeenCalled();
+  });
+
+  it("is dropped when a load starts meanwhile, without aborting the load", async () => {
+    const h = setup();
+    const poll = h.loader.poll(col);
+    const load = h.loader.load(col, "refresh", { force: true });
+    expect(h.calls[1].signal.aborted).toBe(false);
+
+    h.calls[0].resolve(page("polled"));
+    await poll;
+    expect(h.types()).not.toContain("poll");
+
+    h.calls[1].resolve(page("loaded"));
+    await load;
+    expect(h.state.c1.items.map((it) => it.id)).toEqual(["loaded"]);
+  });
+
+  it("rejects on failure so the poller can back off, but not when cancelled", async () => {
+    const h = setup();
+    const failing = h.loader.poll(col);
+    h.calls[0].reject(new NetworkError("fake://", new Error("offline")));
+    await expect(failing).rejects.toBeInstanceOf(NetworkError);
+
+    const cancelled = h.loader.poll(col);
+    h.loader.cancelAll();
+    await expect(cancelled).resolves.toBeUndefined();
+    expect(h.types()).toEqual([]);
+  });
+});
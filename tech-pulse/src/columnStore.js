@@ -0,0 +1,162 @@
+import { getSource } from "./sources/index.js";
+import { rankItems } from "./searchIndex.js";
+
+// ---------------------------
+// Column store: per-column fetch state as a reducer + pure selectors
+// ---------------------------
+
+export function initialColumnState(type) {
+  const src = getSource(type);
+  return {
+    items: [],
+    pending: [], // found by background polling, not shown yet
+    loading: false,
+    stale: false, // showing a cached response older than the adapter's cacheTtl
+    cachedAt: null,
+    notice: null, // the page's partial-failure note, e.g. GitHub repos whose releases didn't load
+    error: null, // { message, details, retryAt } from describeError + mode: the "refresh" | "more" load that failed
+    failures: 0, // consecutive failed loads, for the error banner's retry backoff
+    cursor: src ? src.initialCursor : null,
+    hasMore: Boolean(src?.paginated),
+  };
+}
+
+/** Reducer initializer: one fresh entry per column. */
+export function initColumnStore(columns) {
+  return Object.fromEntries(columns.map((c) => [c.id, initialColumnState(c.type)]));
+}
+
+function withoutIds(items, ids) {
+  return items.filter((it) => !ids.has(it.id));
+}
+
+function patch(state, colId, fn) {
+  const entry = state[colId];
+  if (!entry) return state;
+  const next = fn(entry);
+  return next === entry ? state : { ...state, [colId]: next };
+}
+
+/**
+ * Actions:
+ * - { type: "init", columns }                       add entries for new columns, drop removed ones
+ * - { type: "add", column }                        entry for a column added this render
+ * - { type: "request", colId }                      a load started
+ * - { type: "success", colId, res, stale?, cachedAt?, loading? }
+ *                                                    first page arrived (from network or cache)
+ * - { type: "append", colId, res, stale?, cachedAt?, loading? }
+ *                                                    next page arrived
+ * - { type: "failure", colId, error }
+ * - { type: "reset", columns }                      only these columns, loading (Refresh All, board switch)
+ * - { type: "remove", colId }
+ * - { type: "poll", colId, items }                  background results; unseen ones become pending
+ * - { type: "reveal", colId }                       move pending items to the top of the list
+ * - { type: "dismiss", colId }                      hide the current error
+ */
+export function columnStoreReducer(state, action) {
+  switch (action.type) {
+    case "init": {
+      const next = {};
+      let changed = Object.keys(state).length !== action.columns.length;
+      for (const c of action.columns) {
+        next[c.id] = state[c.id] || initialColumnState(c.type);
+        if (!state[c.id]) changed = true;
+      }
+      return changed ? next : state;
+    }
+
+    case "add":
+      return state[action.column.id]
+        ? state
+        : { ...state, [action.column.id]: initialColumnState(action.column.type) };
+
+    case "request":
+      return patch(state, action.colId, (e) => ({ ...e, loading: true, error: null }));
+
+    case "success":
+    case "append":
+      return patch(state, action.colId, (e) => {
+        const { items, cursor, hasMore, notice } = action.res;
+        const appending = action.type === "append";
+        // Feeds shift between page requests; don't show the same item twice.
+        const merged = appending ? [...e.items, ...withoutIds(items, new Set(e.items.map((it) => it.id)))] : items;
+        return {
+          ...e,
+          items: merged,
+          pending: appending ? e.pending : [],
+          error: null,
+          failures: 0,
+          cursor,
+          hasMore,
+          loading: action.loading ?? false,
+          stale: action.stale ?? false,
+          cachedAt: action.cachedAt ?? null,
+          notice: notice || null,
+        };
+      });
+
+    case "failure":
+      return patch(state, action.colId, (e) => ({
+        ...e,
+        loading: false,
+        error: action.error,
+        failures: e.failures + 1,
+      }));
+
+    case "reset":
+      // Items stay on screen (and keep their scroll position) until "success" swaps in the new page.
+      return Object.fromEntries(
+        action.columns.map((c) => [c.id, { ...(state[c.id] || initialColumnState(c.type)), loading: true, error: null }])
+      );
+
+    case "remove": {
+      if (!state[action.colId]) return state;
+      const next = { ...state };
+      delete next[action.colId];
+      return next;
+    }
+
+    case "poll":
+      return patch(state, action.colId, (e) => {
+        const known = new Set([...e.items, ...e.pending].map((it) => it.id));
+        const fresh = withoutIds(action.items, known);
+        return fresh.length ? { ...e, pending: [...fresh, ...e.pending] } : e;
+      });
+
+    case "reveal":
+      return patch(state, action.colId, (e) =>
+        e.pending.length ? { ...e, items: [...e.pending, ...e.items], pending: [] } : e
+      );
+
+    case "dismiss":
+      return patch(state, action.colId, (e) => (e.error ? { ...e, error: null } : e));
+
+    default:
+      throw new Error(`Unknown column store action: ${action.type}`);
+  }
+}
+
+// ---------------------------
+// Selectors
+// ---------------------------
+
+/**
+ * { [colId]: items passing `match` (a compiled global search, see query.js; null = all) }.
+ * With `score` each column lists its matches by relevance, otherwise in feed order.
+ */
+export function selectVisibleByColumn(store, columns, match, score = null) {
+  const out = {};
+  for (const c of columns) {
+    const bucket = store[c.id]?.items || [];
+    const visible = match ? bucket.filter(match) : bucket;
+    out[c.id] = score ? rankItems(visible, score) : visible;
+  }
+  return out;
+}
+
+/** Every loaded item across columns, first occurrence wins on duplicate ids. */
+export function selectLoadedItems(store, columns) {
+  const byId = new Map();
+  for (const c of columns) for (const it of store[c.id]?.items || []) if (!byId.has(it.id)) byId.set(it.id, it);
+  return Array.from(byId.values());
+}
@@ -0,0 +1,194 @@
+import { describe, expect, it } from "vitest";
+import {
+  columnStoreReducer,
+  initColumnStore,
+  initialColumnState,
+  selectLoadedItems,
+  selectVisibleByColumn,
+} from "./columnStore.js";
+
+const hn = { id: "c1", type: "hn" };
+const nasa = { id: "c2", type: "nasa" };
+
+const item = (id, extra) => ({ id, title: `Item ${id}`, ...extra });
+const page = (ids, cursor = 1, hasMore = true) => ({ items: ids.map((id) => item(id)), cursor, hasMore });
+const ids = (entry) => entry.items.map((it) => it.id);
+
+function loaded(...pageIds) {
+  let state = initColumnStore([hn]);
+  state = columnStoreReducer(state, { type: "success", colId: "c1", res: page(pageIds) });
+  return state;
+}
+
+describe("initColumnStore / initialColumnState", () => {
+  it("starts each column empty, at the adapter's first cursor", () => {
+    const state = initColumnStore([hn, nasa]);
+    expect(Object.keys(state)).toEqual(["c1", "c2"]);
+    expect(state.c1).toMatchObject({ items: [], pending: [], loading: false, error: null, cursor: 0, hasMore: true });
+    expect(state.c2).toMatchObject({ cursor: null, hasMore: false });
+  });
+
+  it("tolerates unknown column types", () => {
+    expect(initialColumnState("nope")).toMatchObject({ cursor: null, hasMore: false });
+  });
+});
+
+describe("columnStoreReducer", () => {
+  it("init adds new columns, drops removed ones and keeps existing entries", () => {
+    const state = loaded("a");
+    const next = columnStoreReducer(state, { type: "init", columns: [hn, nasa] });
+    expect(next.c1).toBe(state.c1);
+    expect(next.c2).toEqual(initialColumnState("nasa"));
+
+    const dropped = columnStoreReducer(next, { type: "init", columns: [nasa] });
+    expect(Object.keys(dropped)).toEqual(["c2"]);
+  });
+
+  it("init returns the same state when nothing changed", () => {
+    const state = initColumnStore([hn]);
+    expect(columnStoreReducer(state, { type: "init", columns: [hn] })).toBe(state);
+  });
+
+  it("add creates an entry once", () => {
+    const state = initColumnStore([]);
+    const next = columnStoreReducer(state, { type: "add", column: hn });
+    expect(next.c1).toEqual(initialColumnState("hn"));
+    expect(columnStoreReducer(next, { type: "add", column: hn })).toBe(next);
+  });
+
+  it("request sets loading and clears the error", () => {
+    let state = columnStoreReducer(loaded("a"), { type: "failure", colId: "c1", error: { message: "x" } });
+    state = columnStoreReducer(state, { type: "request", colId: "c1" });
+    expect(state.c1).toMatchObject({ loading: true, error: null });
+  });
+
+  it("ignores actions for unknown columns", () => {
+    const state = initColumnStore([hn]);
+    expect(columnStoreReducer(state, { type: "request", colId: "zz" })).toBe(state);
+  });
+
+  it("success replaces items and pending and records the cache flags", () => {
+    let state = loaded("a", "b");
+    state = columnStoreReducer(state, { type: "poll", colId: "c1", items: [item("n")] });
+    state = columnStoreReducer(state, {
+      type: "success",
+      colId: "c1",
+      res: page(["c"], 5, false),
+      stale: true,
+      cachedAt: 123,
+      loading: true,
+    });
+    expect(ids(state.c1)).toEqual(["c"]);
+    expect(state.c1).toMatchObject({ pending: [], cursor: 5, hasMore: false, stale: true, cachedAt: 123, loading: true });
+  });
+
+  it("success defaults to a finished, fresh load", () => {
+    const state = loaded("a");
+    expect(state.c1).toMatchObject({ loading: false, stale: false, cachedAt: null, error: null });
+  });
+
+  it("append adds the next page without repeating ids and keeps pending", () => {
+    let state = loaded("a", "b");
+    state = columnStoreReducer(state, { type: "poll", colId: "c1", items: [item("n")] });
+    state = columnStoreReducer(state, { type: "append", colId: "c1", res: page(["b", "c"], 2) });
+    expect(ids(state.c1)).toEqual(["a", "b", "c"]);
+    expect(state.c1.pending.map((it) => it.id)).toEqual(["n"]);
+    expect(state.c1.cursor).toBe(2);
+  });
+
+  it("failure stops loading and keeps the items", () => {
+    let state = columnStoreReducer(loaded("a"), { type: "request", colId: "c1" });
+    state = columnStoreReducer(state, { type: "failure", colId: "c1", error: { message: "down" } });
+    expect(state.c1).toMatchObject({ loading: false, error: { message: "down" } });
+    expect(ids(state.c1)).toEqual(["a"]);
+  });
+
+  it("counts consecutive failures until a page loads", () => {
+    let state = loaded("a");
+    const fail = (s) => columnStoreReducer(s, { type: "failure", colId: "c1", error: { message: "down" } });
+    state = fail(fail(state));
+    expect(state.c1.failures).toBe(2);
+    state = columnStoreReducer(state, { type: "append", colId: "c1", res: page(["b"]) });
+    expect(state.c1.failures).toBe(0);
+  });
+
+  it("reset keeps only the given columns, marks them loading and leaves their items in place", () => {
+    let state = columnStoreReducer(loaded("a"), { type: "failure", colId: "c1", error: { message: "x" } });
+    state = columnStoreReducer(state, { type: "reset", columns: [nasa, hn] });
+    expect(Object.keys(state)).toEqual(["c2", "c1"]);
+    expect(ids(state.c1)).toEqual(["a"]);
+    expect(state.c1).toMatchObject({ loading: true, error: null });
+    expect(state.c2).toEqual({ ...initialColumnState("nasa"), loading: true });
+
+    const dropped = columnStoreReducer(state, { type: "reset", columns: [nasa] });
+    expect(Object.keys(dropped)).toEqual(["c2"]);
+  });
+
+  it("remove deletes an entry", () => {
+    const state = loaded("a");
+    expect(columnStoreReducer(state, { type: "remove", colId: "c1" })).toEqual({});
+    expect(columnStoreReducer(state, { type: "remove", colId: "zz" })).toBe(state);
+  });
+
+  it("poll queues only unseen items, newest first", () => {
+    let state = loaded("a");
+    state = columnStoreReducer(state, { type: "poll", colId: "c1", items: [item("a"), item("n1")] });
+    state = columnStoreReducer(state, { type: "poll", colId: "c1", items: [item("n2"), item("n1")] });
+    expect(state.c1.pending.map((it) => it.id)).toEqual(["n2", "n1"]);
+    expect(ids(state.c1)).toEqual(["a"]);
+
+    const same = columnStoreReducer(state, { type: "poll", colId: "c1", items: [item("a")] });
+    expect(same).toBe(state);
+  });
+
+  it("reveal moves pending items to the top", () => {
+    let state = loaded("a");
+    state = columnStoreReducer(state, { type: "poll", colId: "c1", items: [item("n")] });
+    state = columnStoreReducer(state, { type: "reveal", colId: "c1" });
+    expect(ids(state.c1)).toEqual(["n", "a"]);
+    expect(state.c1.pending).toEqual([]);
+    expect(columnStoreReducer(state, { type: "reveal", colId: "c1" })).toBe(state);
+  });
+
+  it("dismiss clears the error", () => {
+    let state = columnStoreReducer(loaded("a"), { type: "failure", colId: "c1", error: { message: "x" } });
+    state = columnStoreReducer(state, { type: "dismiss", colId: "c1" });
+    expect(state.c1.error).toBeNull();
+    expect(columnStoreReducer(state, { type: "dismiss", colId: "c1" })).toBe(state);
+  });
+
+  it("throws on unknown actions", () => {
+    expect(() => columnStoreReducer({}, { type: "bogus" })).toThrow(/bogus/);
+  });
+});
+
+describe("selectors", () => {
+  const state = {
+    c1: { ...initialColumnState("hn"), items: [item("a", { title: "Rust 2.0" }), item("b", { title: "Go" })] },
+    c2: { ...initialColumnState("hn"), items: [item("b", { title: "Go" }), item("c", { title: "Rust tips" })] },
+  };
+  const columns = [hn, { id: "c2", type: "hn" }, { id: "c3", type: "hn" }];
+
+  it("selectVisibleByColumn returns every item without a match function", () => {
+    const out = selectVisibleByColumn(state, columns, null);
+    expect(out.c1).toBe(state.c1.items);
+    expect(out.c3).toEqual([]);
+  });
+
+  it("selectVisibleByColumn filters each column", () => {
+    const out = selectVisibleByColumn(state, columns, (it) => it.title.includes("Rust"));
+    expect(out.c1.map((it) => it.id)).toEqual(["a"]);
+    expect(out.c2.map((it) => it.id)).toEqual(["c"]);
+  });
+
+  it("selectVisibleByColumn orders matches by score when given one", () => {
+    const score = (it) => ({ a: 1, b: 3 })[it.id] || 0;
+    const out = selectVisibleByColumn(state, columns, () => true, score);
+    expect(out.c1.map((it) => it.id)).toEqual(["b", "a"]);
+    expect(out.c2.map((it) => it.id)).toEqual(["b", "c"]);
+  });
+
+  it("selectLoadedItems lists each id once, in column order", () => {
+    expect(selectLoadedItems(state, columns).map((it) => it.id)).toEqual(["a", "b", "c"]);
+  });
+});
@@ -0,0 +1,42 @@
+import { getSource, normalizeConfig } from "./sources/index.js";
+
+// ---------------------------
+// Column settings form <-> adapter config
+// ---------------------------
+
+export function fieldToInput(field, value) {
+  if (field.kind === "list") return (value || []).join(", ");
+  return String(value ?? "");
+}
+
+export function inputToField(field, raw) {
+  if (field.kind === "list") {
+    return raw
+      .split(/[,+\s]+/)
+      .map((v) => v.trim())
+      .filter(Boolean);
+  }
+  if (field.kind === "select") return field.options.find((o) => String(o) === raw) ?? raw;
+  return raw;
+}
+
+/** Input strings for every config field of `type`, seeded from `config` (or the adapter defaults). */
+export function draftFromConfig(type, config) {
+  const source = getSource(type);
+  const values = config || source.defaultConfig;
+  return Object.fromEntries(source.configFields.map((f) => [f.key, fieldToInput(f, values[f.key])]));
+}
+
+/**
+ * Parse form input back into a config. `errors` comes from the adapter's `validate`,
+ * run before normalization so e.g. an emptied list isn't silently replaced by the default;
+ * only fields currently visible are reported.
+ */
+export function configFromDraft(type, draft, base) {
+  const source = getSource(type);
+  const parsed = { ...source.defaultConfig, ...base };
+  for (const f of source.configFields) parsed[f.key] = inputToField(f, draft[f.key]);
+  const visible = new Set(source.configFields.filter((f) => !f.visibleWhen || f.visibleWhen(draft)).map((f) => f.key));
+  const errors = Object.fromEntries(Object.entries(source.validate(parsed)).filter(([key]) => visible.has(key)));
+  return { config: normalizeConfig(type, parsed), errors };
+}
@@ -0,0 +1,82 @@
+// ---------------------------
+// IndexedDB access (one database, one object store per subsystem)
+// ---------------------------
+
+const DB_NAME = "techpulse";
+const DB_VERSION = 2;
+
+let dbPromise = null;
+
+function upgrade(db, oldVersion) {
+  // Fall through on purpose: each block upgrades one version.
+  if (oldVersion < 1) {
+    const saved = db.createObjectStore("saved", { keyPath: "id" });
+    saved.createIndex("savedAt", "savedAt");
+  }
+  if (oldVersion < 2) {
+    const responses = db.createObjectStore("responses", { keyPath: "key" });
+    responses.createIndex("savedAt", "savedAt");
+  }
+}
+
+export function openDB() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available"));
+      return;
+    }
+    let blocked = false;
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = (e) => upgrade(req.result, e.oldVersion);
+    // Another tab still holds an older version open. Waiting would leave every caller
+    // hanging until that tab closes, so give up; the next call tries again.
+    req.onblocked = () => {
+      blocked = true;
+      reject(new Error("IndexedDB upgrade is blocked by another open tab"));
+    };
+    req.onsuccess = () => {
+      const db = req.result;
+      // Opened after all once the other tab let go, but the caller has moved on.
+      if (blocked) {
+        db.close();
+        return;
+      }
+      // Step aside when a newer version opens elsewhere, and reopen on next use.
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    req.onerror = () => reject(req.error);
+  });
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+  return dbPromise;
+}
+
+function promisify(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * Run `fn(store)` in a transaction and resolve with its request's result once the transaction
+ * completes. `fn` may return nothing when it handles its own requests (e.g. a cursor walk).
+ */
+export async function withStore(name, mode, fn) {
+  const db = await openDB();
+  const tx = db.transaction(name, mode);
+  const req = fn(tx.objectStore(name));
+  const result = req ? await promisify(req) : undefined;
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  return result;
+}
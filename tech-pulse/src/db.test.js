@@ -0,0 +1,82 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+/** An indexedDB stand-in whose open requests the test fires by hand. */
+function stubIndexedDB() {
+  const requests = [];
+  vi.stubGlobal("indexedDB", {
+    open: vi.fn(() => {
+      const req = { result: { close: vi.fn() } };
+      requests.push(req);
+      return req;
+    }),
+  });
+  return requests;
+}
+
+let openDB;
+let withStore;
+
+beforeEach(async () => {
+  vi.resetModules();
+  ({ openDB, withStore } = await import("./db.js"));
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe("openDB", () => {
+  it("rejects when another tab blocks the upgrade, and tries again on the next call", async () => {
+    const requests = stubIndexedDB();
+    const first = openDB();
+    requests[0].onblocked();
+    await expect(first).rejects.toThrow(/blocked/);
+
+    const second = openDB();
+    expect(requests).toHaveLength(2);
+    requests[1].onsuccess();
+    await expect(second).resolves.toBe(requests[1].result);
+  });
+
+  it("closes a connection that opens after the blocked attempt gave up", async () => {
+    const requests = stubIndexedDB();
+    const first = openDB();
+    requests[0].onblocked();
+    await expect(first).rejects.toThrow();
+
+    requests[0].onsuccess();
+    expect(requests[0].result.close).toHaveBeenCalled();
+  });
+
+  it("closes on versionchange so a newer tab can upgrade, then reopens", async () => {
+    const requests = stubIndexedDB();
+    const first = openDB();
+    requests[0].onsuccess();
+    const db = await first;
+    expect(openDB()).toBe(first);
+
+    db.onversionchange();
+    expect(db.close).toHaveBeenCalled();
+    openDB();
+    expect(requests).toHaveLength(2);
+  });
+});
+
+describe("withStore", () => {
+  it("resolves on transaction completion when fn issues its own requests", async () => {
+    const requests = stubIndexedDB();
+    const tx = { objectStore: vi.fn(() => ({})) };
+    const run = withStore("responses", "readwrite", () => undefined);
+    requests[0].result.transaction = vi.fn(() => tx);
+    requests[0].onsuccess();
+
+    let settled = false;
+    run.then(() => (settled = true));
+    await new Promise((r) => setTimeout(r, 0));
+    expect(tx.objectStore).toHaveBeenCalledWith("responses");
+    expect(settled).toBe(false);
+
+    tx.oncomplete();
+    await expect(run).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,121 @@
+// ---------------------------
+// Typed source errors
+// ---------------------------
+
+/**
+ * Base class for everything a source fetch can fail with.
+ * `kind` is one of: network | cors | http | rate-limited | parse | aborted | config
+ */
+export class SourceError extends Error {
+  constructor(message, { kind, url = "", status = 0, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "SourceError";
+    this.kind = kind;
+    this.url = url;
+    this.status = status;
+  }
+
+  /** Worth trying the same request again later. */
+  get retryable() {
+    return this.kind === "network" || this.kind === "rate-limited" || (this.kind === "http" && this.status >= 500);
+  }
+}
+
+export class NetworkError extends SourceError {
+  constructor(url, cause) {
+    super("Network request failed", { kind: "network", url, cause });
+    this.name = "NetworkError";
+  }
+}
+
+export class CorsError extends SourceError {
+  constructor(url, cause) {
+    super("Blocked by the browser's cross-origin (CORS) policy", { kind: "cors", url, cause });
+    this.name = "CorsError";
+  }
+}
+
+export class HttpError extends SourceError {
+  /** `headers` (the response's Headers, if any) lets adapters read API-specific signals such as rate limits. */
+  constructor(url, status, statusText = "", headers = null) {
+    super(`HTTP ${status}${statusText ? ` ${statusText}` : ""}`, { kind: "http", url, status });
+    this.name = "HttpError";
+    this.headers = headers;
+  }
+}
+
+export class RateLimitError extends SourceError {
+  constructor(url, status, retryAfterMs) {
+    super(`Rate limited (HTTP ${status})`, { kind: "rate-limited", url, status });
+    this.name = "RateLimitError";
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+export class ParseError extends SourceError {
+  constructor(url, cause) {
+    super(`Could not parse response${cause?.message ? `: ${cause.message}` : ""}`, { kind: "parse", url, cause });
+    this.name = "ParseError";
+  }
+}
+
+export class AbortedError extends SourceError {
+  constructor(url) {
+    super("Request was cancelled", { kind: "aborted", url });
+    this.name = "AbortedError";
+  }
+}
+
+/** The column's settings (or a missing API key) make the request impossible. */
+export class ConfigError extends SourceError {
+  constructor(message) {
+    super(message, { kind: "config" });
+    this.name = "ConfigError";
+  }
+}
+
+export function isAbort(err) {
+  return err?.kind === "aborted" || err?.name === "AbortError";
+}
+
+const AUTO_RETRY_MS = 30 * 1000;
+const MAX_AUTO_RETRY_MS = 15 * 60 * 1000;
+
+/** Delay before the column's next automatic retry: 30s, doubling with each consecutive failure, capped at 15 min. */
+export function autoRetryDelay(failures = 0) {
+  return Math.min(MAX_AUTO_RETRY_MS, AUTO_RETRY_MS * 2 ** failures);
+}
+
+/**
+ * Turn any thrown value into what ErrorBanner renders:
+ * { message, details, retryAt } — `retryAt` (epoch ms) is set when the column should retry on its own.
+ * `failures` counts the column's consecutive failures before this one, so the retries back off.
+ */
+export function describeError(err, source, now = Date.now(), failures = 0) {
+  const name = source.meta.name;
+  const kind = err?.kind || "unknown";
+  const messages = {
+    network: "Network error. Check your connection.",
+    cors: source.errorMessage,
+    http: `${name} responded with HTTP ${err?.status}.`,
+    "rate-limited": `${name} is rate limiting requests.`,
+    parse: `${name} returned data that couldn't be read.`,
+    config: err?.message,
+  };
+
+  let retryAt = null;
+  if (kind === "rate-limited") retryAt = now + Math.max(err.retryAfterMs || 0, autoRetryDelay(failures));
+  else if (err?.retryable) retryAt = now + autoRetryDelay(failures);
+
+  const details = [
+    `Type: ${kind}`,
+    err?.status ? `Status: ${err.status}` : "",
+    err?.url ? `URL: ${err.url}` : "",
+    `Error: ${err?.message || String(err)}`,
+    err?.cause?.message ? `Cause: ${err.cause.message}` : "",
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  return { message: messages[kind] || source.errorMessage, details, retryAt };
+}
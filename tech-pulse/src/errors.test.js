@@ -0,0 +1,42 @@
+import { describe, expect, it } from "vitest";
+import { HttpError, NetworkError, ParseError, RateLimitError, autoRetryDelay, describeError } from "./errors.js";
+
+const source = { meta: { name: "Hacker News" }, errorMessage: "Could not load Hacker News." };
+const NOW = 1_000_000;
+
+describe("autoRetryDelay", () => {
+  it("doubles from 30 seconds with each consecutive failure", () => {
+    expect([0, 1, 2, 3].map(autoRetryDelay)).toEqual([30e3, 60e3, 120e3, 240e3]);
+  });
+
+  it("caps at 15 minutes", () => {
+    expect(autoRetryDelay(10)).toBe(15 * 60e3);
+    expect(autoRetryDelay(100)).toBe(15 * 60e3);
+  });
+});
+
+describe("describeError", () => {
+  it("schedules retries for retryable errors, backing off with failures", () => {
+    const err = new NetworkError("https://x", new Error("offline"));
+    expect(describeError(err, source, NOW).retryAt).toBe(NOW + 30e3);
+    expect(describeError(err, source, NOW, 2).retryAt).toBe(NOW + 120e3);
+    expect(describeError(new HttpError("https://x", 503), source, NOW, 1).retryAt).toBe(NOW + 60e3);
+  });
+
+  it("waits at least as long as the server's Retry-After", () => {
+    expect(describeError(new RateLimitError("https://x", 429, 90e3), source, NOW).retryAt).toBe(NOW + 90e3);
+    expect(describeError(new RateLimitError("https://x", 429, 5e3), source, NOW, 3).retryAt).toBe(NOW + 240e3);
+  });
+
+  it("doesn't retry errors that won't fix themselves", () => {
+    expect(describeError(new HttpError("https://x", 404), source, NOW).retryAt).toBeNull();
+    expect(describeError(new ParseError("https://x", new Error("bad")), source, NOW).retryAt).toBeNull();
+  });
+
+  it("names the source and lists details", () => {
+    const info = describeError(new HttpError("https://x", 404), source, NOW);
+    expect(info.message).toBe("Hacker News responded with HTTP 404.");
+    expect(info.details).toContain("Status: 404");
+    expect(info.details).toContain("URL: https://x");
+  });
+});
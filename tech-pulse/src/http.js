@@ -0,0 +1,125 @@
+import { AbortedError, CorsError, HttpError, NetworkError, ParseError, RateLimitError } from "./errors.js";
+
+// ---------------------------
+// fetch wrapper: typed errors + retry with exponential backoff and jitter
+// ---------------------------
+
+const DEFAULTS = {
+  retries: 2,
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+  // A Retry-After longer than this is handed back to the caller instead of waited out.
+  maxRetryAfterMs: 10000,
+};
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const t = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    function onAbort() {
+      clearTimeout(t);
+      reject(signal.reason);
+    }
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+function backoff(attempt, { baseDelayMs, maxDelayMs }) {
+  const exp = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return exp / 2 + Math.random() * (exp / 2);
+}
+
+/** Retry-After is either delta-seconds or an HTTP date. */
+function parseRetryAfter(header, now = Date.now()) {
+  if (!header) return 0;
+  const secs = Number(header);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(header);
+  return Number.isNaN(at) ? 0 : Math.max(0, at - now);
+}
+
+// fetch() rejects with the same TypeError for offline, DNS and CORS failures, and for
+// a 429 or 5xx sent without CORS headers, so attempts report NetworkError and are retried.
+// Once retries are spent, one opaque no-cors GET to the same URL tells them apart: if it
+// gets through, the server is reachable and the real problem is CORS. Other methods
+// aren't probed; a bare GET to a POST endpoint says nothing about the real request.
+async function classifyFailure(err, init) {
+  if (err.kind !== "network" || (init.method || "GET").toUpperCase() !== "GET") return err;
+  if (typeof navigator !== "undefined" && navigator.onLine === false) return err;
+  try {
+    await fetch(err.url, { method: "GET", mode: "no-cors", signal: init.signal });
+    return new CorsError(err.url, err.cause);
+  } catch {
+    return err;
+  }
+}
+
+async function attempt(url, init) {
+  let res;
+  try {
+    res = await fetch(url, init);
+  } catch (e) {
+    if (init.signal?.aborted || e?.name === "AbortError") throw new AbortedError(url);
+    throw new NetworkError(url, e);
+  }
+  if (res.status === 429 || (res.status === 503 && res.headers.get("Retry-After"))) {
+    throw new RateLimitError(url, res.status, parseRetryAfter(res.headers.get("Retry-After")));
+  }
+  if (!res.ok) throw new HttpError(url, res.status, res.statusText, res.headers);
+  return res;
+}
+
+/**
+ * fetch() that throws SourceError subclasses and retries transient failures
+ * (network, 5xx, short Retry-After). Options beyond `retries`/delays go to fetch.
+ */
+export async function request(url, { retries, baseDelayMs, maxDelayMs, maxRetryAfterMs, ...init } = {}) {
+  const opts = {
+    retries: retries ?? DEFAULTS.retries,
+    baseDelayMs: baseDelayMs ?? DEFAULTS.baseDelayMs,
+    maxDelayMs: maxDelayMs ?? DEFAULTS.maxDelayMs,
+    maxRetryAfterMs: maxRetryAfterMs ?? DEFAULTS.maxRetryAfterMs,
+  };
+
+  for (let i = 0; ; i++) {
+    try {
+      return await attempt(url, init);
+    } catch (err) {
+      const last = i >= opts.retries;
+      if (last || !err.retryable) throw await classifyFailure(err, init);
+      if (err.kind === "rate-limited" && err.retryAfterMs > opts.maxRetryAfterMs) throw err;
+      const wait = err.kind === "rate-limited" && err.retryAfterMs ? err.retryAfterMs : backoff(i, opts);
+      try {
+        await sleep(wait, init.signal);
+      } catch {
+        throw new AbortedError(url);
+      }
+    }
+  }
+}
+
+export async function fetchJson(url, options) {
+  const res = await request(url, options);
+  try {
+    return await res.json();
+  } catch (e) {
+    if (e?.name === "AbortError") throw new AbortedError(url);
+    throw new ParseError(url, e);
+  }
+}
+
+export async function fetchText(url, options) {
+  const res = await request(url, options);
+  try {
+    return await res.text();
+  } catch (e) {
+    if (e?.name === "AbortError") throw new AbortedError(url);
+    throw new ParseError(url, e);
+  }
+}
@@ -0,0 +1,75 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { fetchJson, request } from "./http.js";
+import { CorsError, HttpError, NetworkError, RateLimitError } from "./errors.js";
+
+const ENDPOINT = "https://api.example.com/items";
+const fast = { baseDelayMs: 1, maxDelayMs: 1 };
+
+// Browsers reject a cross-origin response without CORS headers, whatever its status,
+// with the same TypeError as going offline; only opaque no-cors requests get through.
+const blocked = () => Promise.reject(new TypeError("Failed to fetch"));
+const opaque = () => Promise.resolve(new Response(null, { status: 200 }));
+const json = (body, init) => Promise.resolve(new Response(JSON.stringify(body), init));
+
+/** Stubs fetch with one handler per call, in order; no-cors probes go to `probe`. */
+function stubFetch(handlers, probe = opaque) {
+  const queue = [...handlers];
+  const fetch = vi.fn((url, init) => (init?.mode === "no-cors" ? probe() : queue.shift()()));
+  vi.stubGlobal("fetch", fetch);
+  return fetch;
+}
+
+const probes = (fetch) => fetch.mock.calls.filter(([, init]) => init?.mode === "no-cors").length;
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe("request", () => {
+  it("retries a failed fetch and probes for CORS once, after the last attempt", async () => {
+    const fetch = stubFetch([blocked, blocked, blocked]);
+    await expect(request(ENDPOINT, fast)).rejects.toBeInstanceOf(CorsError);
+    expect(fetch).toHaveBeenCalledTimes(4);
+    expect(probes(fetch)).toBe(1);
+    expect(fetch.mock.calls[3][1]).toMatchObject({ method: "GET", mode: "no-cors" });
+  });
+
+  it("reports a network error when the probe fails too", async () => {
+    stubFetch([blocked, blocked, blocked], blocked);
+    await expect(request(ENDPOINT, fast)).rejects.toBeInstanceOf(NetworkError);
+  });
+
+  it("never probes a non-GET request", async () => {
+    const fetch = stubFetch([blocked, blocked, blocked]);
+    const err = await request(ENDPOINT, { ...fast, method: "POST", body: "{}" }).catch((e) => e);
+    expect(err).toBeInstanceOf(NetworkError);
+    expect(err).not.toBeInstanceOf(CorsError);
+    expect(probes(fetch)).toBe(0);
+  });
+
+  it("retries a 429 sent without CORS headers instead of calling it CORS", async () => {
+    const fetch = stubFetch([blocked, blocked, () => json({ ok: true })]);
+    await expect(fetchJson(ENDPOINT, fast)).resolves.toEqual({ ok: true });
+    expect(fetch).toHaveBeenCalledTimes(3);
+    expect(probes(fetch)).toBe(0);
+  });
+
+  it("waits out a short Retry-After on a readable 429", async () => {
+    const fetch = stubFetch([() => json({}, { status: 429, headers: { "Retry-After": "0" } }), () => json([1])]);
+    await expect(fetchJson(ENDPOINT, fast)).resolves.toEqual([1]);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it("hands a long Retry-After back to the caller", async () => {
+    stubFetch([() => json({}, { status: 429, headers: { "Retry-After": "120" } })]);
+    const err = await request(ENDPOINT, fast).catch((e) => e);
+    expect(err).toBeInstanceOf(RateLimitError);
+    expect(err.retryAfterMs).toBe(120e3);
+  });
+
+  it("doesn't retry or probe a 4xx", async () => {
+    const fetch = stubFetch([() => json({}, { status: 404 })]);
+    await expect(request(ENDPOINT, fast)).rejects.toBeInstanceOf(HttpError);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,145 @@
+import { getSource, normalizeConfig } from "./sources/index.js";
+import { DEFAULT_CLUSTER_OPTIONS } from "./clusters.js";
+
+// ---------------------------
+// Layout persistence (localStorage)
+// ---------------------------
+
+const STORAGE_KEY = "techpulse:layout";
+
+export const LAYOUT_VERSION = 3;
+
+export const DEFAULT_BOARD = {
+  id: "board_main",
+  name: "Main",
+  columns: [
+    { id: "col_hn", type: "hn", config: normalizeConfig("hn") },
+    { id: "col_reddit", type: "reddit", config: normalizeConfig("reddit") },
+    { id: "col_nasa", type: "nasa", config: normalizeConfig("nasa") },
+  ],
+  globalSearch: "",
+};
+
+export const DEFAULT_LAYOUT = {
+  version: LAYOUT_VERSION,
+  boards: [DEFAULT_BOARD],
+  activeBoardId: DEFAULT_BOARD.id,
+  viewMode: "columns",
+  clustering: DEFAULT_CLUSTER_OPTIONS,
+};
+
+export const REFRESH_MINUTES = [0, 1, 5, 15, 30];
+
+export const VIEW_MODES = ["columns", "timeline", "saved", "analytics"];
+
+/** Column width bounds in px; columns without a saved width use the responsive default. */
+export const COLUMN_WIDTH = { min: 300, max: 720, step: 20 };
+
+export function clampColumnWidth(px) {
+  return Math.round(Math.min(COLUMN_WIDTH.max, Math.max(COLUMN_WIDTH.min, px)));
+}
+
+/**
+ * Schema migrations, keyed by the version they upgrade FROM.
+ * Each step receives the saved object at version N and returns it at N + 1.
+ * Never edit a shipped step — add a new one and bump LAYOUT_VERSION.
+ */
+const MIGRATIONS = {
+  // v0: unversioned snapshot — either a bare columns array or a partial object.
+  0: (data) => (Array.isArray(data) ? { columns: data } : { ...data }),
+  // v1 → v2: the global HN query/window moved into each column's config
+  // (Reddit columns used to receive the HN query too).
+  1: ({ hnQuery = "", hnDaysBack = "7d", ...rest }) => ({
+    ...rest,
+    columns: (rest.columns || []).map((c) => {
+      if (c?.type === "hn") return { ...c, config: { query: hnQuery, daysBack: hnDaysBack } };
+      if (c?.type === "reddit") return { ...c, config: { query: hnQuery } };
+      return c;
+    }),
+  }),
+  // v2 → v3: the single board became the first of several named boards.
+  2: ({ columns, globalSearch, ...rest }) => ({
+    ...rest,
+    boards: [{ id: DEFAULT_BOARD.id, name: DEFAULT_BOARD.name, columns, globalSearch }],
+    activeBoardId: DEFAULT_BOARD.id,
+  }),
+};
+
+function migrate(raw) {
+  let data = raw;
+  let version = typeof raw?.version === "number" ? raw.version : 0;
+  if (version > LAYOUT_VERSION) return null; // saved by a newer build; don't guess
+  while (version < LAYOUT_VERSION) {
+    const step = MIGRATIONS[version];
+    if (!step) return null;
+    data = step(data);
+    version += 1;
+  }
+  return { ...data, version };
+}
+
+function sanitizeColumns(list) {
+  return Array.isArray(list)
+    ? list
+        .filter((c) => c && typeof c.id === "string" && getSource(c.type))
+        .map((c) => ({
+          id: c.id,
+          type: c.type,
+          config: normalizeConfig(c.type, c.config),
+          refreshMinutes: REFRESH_MINUTES.includes(c.refreshMinutes) ? c.refreshMinutes : 0,
+          ...(Number.isFinite(c.width) ? { width: clampColumnWidth(c.width) } : {}),
+        }))
+    : DEFAULT_BOARD.columns;
+}
+
+export function sanitizeBoard(b) {
+  return {
+    id: b.id,
+    name: typeof b.name === "string" && b.name.trim() ? b.name.trim() : "Untitled",
+    columns: sanitizeColumns(b.columns),
+    globalSearch: typeof b.globalSearch === "string" ? b.globalSearch : "",
+  };
+}
+
+function sanitizeClustering(c) {
+  const out = { ...DEFAULT_CLUSTER_OPTIONS };
+  if (typeof c?.enabled === "boolean") out.enabled = c.enabled;
+  if (c?.titleThreshold >= 0.3 && c.titleThreshold <= 1) out.titleThreshold = c.titleThreshold;
+  if (Number.isInteger(c?.minTitleTokens) && c.minTitleTokens >= 1) out.minTitleTokens = c.minTitleTokens;
+  if (c?.windowHours > 0) out.windowHours = c.windowHours;
+  return out;
+}
+
+function sanitize(data) {
+  const seen = new Set();
+  const boards = (Array.isArray(data.boards) ? data.boards : [])
+    .filter((b) => b && typeof b.id === "string" && !seen.has(b.id) && seen.add(b.id))
+    .map(sanitizeBoard);
+  if (!boards.length) boards.push(DEFAULT_BOARD);
+  return {
+    version: LAYOUT_VERSION,
+    boards,
+    activeBoardId: boards.some((b) => b.id === data.activeBoardId) ? data.activeBoardId : boards[0].id,
+    viewMode: VIEW_MODES.includes(data.viewMode) ? data.viewMode : DEFAULT_LAYOUT.viewMode,
+    clustering: sanitizeClustering(data.clustering),
+  };
+}
+
+export function loadLayout() {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    if (!raw) return DEFAULT_LAYOUT;
+    const migrated = migrate(JSON.parse(raw));
+    return migrated ? sanitize(migrated) : DEFAULT_LAYOUT;
+  } catch {
+    return DEFAULT_LAYOUT;
+  }
+}
+
+export function saveLayout(layout) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...layout, version: LAYOUT_VERSION }));
+  } catch {
+    // Storage full or disabled (private mode) — the board still works, it just won't persist.
+  }
+}
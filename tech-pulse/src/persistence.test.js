@@ -0,0 +1,122 @@
+// @vitest-environment jsdom
+import { afterEach, describe, expect, it } from "vitest";
+import { DEFAULT_BOARD, DEFAULT_LAYOUT, LAYOUT_VERSION, loadLayout, saveLayout } from "./persistence.js";
+import { normalizeConfig } from "./sources/index.js";
+
+const STORAGE_KEY = "techpulse:layout";
+
+function loadSaved(data) {
+  window.localStorage.setItem(STORAGE_KEY, typeof data === "string" ? data : JSON.stringify(data));
+  return loadLayout();
+}
+
+afterEach(() => {
+  window.localStorage.clear();
+});
+
+describe("loadLayout migrations", () => {
+  it("v0: wraps a bare columns array, then carries it through every later step", () => {
+    const layout = loadSaved([{ id: "a", type: "hn" }, { id: "b", type: "nasa" }]);
+
+    expect(layout.version).toBe(LAYOUT_VERSION);
+    expect(layout.boards).toHaveLength(1);
+    expect(layout.boards[0]).toMatchObject({ id: DEFAULT_BOARD.id, name: DEFAULT_BOARD.name, globalSearch: "" });
+    expect(layout.boards[0].columns.map((c) => c.id)).toEqual(["a", "b"]);
+    expect(layout.boards[0].columns[0].config).toEqual(normalizeConfig("hn"));
+    expect(layout.activeBoardId).toBe(DEFAULT_BOARD.id);
+  });
+
+  it("v0: keeps the fields of an unversioned object", () => {
+    const layout = loadSaved({
+      columns: [{ id: "a", type: "hn" }],
+      hnQuery: "rust",
+      hnDaysBack: "24h",
+      globalSearch: "llm",
+      viewMode: "timeline",
+    });
+
+    expect(layout.viewMode).toBe("timeline");
+    expect(layout.boards[0].globalSearch).toBe("llm");
+    expect(layout.boards[0].columns[0].config).toMatchObject({ query: "rust", daysBack: "24h" });
+  });
+
+  it("v1 → v2: moves the global HN query and window into HN and Reddit column configs", () => {
+    const layout = loadSaved({
+      version: 1,
+      hnQuery: "rust",
+      hnDaysBack: "30d",
+      columns: [
+        { id: "h", type: "hn" },
+        { id: "r", type: "reddit" },
+        { id: "n", type: "nasa" },
+      ],
+    });
+
+    const [hn, reddit, nasa] = layout.boards[0].columns;
+    expect(hn.config).toEqual({ ...normalizeConfig("hn"), query: "rust", daysBack: "30d" });
+    expect(reddit.config).toEqual({ ...normalizeConfig("reddit"), query: "rust" });
+    expect(nasa.config).toEqual(normalizeConfig("nasa"));
+    expect(layout).not.toHaveProperty("hnQuery");
+    expect(layout).not.toHaveProperty("hnDaysBack");
+  });
+
+  it("v1 → v2: falls back to the old defaults when the global settings were never saved", () => {
+    const layout = loadSaved({ version: 1, columns: [{ id: "h", type: "hn", config: { query: "ignored" } }] });
+    expect(layout.boards[0].columns[0].config).toMatchObject({ query: "", daysBack: "7d" });
+  });
+
+  it("v2 → v3: turns the single board into the first named board", () => {
+    const columns = [{ id: "h", type: "hn", config: { query: "go", daysBack: "24h", pageSize: 20 }, refreshMinutes: 5 }];
+    const layout = loadSaved({ version: 2, columns, globalSearch: "gc", viewMode: "saved" });
+
+    expect(layout.boards).toEqual([{ id: DEFAULT_BOARD.id, name: DEFAULT_BOARD.name, columns, globalSearch: "gc" }]);
+    expect(layout.activeBoardId).toBe(DEFAULT_BOARD.id);
+    expect(layout.viewMode).toBe("saved");
+  });
+
+  it("loads the current version without migrating it", () => {
+    const columns = [{ id: "h", type: "hn", config: normalizeConfig("hn"), refreshMinutes: 0 }];
+    const board = { id: "b2", name: "Work", columns, globalSearch: "" };
+    const layout = loadSaved({ ...DEFAULT_LAYOUT, boards: [DEFAULT_BOARD, board], activeBoardId: "b2" });
+
+    expect(layout.boards.map((b) => b.id)).toEqual([DEFAULT_BOARD.id, "b2"]);
+    expect(layout.activeBoardId).toBe("b2");
+  });
+
+  it("round-trips what saveLayout wrote", () => {
+    saveLayout({ ...DEFAULT_LAYOUT, viewMode: "analytics" });
+    expect(loadLayout().viewMode).toBe("analytics");
+  });
+});
+
+describe("loadLayout fallbacks", () => {
+  it("uses the defaults when nothing is saved", () => {
+    expect(loadLayout()).toBe(DEFAULT_LAYOUT);
+  });
+
+  it("uses the defaults for corrupt JSON", () => {
+    expect(loadSaved("{not json")).toBe(DEFAULT_LAYOUT);
+  });
+
+  it("uses the defaults for a layout saved by a newer build", () => {
+    expect(loadSaved({ version: LAYOUT_VERSION + 1, boards: [] })).toBe(DEFAULT_LAYOUT);
+  });
+
+  it("uses the defaults for a version with no migration path", () => {
+    expect(loadSaved({ version: -1, columns: [] })).toBe(DEFAULT_LAYOUT);
+    expect(loadSaved({ version: 1.5, columns: [] })).toBe(DEFAULT_LAYOUT);
+  });
+
+  it("drops columns of unknown types and repairs invalid fields", () => {
+    const layout = loadSaved({
+      version: 2,
+      columns: [{ id: "x", type: "myspace" }, { id: "h", type: "hn", refreshMinutes: 7, width: 5000 }],
+      viewMode: "kanban",
+    });
+
+    expect(layout.boards[0].columns).toEqual([
+      { id: "h", type: "hn", config: normalizeConfig("hn"), refreshMinutes: 0, width: 720 },
+    ]);
+    expect(layout.viewMode).toBe(DEFAULT_LAYOUT.viewMode);
+  });
+});
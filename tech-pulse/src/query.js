@@ -0,0 +1,315 @@
+import { getSource } from "./sources/index.js";
+
+// ---------------------------
+// Global search query language (pure functions)
+// ---------------------------
+
+/**
+ * Syntax:
+ *   rust async            both words (substring match over title, summary, author, sub, host, tags;
+ *                         with a search index also stems, prefixes and typos, see searchIndex.js)
+ *   "open source"         exact phrase
+ *   -crypto  -"web3"      exclude
+ *   rust OR go            either side; binds looser than the implicit AND
+ *   (rust OR go) -crypto  grouping
+ *   source:hn  author:pg  host:github.com  sub:rust  tag:ai     field qualifiers
+ *   author:"Jane Doe"     quoted field value
+ *   score:>100  comments:>=50  score:1k                        numeric (>, >=, <, <=, =)
+ *   age:<6h  age:>=2d                                          item age, units m/h/d/w
+ *
+ * A word like `http://x` or `foo:bar` with an unknown field is plain text.
+ */
+
+const TEXT_FIELDS = ["source", "author", "host", "sub", "tag"];
+const NUMERIC_FIELDS = ["score", "comments"];
+const FIELDS = new Set([...TEXT_FIELDS, ...NUMERIC_FIELDS, "age"]);
+
+const NUMBER = /^(>=|<=|>|<|=)?(\d+(?:\.\d+)?)(k)?$/i;
+const DURATION = /^(>=|<=|>|<|=)?(\d+(?:\.\d+)?)(m|h|d|w)$/i;
+const UNIT_MS = { m: 60e3, h: 3600e3, d: 86400e3, w: 7 * 86400e3 };
+
+export class QueryError extends Error {
+  constructor(message, start, end) {
+    super(message);
+    this.name = "QueryError";
+    this.start = start;
+    this.end = end;
+  }
+}
+
+// ---- Lexer ----
+
+function readQuoted(input, i) {
+  const close = input.indexOf('"', i + 1);
+  if (close === -1) throw new QueryError("Missing closing quote", i, input.length);
+  return { value: input.slice(i + 1, close), next: close + 1 };
+}
+
+/** Tokens: { type: "word" | "phrase" | "field" | "or" | "lparen" | "rparen", negated?, ... , start, end } */
+export function lex(input) {
+  const tokens = [];
+  let i = 0;
+  while (i < input.length) {
+    const ch = input[i];
+    if (/\s/.test(ch)) {
+      i += 1;
+      continue;
+    }
+    const start = i;
+    if (ch === "(" || ch === ")") {
+      tokens.push({ type: ch === "(" ? "lparen" : "rparen", start, end: i + 1 });
+      i += 1;
+      continue;
+    }
+
+    // "-" only negates when it starts a term ("-rust", not "state-of-the-art" or a lone "-").
+    let negated = false;
+    if (ch === "-" && i + 1 < input.length && !/[\s)]/.test(input[i + 1])) {
+      negated = true;
+      i += 1;
+    }
+    if (negated && input[i] === "(") {
+      tokens.push({ type: "lparen", negated, start, end: i + 1 });
+      i += 1;
+      continue;
+    }
+
+    if (input[i] === '"') {
+      const { value, next } = readQuoted(input, i);
+      tokens.push({ type: "phrase", value, negated, start, end: next });
+      i = next;
+      continue;
+    }
+
+    let j = i;
+    while (j < input.length && !/[\s()"]/.test(input[j])) j += 1;
+    const word = input.slice(i, j);
+    const field = /^([a-z]+):(.*)$/i.exec(word);
+
+    if (field && FIELDS.has(field[1].toLowerCase())) {
+      let value = field[2];
+      let end = j;
+      if (!value && input[j] === '"') {
+        ({ value, next: end } = readQuoted(input, j));
+      }
+      tokens.push({ type: "field", field: field[1].toLowerCase(), value, negated, start, end });
+      i = end;
+      continue;
+    }
+    if (word === "OR" && !negated) tokens.push({ type: "or", start, end: j });
+    else tokens.push({ type: "word", value: word, negated, start, end: j });
+    i = j;
+  }
+  return tokens;
+}
+
+// ---- Parser ----
+
+function compare(op, actual, expected) {
+  switch (op) {
+    case ">":
+      return actual > expected;
+    case ">=":
+      return actual >= expected;
+    case "<":
+      return actual < expected;
+    case "<=":
+      return actual <= expected;
+    default:
+      return actual === expected;
+  }
+}
+
+function fieldNode(tok) {
+  const { field, value, start, end } = tok;
+  if (!value) throw new QueryError(`Missing value after ${field}:`, start, end);
+  if (NUMERIC_FIELDS.includes(field)) {
+    const m = NUMBER.exec(value);
+    if (!m) throw new QueryError(`${field}: expects a number, e.g. ${field}:>100`, start, end);
+    return { type: "number", field, op: m[1] || "=", value: Number(m[2]) * (m[3] ? 1000 : 1) };
+  }
+  if (field === "age") {
+    const m = DURATION.exec(value);
+    if (!m) throw new QueryError("age: expects a duration, e.g. age:<6h (m, h, d or w)", start, end);
+    return { type: "age", op: m[1] || "=", ms: Number(m[2]) * UNIT_MS[m[3].toLowerCase()] };
+  }
+  return { type: "field", field, value: value.toLowerCase() };
+}
+
+function negate(node, negated) {
+  return negated ? { type: "not", child: node } : node;
+}
+
+/**
+ * AST nodes: and { children } | or { children } | not { child } | text { value, phrase }
+ *          | field { field, value } | number { field, op, value } | age { op, ms }
+ * Throws QueryError with the offending character range.
+ */
+export function parse(input) {
+  const tokens = lex(input);
+  let pos = 0;
+  const peek = () => tokens[pos];
+
+  function parseOr() {
+    const children = [parseAnd()];
+    while (peek()?.type === "or") {
+      const orTok = tokens[pos++];
+      if (!peek() || peek().type === "or" || peek().type === "rparen") {
+        throw new QueryError("OR needs a term on both sides", orTok.start, orTok.end);
+      }
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: "or", children };
+  }
+
+  function parseAnd() {
+    const children = [];
+    while (peek() && peek().type !== "or" && peek().type !== "rparen") children.push(parseTerm());
+    if (!children.length) {
+      const tok = peek();
+      if (tok?.type === "or") throw new QueryError("OR needs a term on both sides", tok.start, tok.end);
+      if (tok?.type === "rparen") throw new QueryError("Unexpected )", tok.start, tok.end);
+      throw new QueryError("Expected a search term", input.length, input.length);
+    }
+    return children.length === 1 ? children[0] : { type: "and", children };
+  }
+
+  function parseTerm() {
+    const tok = tokens[pos++];
+    switch (tok.type) {
+      case "lparen": {
+        if (peek()?.type === "rparen") throw new QueryError("Empty group", tok.start, peek().end);
+        const inner = parseOr();
+        if (peek()?.type !== "rparen") throw new QueryError("Missing )", tok.start, tok.end);
+        pos += 1;
+        return negate(inner, tok.negated);
+      }
+      case "phrase":
+        if (!tok.value.trim()) throw new QueryError("Empty phrase", tok.start, tok.end);
+        return negate({ type: "text", value: tok.value.toLowerCase(), phrase: true }, tok.negated);
+      case "field":
+        return negate(fieldNode(tok), tok.negated);
+      default:
+        return negate({ type: "text", value: tok.value.toLowerCase(), phrase: false }, tok.negated);
+    }
+  }
+
+  if (!tokens.length) return null;
+  const ast = parseOr();
+  if (pos < tokens.length) {
+    const tok = tokens[pos];
+    throw new QueryError(tok.type === "rparen" ? "Unexpected )" : "Unexpected input", tok.start, tok.end);
+  }
+  return ast;
+}
+
+// ---- Evaluation ----
+
+// Items are never mutated once normalized, so each one's search text is built once, not per keystroke.
+const haystacks = new WeakMap();
+
+/**
+ * The lowercased text a word or phrase matches against. Keyword alerts and the Saved view
+ * match the same text, so one query finds the same items everywhere.
+ */
+export function itemSearchText(item) {
+  let text = haystacks.get(item);
+  if (text === undefined) {
+    text = [item.title, item.summary, item.author, item.subreddit, item.host, (item.tags || []).join(" ")]
+      .filter(Boolean)
+      .join(" ")
+      .toLowerCase();
+    haystacks.set(item, text);
+  }
+  return text;
+}
+
+function matchField(field, value, item) {
+  switch (field) {
+    case "source":
+      return item.source === value || (getSource(item.source)?.meta.name || "").toLowerCase().startsWith(value);
+    case "author":
+      return String(item.author || "").toLowerCase().includes(value);
+    case "host": {
+      const host = String(item.host || "").toLowerCase();
+      return host === value || host.endsWith(`.${value}`) || host.includes(value);
+    }
+    case "sub":
+      return String(item.subreddit || "").toLowerCase().replace(/^r\//, "") === value.replace(/^\/?r\//, "");
+    case "tag":
+      return [...(item.tags || []), ...(item.topics || []), item.language]
+        .filter(Boolean)
+        .some((t) => String(t).toLowerCase() === value);
+    default:
+      return false;
+  }
+}
+
+export function evaluate(node, item, now = Date.now()) {
+  switch (node.type) {
+    case "and":
+      return node.children.every((c) => evaluate(c, item, now));
+    case "or":
+      return node.children.some((c) => evaluate(c, item, now));
+    case "not":
+      return !evaluate(node.child, item, now);
+    case "text":
+      // An index hit settles it without a substring scan; the scan still catches mid-word matches.
+      return (!node.phrase && Boolean(node.hits?.has(item.id))) || itemSearchText(item).includes(node.value);
+    case "field":
+      return matchField(node.field, node.value, item);
+    case "number":
+      return typeof item[node.field] === "number" && compare(node.op, item[node.field], node.value);
+    case "age":
+      return Boolean(item.date) && compare(node.op, now - item.date.getTime(), node.ms);
+    default:
+      return false;
+  }
+}
+
+/** Words and phrases the query looks for (outside of exclusions), for highlighting. */
+export function highlightTerms(node, out = []) {
+  if (!node || node.type === "not") return out;
+  if (node.type === "text") out.push(node.value);
+  for (const c of node.children || []) highlightTerms(c, out);
+  return out;
+}
+
+/**
+ * Look up every text node outside of exclusions in `index`, storing { hits, forms } on it.
+ * Exclusions stay literal so "-crypt" doesn't also drop a typo'd neighbour. Returns the looked-up nodes.
+ */
+function attachHits(node, index, out = []) {
+  if (!node || node.type === "not") return out;
+  if (node.type === "text") {
+    Object.assign(node, index.lookup(node.value));
+    out.push(node);
+  }
+  for (const c of node.children || []) attachHits(c, index, out);
+  return out;
+}
+
+/**
+ * Parse once, match many: { match(item) | null, score(item) | null, error: QueryError | null, highlights }.
+ * `match` is null for an empty or invalid query — the caller shows everything.
+ * With a search index (see searchIndex.js) words also match by stem, prefix and typo, and
+ * `score` ranks matches by relevance; phrases still match exactly but add to the score.
+ */
+export function compileQuery(input, index = null) {
+  const none = { match: null, score: null, error: null, highlights: [] };
+  try {
+    const ast = parse(String(input || ""));
+    if (!ast) return none;
+    const now = Date.now();
+    const terms = index ? attachHits(ast, index) : [];
+    return {
+      match: (item) => evaluate(ast, item, now),
+      score: terms.length ? (item) => terms.reduce((sum, t) => sum + (t.hits.get(item.id) || 0), 0) : null,
+      error: null,
+      highlights: [...highlightTerms(ast), ...terms.flatMap((t) => (t.phrase ? [] : t.forms))],
+    };
+  } catch (e) {
+    if (e instanceof QueryError) return { ...none, error: e };
+    throw e;
+  }
+}
@@ -0,0 +1,286 @@
+import { describe, expect, it } from "vitest";
+import { QueryError, compileQuery, evaluate, highlightTerms, lex, parse } from "./query.js";
+import { createSearchIndex } from "./searchIndex.js";
+
+const NOW = Date.UTC(2026, 0, 10, 12);
+const hoursAgo = (h) => new Date(NOW - h * 3600e3);
+
+const ITEMS = {
+  rust: {
+    id: "hn_1",
+    source: "hn",
+    title: "Rust async in practice",
+    summary: "open source runtimes compared",
+    author: "pg",
+    host: "blog.github.com",
+    score: 1500,
+    comments: 50,
+    date: hoursAgo(2),
+  },
+  go: {
+    id: "rd_1",
+    source: "reddit",
+    title: "Go generics, one year on",
+    author: "Jane Doe",
+    subreddit: "r/golang",
+    host: "go.dev",
+    score: 90,
+    comments: 12,
+    date: hoursAgo(30),
+    tags: ["Lang"],
+  },
+  crypto: {
+    id: "gh_1",
+    source: "github",
+    title: "A state-of-the-art crypto wallet in Rust",
+    author: "web3dev",
+    host: "github.com",
+    score: 999,
+    topics: ["web3"],
+    language: "Rust",
+    date: hoursAgo(200),
+  },
+};
+
+function matching(input) {
+  const ast = parse(input);
+  return Object.entries(ITEMS)
+    .filter(([, it]) => evaluate(ast, it, NOW))
+    .map(([k]) => k);
+}
+
+function errorOf(input) {
+  try {
+    parse(input);
+  } catch (e) {
+    expect(e).toBeInstanceOf(QueryError);
+    return { message: e.message, range: input.slice(e.start, e.end), start: e.start, end: e.end };
+  }
+  throw new Error(`expected "${input}" to fail`);
+}
+
+describe("lex", () => {
+  it("splits words, phrases, parens and OR", () => {
+    expect(lex('(rust OR go) "open source"').map((t) => t.type)).toEqual([
+      "lparen",
+      "word",
+      "or",
+      "word",
+      "rparen",
+      "phrase",
+    ]);
+  });
+
+  it("records character ranges", () => {
+    const [word, phrase] = lex('rust "a b"');
+    expect(word).toMatchObject({ start: 0, end: 4 });
+    expect(phrase).toMatchObject({ value: "a b", start: 5, end: 10 });
+  });
+
+  it("treats a leading - as exclusion but not hyphens inside words", () => {
+    expect(lex("-crypto")[0]).toMatchObject({ type: "word", value: "crypto", negated: true });
+    expect(lex("state-of-the-art")[0]).toMatchObject({ type: "word", value: "state-of-the-art", negated: false });
+    expect(lex("a - b").map((t) => t.value)).toEqual(["a", "-", "b"]);
+    expect(lex('-"web3"')[0]).toMatchObject({ type: "phrase", negated: true });
+    expect(lex("-(a)")[0]).toMatchObject({ type: "lparen", negated: true });
+  });
+
+  it("recognizes field qualifiers, quoted values and unknown fields as text", () => {
+    expect(lex('author:"Jane Doe"')[0]).toMatchObject({ type: "field", field: "author", value: "Jane Doe" });
+    expect(lex("SOURCE:hn")[0]).toMatchObject({ type: "field", field: "source", value: "hn" });
+    expect(lex("foo:bar")[0]).toMatchObject({ type: "word", value: "foo:bar" });
+    expect(lex("http://x.com")[0]).toMatchObject({ type: "word" });
+  });
+
+  it("only treats upper-case OR as an operator", () => {
+    expect(lex("or")[0].type).toBe("word");
+    expect(lex("-OR")[0]).toMatchObject({ type: "word", negated: true });
+  });
+});
+
+describe("parse", () => {
+  it("returns null for blank input", () => {
+    expect(parse("   ")).toBeNull();
+  });
+
+  it("joins words with an implicit AND", () => {
+    expect(parse("Rust async")).toEqual({
+      type: "and",
+      children: [
+        { type: "text", value: "rust", phrase: false },
+        { type: "text", value: "async", phrase: false },
+      ],
+    });
+  });
+
+  it("binds OR looser than AND", () => {
+    const ast = parse("a b OR c");
+    expect(ast.type).toBe("or");
+    expect(ast.children[0].type).toBe("and");
+    expect(ast.children[1]).toMatchObject({ type: "text", value: "c" });
+  });
+
+  it("groups with parentheses", () => {
+    const ast = parse("(a OR b) c");
+    expect(ast.type).toBe("and");
+    expect(ast.children[0].type).toBe("or");
+  });
+
+  it("parses numeric qualifiers with operators and k suffix", () => {
+    expect(parse("score:1k")).toEqual({ type: "number", field: "score", op: "=", value: 1000 });
+    expect(parse("score:>1.5k")).toMatchObject({ op: ">", value: 1500 });
+    expect(parse("comments:>=50")).toEqual({ type: "number", field: "comments", op: ">=", value: 50 });
+  });
+
+  it("parses age durations", () => {
+    expect(parse("age:<6h")).toEqual({ type: "age", op: "<", ms: 6 * 3600e3 });
+    expect(parse("age:>=2d")).toMatchObject({ op: ">=", ms: 2 * 86400e3 });
+    expect(parse("age:30m").ms).toBe(30 * 60e3);
+    expect(parse("age:1w").ms).toBe(7 * 86400e3);
+  });
+
+  it("wraps exclusions in not", () => {
+    expect(parse("-crypto")).toEqual({ type: "not", child: { type: "text", value: "crypto", phrase: false } });
+  });
+});
+
+describe("parse errors", () => {
+  it("points at an unclosed quote", () => {
+    expect(errorOf('rust "open source')).toEqual({
+      message: "Missing closing quote",
+      range: '"open source',
+      start: 5,
+      end: 17,
+    });
+  });
+
+  it("points at OR without a right-hand term", () => {
+    expect(errorOf("rust OR")).toMatchObject({ message: "OR needs a term on both sides", range: "OR" });
+    expect(errorOf("rust OR )")).toMatchObject({ message: "OR needs a term on both sides", range: "OR" });
+    expect(errorOf("OR rust")).toMatchObject({ message: "OR needs a term on both sides", range: "OR" });
+  });
+
+  it("points at a stray )", () => {
+    expect(errorOf("rust )")).toMatchObject({ message: "Unexpected )", range: ")", start: 5 });
+    expect(errorOf(")")).toMatchObject({ message: "Unexpected )", start: 0, end: 1 });
+  });
+
+  it("reports unclosed and empty groups", () => {
+    expect(errorOf("(rust go")).toMatchObject({ message: "Missing )", range: "(" });
+    expect(errorOf("()")).toMatchObject({ message: "Empty group", range: "()" });
+  });
+
+  it("reports bad field values", () => {
+    expect(errorOf("score:lots")).toMatchObject({ message: expect.stringMatching(/expects a number/), range: "score:lots" });
+    expect(errorOf("age:6")).toMatchObject({ message: expect.stringMatching(/expects a duration/) });
+    expect(errorOf("author:")).toMatchObject({ message: "Missing value after author:" });
+    expect(errorOf('""')).toMatchObject({ message: "Empty phrase" });
+  });
+});
+
+describe("evaluate", () => {
+  it("matches words anywhere in title, summary, author, sub, host and tags", () => {
+    expect(matching("rust")).toEqual(["rust", "crypto"]);
+    expect(matching("runtimes")).toEqual(["rust"]);
+    expect(matching("golang")).toEqual(["go"]);
+    expect(matching("lang")).toEqual(["go"]);
+  });
+
+  it("matches exact phrases", () => {
+    expect(matching('"open source"')).toEqual(["rust"]);
+    expect(matching('"source open"')).toEqual([]);
+  });
+
+  it("excludes words and phrases", () => {
+    expect(matching("rust -crypto")).toEqual(["rust"]);
+    expect(matching('rust -"in practice"')).toEqual(["crypto"]);
+    expect(matching("state-of-the-art")).toEqual(["crypto"]);
+  });
+
+  it("applies OR and grouping", () => {
+    expect(matching("generics OR wallet")).toEqual(["go", "crypto"]);
+    expect(matching("(generics OR wallet) -crypto")).toEqual(["go"]);
+    expect(matching("-(rust OR go)")).toEqual([]);
+  });
+
+  it("filters by source id or name prefix", () => {
+    expect(matching("source:hn")).toEqual(["rust"]);
+    expect(matching("source:hacker")).toEqual(["rust"]);
+    expect(matching("source:reddit")).toEqual(["go"]);
+  });
+
+  it("filters by author, host, sub and tag", () => {
+    expect(matching('author:"jane doe"')).toEqual(["go"]);
+    expect(matching("author:pg")).toEqual(["rust"]);
+    expect(matching("host:github.com")).toEqual(["rust", "crypto"]);
+    expect(matching("sub:golang")).toEqual(["go"]);
+    expect(matching("sub:r/golang")).toEqual(["go"]);
+    expect(matching("tag:web3")).toEqual(["crypto"]);
+    expect(matching("tag:rust")).toEqual(["crypto"]);
+    expect(matching("tag:lang")).toEqual(["go"]);
+  });
+
+  it("compares score and comments", () => {
+    expect(matching("score:>100")).toEqual(["rust", "crypto"]);
+    expect(matching("score:1.5k")).toEqual(["rust"]);
+    expect(matching("score:<=90")).toEqual(["go"]);
+    expect(matching("comments:>=50")).toEqual(["rust"]);
+    expect(matching("comments:>0")).toEqual(["rust", "go"]);
+  });
+
+  it("compares age", () => {
+    expect(matching("age:<6h")).toEqual(["rust"]);
+    expect(matching("age:<2d")).toEqual(["rust", "go"]);
+    expect(matching("age:>1w")).toEqual(["crypto"]);
+  });
+});
+
+describe("compileQuery", () => {
+  it("returns no matcher for empty input", () => {
+    expect(compileQuery("")).toEqual({ match: null, score: null, error: null, highlights: [] });
+  });
+
+  it("returns the error instead of throwing", () => {
+    const q = compileQuery("rust OR");
+    expect(q.match).toBeNull();
+    expect(q.error).toBeInstanceOf(QueryError);
+  });
+
+  it("matches items and lists highlight terms outside exclusions", () => {
+    const q = compileQuery('Rust "open source" -crypto score:>10');
+    expect(q.match(ITEMS.rust)).toBe(true);
+    expect(q.match(ITEMS.crypto)).toBe(false);
+    expect(q.highlights).toEqual(["rust", "open source"]);
+    expect(q.score).toBeNull();
+  });
+
+  it("with an index, matches by stem and typo and scores matches", () => {
+    const index = createSearchIndex();
+    index.addAll([...Object.values(ITEMS), { id: "x", title: "Deploying Kubernetes" }]);
+    const q = compileQuery("kubernete deploy", index);
+    const item = { id: "x", title: "Deploying Kubernetes" };
+    expect(q.match(item)).toBe(true);
+    expect(q.score(item)).toBeGreaterThan(0);
+    expect(q.score(ITEMS.go)).toBe(0);
+    expect(q.highlights).toEqual(expect.arrayContaining(["kubernetes", "deploying"]));
+  });
+
+  it("builds an item's search text once across keystrokes", () => {
+    let reads = 0;
+    const item = {
+      id: "t",
+      get title() {
+        reads += 1;
+        return "Rust async in practice";
+      },
+    };
+    for (const input of ["r", "ru", "rust", "rust async", '"in practice"']) compileQuery(input).match(item);
+    expect(reads).toBe(1);
+  });
+});
+
+describe("highlightTerms", () => {
+  it("skips excluded subtrees", () => {
+    expect(highlightTerms(parse("a (b OR -c) -(d e)"))).toEqual(["a", "b"]);
+  });
+});
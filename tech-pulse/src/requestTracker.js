@@ -0,0 +1,50 @@
+// ---------------------------
+// Per-key request cancellation + generation tokens
+// ---------------------------
+
+/**
+ * One in-flight request per key (usually a column id). Starting a new request
+ * aborts the previous one for the same key and bumps its generation, so a slow
+ * earlier response can tell it has been superseded even if it ignored the abort.
+ */
+export function createRequestTracker() {
+  const controllers = new Map();
+  const generations = new Map();
+
+  function abort(key) {
+    controllers.get(key)?.abort();
+    controllers.delete(key);
+  }
+
+  return {
+    begin(key) {
+      abort(key);
+      const controller = new AbortController();
+      const generation = (generations.get(key) || 0) + 1;
+      controllers.set(key, controller);
+      generations.set(key, generation);
+      return {
+        signal: controller.signal,
+        generation,
+        isCurrent: () => generations.get(key) === generation && !controller.signal.aborted,
+        done: () => {
+          if (controllers.get(key) === controller) controllers.delete(key);
+        },
+      };
+    },
+
+    generation(key) {
+      return generations.get(key) || 0;
+    },
+
+    abort(key) {
+      abort(key);
+      // Anything still resolving for this key is now stale.
+      generations.set(key, (generations.get(key) || 0) + 1);
+    },
+
+    abortAll() {
+      for (const key of Array.from(controllers.keys())) this.abort(key);
+    },
+  };
+}
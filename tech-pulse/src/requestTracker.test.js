@@ -0,0 +1,51 @@
+import { describe, expect, it } from "vitest";
+import { createRequestTracker } from "./requestTracker.js";
+
+describe("createRequestTracker", () => {
+  it("aborts the previous request for a key when a new one begins", () => {
+    const requests = createRequestTracker();
+    const a = requests.begin("c1");
+    requests.begin("c1");
+    expect(a.signal.aborted).toBe(true);
+  });
+
+  it("marks only the latest request for a key as current", () => {
+    const requests = createRequestTracker();
+    const a = requests.begin("c1");
+    const b = requests.begin("c1");
+    expect(a.isCurrent()).toBe(false);
+    expect(b.isCurrent()).toBe(true);
+    expect(b.generation).toBe(a.generation + 1);
+  });
+
+  it("abort(key) makes in-flight results stale", () => {
+    const requests = createRequestTracker();
+    const req = requests.begin("c1");
+    requests.abort("c1");
+    expect(req.signal.aborted).toBe(true);
+    expect(req.isCurrent()).toBe(false);
+    expect(requests.generation("c1")).toBe(2);
+  });
+
+  it("done() only forgets its own controller", () => {
+    const requests = createRequestTracker();
+    const a = requests.begin("c1");
+    const b = requests.begin("c1");
+    a.done();
+    requests.abort("c1");
+    expect(b.signal.aborted).toBe(true);
+  });
+
+  it("keeps keys independent and abortAll cancels every one", () => {
+    const requests = createRequestTracker();
+    const a = requests.begin("c1");
+    const b = requests.begin("c2");
+    requests.begin("c1");
+    expect(b.isCurrent()).toBe(true);
+    expect(a.isCurrent()).toBe(false);
+
+    requests.abortAll();
+    expect(b.signal.aborted).toBe(true);
+    expect(requests.generation("c2")).toBe(2);
+  });
+});
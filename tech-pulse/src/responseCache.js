@@ -0,0 +1,49 @@
+import { withStore } from "./db.js";
+
+// ---------------------------
+// Response cache (IndexedDB "responses" store)
+// ---------------------------
+
+const MAX_AGE_MS = 7 * 24 * 3600 * 1000; // entries older than this are pruned
+
+let pruned = false;
+
+/** One entry per source type + column config + cursor. */
+export function cacheKey(type, config, cursor) {
+  return `${type}|${JSON.stringify(config ?? {})}|${JSON.stringify(cursor ?? null)}`;
+}
+
+/** Resolves { value, savedAt } or null. Never rejects: a broken cache is just a miss. */
+export async function readCache(key) {
+  try {
+    const entry = await withStore("responses", "readonly", (store) => store.get(key));
+    return entry ? { value: entry.value, savedAt: entry.savedAt } : null;
+  } catch {
+    return null;
+  }
+}
+
+export async function writeCache(key, value) {
+  try {
+    await withStore("responses", "readwrite", (store) => store.put({ key, value, savedAt: Date.now() }));
+    if (!pruned) {
+      pruned = true;
+      await pruneCache();
+    }
+  } catch {
+    // Quota exceeded or IndexedDB unavailable — run uncached.
+  }
+}
+
+function pruneCache() {
+  const cutoff = IDBKeyRange.upperBound(Date.now() - MAX_AGE_MS);
+  return withStore("responses", "readwrite", (store) => {
+    const req = store.index("savedAt").openCursor(cutoff);
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return;
+      cursor.delete();
+      cursor.continue();
+    };
+  });
+}
@@ -0,0 +1,61 @@
+// ---------------------------
+// HTML sanitizer for third-party comment bodies
+// ---------------------------
+
+const ALLOWED_TAGS = new Set([
+  "A", "B", "BLOCKQUOTE", "BR", "CODE", "DEL", "EM", "H1", "H2", "H3", "H4", "HR", "I",
+  "LI", "OL", "P", "PRE", "S", "STRONG", "SUP", "TABLE", "TBODY", "TD", "TH", "THEAD", "TR", "UL",
+]);
+
+// Dropped together with everything inside them (not unwrapped).
+const DROP_WITH_CONTENT = new Set(["SCRIPT", "STYLE", "IFRAME", "OBJECT", "EMBED", "TEMPLATE", "NOSCRIPT", "SVG", "MATH"]);
+
+const HTML_NS = "http://www.w3.org/1999/xhtml";
+
+function cleanNode(node, doc) {
+  for (const el of Array.from(node.childNodes)) {
+    if (el.nodeType === Node.COMMENT_NODE) {
+      el.remove();
+      continue;
+    }
+    if (el.nodeType !== Node.ELEMENT_NODE) continue;
+
+    // SVG and MathML elements report a lower-case tagName.
+    if (DROP_WITH_CONTENT.has(el.tagName.toUpperCase())) {
+      el.remove();
+      continue;
+    }
+
+    cleanNode(el, doc);
+
+    if (el.namespaceURI !== HTML_NS || !ALLOWED_TAGS.has(el.tagName)) {
+      el.replaceWith(...Array.from(el.childNodes));
+      continue;
+    }
+
+    const href = el.tagName === "A" ? el.getAttribute("href") : null;
+    for (const attr of Array.from(el.attributes)) el.removeAttribute(attr.name);
+    if (el.tagName === "A") {
+      let safe = "";
+      try {
+        const u = new URL(href || "", doc.baseURI);
+        if (u.protocol === "http:" || u.protocol === "https:") safe = u.toString();
+      } catch {
+        safe = "";
+      }
+      if (safe) {
+        el.setAttribute("href", safe);
+        el.setAttribute("target", "_blank");
+        el.setAttribute("rel", "noreferrer noopener nofollow");
+      }
+    }
+  }
+}
+
+/** Keep basic formatting + http(s) links; strip scripts, handlers, styles and everything else. */
+export function sanitizeHtml(html) {
+  if (!html) return "";
+  const doc = new DOMParser().parseFromString(`<body>${html}</body>`, "text/html");
+  cleanNode(doc.body, doc);
+  return doc.body.innerHTML;
+}
@@ -0,0 +1,85 @@
+// @vitest-environment jsdom
+import { describe, expect, it } from "vitest";
+import { sanitizeHtml } from "./sanitize.js";
+
+/** Parse the sanitizer's output back into a container to inspect it. */
+function clean(html) {
+  const div = document.createElement("div");
+  div.innerHTML = sanitizeHtml(html);
+  return div;
+}
+
+describe("sanitizeHtml", () => {
+  it("returns an empty string for empty input", () => {
+    expect(sanitizeHtml("")).toBe("");
+    expect(sanitizeHtml(null)).toBe("");
+  });
+
+  it("keeps basic formatting", () => {
+    expect(sanitizeHtml("<p>Hi <i>there</i></p><pre><code>x &lt; y</code></pre>")).toBe(
+      "<p>Hi <i>there</i></p><pre><code>x &lt; y</code></pre>"
+    );
+  });
+
+  it("keeps http(s) links and opens them in a new tab without an opener", () => {
+    const a = clean('<a href="https://example.com/x?y=1" title="t" style="color:red">x</a>').querySelector("a");
+    expect(a.getAttribute("href")).toBe("https://example.com/x?y=1");
+    expect(a.getAttribute("target")).toBe("_blank");
+    expect(a.getAttribute("rel")).toBe("noreferrer noopener nofollow");
+    expect(a.hasAttribute("title")).toBe(false);
+    expect(a.hasAttribute("style")).toBe(false);
+  });
+
+  it.each([
+    "javascript:alert(1)",
+    " JavaScript:alert(1)",
+    "java\tscript:alert(1)",
+    "&#106;avascript:alert(1)",
+    "data:text/html,<script>alert(1)</script>",
+    "vbscript:msgbox(1)",
+  ])("drops the href %j", (href) => {
+    const a = clean(`<a href="${href}">x</a>`).querySelector("a");
+    expect(a.hasAttribute("href")).toBe(false);
+    expect(a.textContent).toBe("x");
+  });
+
+  it("strips on* handlers and every other attribute", () => {
+    const div = clean('<p onclick="alert(1)" class="c" id="i"><b onmouseover="alert(1)">x</b></p>');
+    for (const el of div.querySelectorAll("*")) expect(Array.from(el.attributes)).toEqual([]);
+    expect(div.innerHTML).toBe("<p><b>x</b></p>");
+  });
+
+  it.each([
+    ["script", "<script>alert(1)</script>"],
+    ["style", "<style>body{display:none}</style>"],
+    ["noscript", "<noscript><p>fallback</p></noscript>"],
+    ["iframe", '<iframe src="https://evil.example"></iframe>'],
+    ["template", "<template><p>hidden</p></template>"],
+    ["svg", '<svg onload="alert(1)"><script>alert(1)</script><text>svg text</text></svg>'],
+    ["math", "<math><mtext>math text</mtext><style>x{}</style></math>"],
+  ])("drops %s together with its content", (_, html) => {
+    expect(sanitizeHtml(`<p>before</p>${html}<p>after</p>`)).toBe("<p>before</p><p>after</p>");
+  });
+
+  it("unwraps disallowed tags but keeps their text", () => {
+    expect(sanitizeHtml('<div><span style="x">hello</span> <img src=x onerror="alert(1)"><u>world</u></div>')).toBe(
+      "hello world"
+    );
+  });
+
+  it("cleans content nested inside unwrapped tags", () => {
+    expect(sanitizeHtml('<div><font><a href="javascript:alert(1)" onclick="x">link</a></font></div>')).toBe(
+      "<a>link</a>"
+    );
+  });
+
+  it("removes comments", () => {
+    expect(sanitizeHtml("<p>a<!-- <script>alert(1)</script> -->b</p>")).toBe("<p>ab</p>");
+  });
+
+  it("does not let markup in text become elements", () => {
+    const div = clean("<p>&lt;img src=x onerror=alert(1)&gt;</p>");
+    expect(div.querySelector("img")).toBeNull();
+    expect(div.textContent).toBe("<img src=x onerror=alert(1)>");
+  });
+});
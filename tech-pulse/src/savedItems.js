@@ -0,0 +1,28 @@
+import { withStore } from "./db.js";
+
+// ---------------------------
+// Saved items (bookmarks) — IndexedDB "saved" store
+// ---------------------------
+
+/**
+ * Record shape:
+ * { id, item, savedAt: Date, tags: string[], notes: string }
+ * `item` is the full normalized item as it looked when saved.
+ */
+
+export function listSaved() {
+  return withStore("saved", "readonly", (store) => store.getAll());
+}
+
+export function putSaved(record) {
+  return withStore("saved", "readwrite", (store) => store.put(record));
+}
+
+export function deleteSaved(id) {
+  return withStore("saved", "readwrite", (store) => store.delete(id));
+}
+
+export function normalizeTags(input) {
+  const list = Array.isArray(input) ? input : String(input || "").split(",");
+  return Array.from(new Set(list.map((t) => t.trim().toLowerCase()).filter(Boolean)));
+}
@@ -0,0 +1,30 @@
+import { createContext } from "react";
+
+// ---------------------------
+// Search-term highlighting
+// ---------------------------
+
+/** RegExp matching any search term (longest first), or null; provided app-wide via HighlightContext. */
+export const HighlightContext = createContext(null);
+
+export function highlightPattern(terms) {
+  const unique = Array.from(new Set(terms.map((t) => t.trim()).filter(Boolean))).sort((a, b) => b.length - a.length);
+  if (!unique.length) return null;
+  return new RegExp(`(${unique.map((t) => t.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|")})`, "gi");
+}
+
+/** [{ text, match }] pieces of `text`; a single unmatched piece when nothing matches. */
+export function highlightSegments(text, pattern) {
+  const s = String(text ?? "");
+  if (!pattern || !s) return [{ text: s, match: false }];
+  const out = [];
+  let last = 0;
+  for (const m of s.matchAll(pattern)) {
+    if (!m[0]) continue;
+    if (m.index > last) out.push({ text: s.slice(last, m.index), match: false });
+    out.push({ text: m[0], match: true });
+    last = m.index + m[0].length;
+  }
+  if (last < s.length) out.push({ text: s.slice(last), match: false });
+  return out;
+}
@@ -0,0 +1,208 @@
+// ---------------------------
+// In-memory full-text index: stemming, prefix and typo-tolerant lookup, BM25 ranking
+// ---------------------------
+
+/** Item fields and their ranking weights; a title hit counts three body hits. */
+export const ITEM_FIELDS = [
+  { weight: 3, get: (it) => it.title },
+  { weight: 1.5, get: (it) => [it.author, it.subreddit, it.host, ...(it.tags || []), ...(it.topics || [])].join(" ") },
+  { weight: 1, get: (it) => it.summary },
+];
+
+// How much a non-exact vocabulary match is worth relative to an exact (stemmed) one.
+const PREFIX_WEIGHT = 0.7;
+const TYPO_WEIGHT = [1, 0.5, 0.3]; // by edit distance
+const MAX_FORMS = 12; // surface words per query term handed to the highlighter
+
+// BM25 parameters (the usual defaults).
+const K1 = 1.2;
+const B = 0.75;
+
+/** Lowercased words with diacritics folded; "c++" and "c#" stay whole, "node.js" is "node" + "js". */
+export function tokenize(text) {
+  return (
+    String(text || "")
+      .toLowerCase()
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .match(/[a-z0-9][a-z0-9+#]*/g) || []
+  );
+}
+
+const VOWEL = /[aeiouy]/;
+
+function stripSuffix(w, suffix, replacement = "") {
+  return w.length - suffix.length >= 3 && w.endsWith(suffix) ? w.slice(0, -suffix.length) + replacement : null;
+}
+
+/**
+ * Light English stemmer (a cut-down Porter): "deploying", "deployed", "deployment" → "deploy",
+ * "kubernetes" and "kubernete" → "kubernet". Short words and anything with digits pass through.
+ */
+export function stem(word) {
+  let w = word;
+  if (w.length <= 3 || /\d/.test(w)) return w;
+
+  // Plurals
+  if (w.endsWith("sses")) w = w.slice(0, -2);
+  else if (w.endsWith("ies") && w.length > 4) w = `${w.slice(0, -3)}y`;
+  else if (w.endsWith("s") && !/(ss|us|is)$/.test(w)) w = w.slice(0, -1);
+
+  // Verb endings, then undouble "running" → "run"
+  for (const suffix of ["ingly", "edly", "ing", "ed"]) {
+    const base = stripSuffix(w, suffix);
+    if (base !== null && VOWEL.test(base)) {
+      w = /([^aeiouylsz])\1$/.test(base) ? base.slice(0, -1) : base;
+      break;
+    }
+  }
+
+  // Common derivations
+  for (const [suffix, replacement] of [
+    ["ational", "ate"],
+    ["ization", "ize"],
+    ["ation", "ate"],
+    ["ness", ""],
+    ["ment", ""],
+    ["ly", ""],
+  ]) {
+    const base = stripSuffix(w, suffix, replacement);
+    if (base !== null) {
+      w = base;
+      break;
+    }
+  }
+
+  return w.length > 3 && w.endsWith("e") ? w.slice(0, -1) : w;
+}
+
+/** Levenshtein distance, or `max + 1` as soon as it is known to exceed `max`. */
+export function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (row[j] < best) best = row[j];
+    }
+    if (best > max) return max + 1;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/** Typos tolerated for a query word of this length: none below 5 letters, two from 8. */
+export function typoBudget(word) {
+  if (/\d/.test(word) || word.length < 5) return 0;
+  return word.length < 8 ? 1 : 2;
+}
+
+/**
+ * Add-only inverted index over documents keyed by id. Adding an id that is already
+ * indexed is a no-op, so callers can hand it a whole growing list after every page.
+ *
+ * `fields` is a list of { weight, get(doc) } (see ITEM_FIELDS).
+ */
+export function createSearchIndex(fields = ITEM_FIELDS) {
+  const postings = new Map(); // stem → Map<id, weighted term frequency>
+  const forms = new Map(); // surface word → stem
+  const lengths = new Map(); // id → weighted document length
+  let totalLength = 0;
+
+  function add(id, doc) {
+    if (id == null || lengths.has(id)) return false;
+    let length = 0;
+    for (const { weight, get } of fields) {
+      for (const word of tokenize(get(doc))) {
+        const s = stem(word);
+        if (!forms.has(word)) forms.set(word, s);
+        let posting = postings.get(s);
+        if (!posting) postings.set(s, (posting = new Map()));
+        posting.set(id, (posting.get(id) || 0) + weight);
+        length += weight;
+      }
+    }
+    lengths.set(id, length);
+    totalLength += length;
+    return true;
+  }
+
+  function bm25(s, weight, out) {
+    const posting = postings.get(s);
+    if (!posting) return;
+    const n = lengths.size;
+    const idf = Math.log(1 + (n - posting.size + 0.5) / (posting.size + 0.5));
+    const avg = totalLength / n || 1;
+    for (const [id, tf] of posting) {
+      const score = weight * idf * ((tf * (K1 + 1)) / (tf + K1 * (1 - B + (B * lengths.get(id)) / avg)));
+      // A query word counts once per document: its best-matching vocabulary entry.
+      if (score > (out.get(id) || 0)) out.set(id, score);
+    }
+  }
+
+  /** Map<id, score> for one word: its stem, words it is a prefix of, or stems within the typo budget. */
+  function expandWord(word, matched) {
+    const hits = new Map();
+    const target = stem(word);
+    const budget = typoBudget(word);
+    // Best weight per stem, so a stem reached both exactly and by prefix scores as exact.
+    const stems = new Map([[target, 1]]);
+    for (const [form, s] of forms) {
+      let weight = 0;
+      if (s === target) weight = 1;
+      else if (form.startsWith(word)) weight = PREFIX_WEIGHT;
+      else if (budget) {
+        const d = editDistance(target, s, budget);
+        if (d <= budget) weight = TYPO_WEIGHT[d];
+      }
+      if (!weight) continue;
+      if (weight > (stems.get(s) || 0)) stems.set(s, weight);
+      if (matched.size < MAX_FORMS) matched.add(form);
+    }
+    for (const [s, weight] of stems) bm25(s, weight, hits);
+    return hits;
+  }
+
+  /**
+   * Documents containing every word of `text` (exactly, by prefix or with a typo), scored
+   * by summed BM25. { hits: Map<id, score>, forms: matched surface words for highlighting }
+   */
+  function lookup(text) {
+    const matched = new Set();
+    let hits = null;
+    for (const word of tokenize(text)) {
+      const next = new Map();
+      for (const [id, score] of expandWord(word, matched)) {
+        if (!hits || hits.has(id)) next.set(id, (hits?.get(id) || 0) + score);
+      }
+      hits = next;
+    }
+    return { hits: hits || new Map(), forms: Array.from(matched) };
+  }
+
+  return {
+    add,
+    /** Index every not-yet-seen doc; returns how many were new. */
+    addAll(docs, idOf = (doc) => doc.id) {
+      let added = 0;
+      for (const doc of docs) if (add(idOf(doc), doc)) added += 1;
+      return added;
+    },
+    has: (id) => lengths.has(id),
+    get size() {
+      return lengths.size;
+    },
+    lookup,
+  };
+}
+
+/** Copy of `items` ordered by `score(item)`, best first; equal scores keep their order. */
+export function rankItems(items, score) {
+  return items
+    .map((item, i) => ({ item, i, s: score(item) }))
+    .sort((a, b) => b.s - a.s || a.i - b.i)
+    .map((r) => r.item);
+}
@@ -0,0 +1,179 @@
+import { describe, expect, it } from "vitest";
+import { createSearchIndex, editDistance, rankItems, stem, tokenize, typoBudget } from "./searchIndex.js";
+
+// Fixed corpus: ranking assertions below depend on exactly these documents.
+const CORPUS = [
+  { id: "k8s-title", title: "Deploying Kubernetes clusters at scale", summary: "Notes from running production." },
+  { id: "k8s-summary", title: "Weekly ops digest", summary: "Includes a short Kubernetes upgrade story." },
+  { id: "k8s-many", title: "Why we left Kubernetes", summary: "Kubernetes was too much; Kubernetes costs hurt." },
+  { id: "rust", title: "Rust async deep dive", summary: "Tokio internals and deployment tips.", author: "alice" },
+  { id: "go", title: "Go generics one year on", summary: "", subreddit: "r/golang", tags: ["lang"] },
+  { id: "js", title: "Node.js 22 released", summary: "", host: "nodejs.org" },
+];
+
+function indexed(docs = CORPUS) {
+  const index = createSearchIndex();
+  index.addAll(docs);
+  return index;
+}
+
+const ranked = (index, text) =>
+  Array.from(index.lookup(text).hits)
+    .sort((a, b) => b[1] - a[1])
+    .map(([id]) => id);
+
+describe("tokenize", () => {
+  it("lowercases, folds diacritics and keeps c++/c#", () => {
+    expect(tokenize("Café C++ and C# in Node.js")).toEqual(["cafe", "c++", "and", "c#", "in", "node", "js"]);
+    expect(tokenize(null)).toEqual([]);
+  });
+});
+
+describe("stem", () => {
+  it("reduces verb forms and derivations to one stem", () => {
+    expect(stem("deploying")).toBe("deploy");
+    expect(stem("deployed")).toBe("deploy");
+    expect(stem("deployment")).toBe("deploy");
+    expect(stem("deploys")).toBe("deploy");
+  });
+
+  it("treats a dropped trailing s or e the same", () => {
+    expect(stem("kubernete")).toBe(stem("kubernetes"));
+    expect(stem("release")).toBe(stem("released"));
+  });
+
+  it("handles plurals and doubled consonants", () => {
+    expect(stem("libraries")).toBe("library");
+    expect(stem("classes")).toBe("class");
+    expect(stem("running")).toBe("run");
+  });
+
+  it("leaves short words, -ss/-us/-is endings and numbers alone", () => {
+    expect(stem("go")).toBe("go");
+    expect(stem("class")).toBe("class");
+    expect(stem("status")).toBe("status");
+    expect(stem("analysis")).toBe("analysis");
+    expect(stem("es2024")).toBe("es2024");
+  });
+});
+
+describe("editDistance / typoBudget", () => {
+  it("computes Levenshtein distance", () => {
+    expect(editDistance("kitten", "sitting", 5)).toBe(3);
+    expect(editDistance("rust", "rust", 1)).toBe(0);
+    expect(editDistance("kubernets", "kubernetes", 2)).toBe(1);
+  });
+
+  it("stops at max + 1", () => {
+    expect(editDistance("kitten", "sitting", 1)).toBe(2);
+    expect(editDistance("a", "abcd", 2)).toBe(3);
+  });
+
+  it("allows no typos below 5 letters, one up to 7, two from 8", () => {
+    expect(typoBudget("rust")).toBe(0);
+    expect(typoBudget("async")).toBe(1);
+    expect(typoBudget("generic")).toBe(1);
+    expect(typoBudget("kubernetes")).toBe(2);
+    expect(typoBudget("es20245")).toBe(0);
+  });
+});
+
+describe("createSearchIndex", () => {
+  it("adds each id once", () => {
+    const index = indexed();
+    expect(index.size).toBe(CORPUS.length);
+    expect(index.addAll(CORPUS)).toBe(0);
+    expect(index.addAll([{ id: "new", title: "Fresh" }, ...CORPUS])).toBe(1);
+    expect(index.has("new")).toBe(true);
+    expect(index.add(null, { title: "x" })).toBe(false);
+  });
+
+  it("finds words by stem", () => {
+    expect(ranked(indexed(), "deploying").sort()).toEqual(["k8s-title", "rust"]);
+  });
+
+  it("finds words by prefix", () => {
+    const { hits, forms } = indexed().lookup("gen");
+    expect(Array.from(hits.keys())).toEqual(["go"]);
+    expect(forms).toEqual(["generics"]);
+  });
+
+  it("tolerates typos in longer words only", () => {
+    expect(ranked(indexed(), "kuberntes")).toHaveLength(3);
+    expect(ranked(indexed(), "asynk")).toEqual(["rust"]);
+    expect(ranked(indexed(), "rast")).toEqual([]);
+  });
+
+  it("requires every word to match", () => {
+    expect(ranked(indexed(), "kubernetes deploy")).toEqual(["k8s-title"]);
+    expect(ranked(indexed(), "kubernetes generics")).toEqual([]);
+  });
+
+  it("searches author, subreddit, host and tags", () => {
+    expect(ranked(indexed(), "alice")).toEqual(["rust"]);
+    expect(ranked(indexed(), "golang")).toEqual(["go"]);
+    expect(ranked(indexed(), "nodejs")).toEqual(["js"]);
+  });
+
+  it("returns nothing for blank text", () => {
+    expect(indexed().lookup("  ").hits.size).toBe(0);
+  });
+
+  it("picks up documents added after earlier lookups", () => {
+    const index = indexed();
+    expect(ranked(index, "wasm")).toEqual([]);
+    index.addAll([{ id: "wasm", title: "WASM everywhere" }]);
+    expect(ranked(index, "wasm")).toEqual(["wasm"]);
+  });
+});
+
+describe("BM25 ranking on the fixed corpus", () => {
+  it("weights a title hit above the same word in the summary", () => {
+    const index = indexed([
+      { id: "in-summary", title: "Weekly digest", summary: "Postgres tuning" },
+      { id: "in-title", title: "Postgres tuning", summary: "Weekly digest" },
+      { id: "other", title: "Unrelated", summary: "Nothing here" },
+    ]);
+    expect(ranked(index, "postgres")).toEqual(["in-title", "in-summary"]);
+  });
+
+  it("ranks title hits above summary hits", () => {
+    const order = ranked(indexed(), "kubernetes");
+    expect(order.indexOf("k8s-title")).toBeLessThan(order.indexOf("k8s-summary"));
+  });
+
+  it("ranks repeated mentions above a single one in the same field", () => {
+    const order = ranked(indexed(), "kubernetes");
+    expect(order.indexOf("k8s-many")).toBeLessThan(order.indexOf("k8s-summary"));
+  });
+
+  it("produces a stable, fully ordered result for the corpus", () => {
+    expect(ranked(indexed(), "kubernetes")).toEqual(["k8s-many", "k8s-title", "k8s-summary"]);
+  });
+
+  it("scores an exact word above a prefix or typo match of the same field", () => {
+    const index = indexed([
+      { id: "exact", title: "Deploy" },
+      { id: "prefix", title: "Deployer" },
+      { id: "typo", title: "Deplox" },
+      { id: "other", title: "Unrelated" },
+    ]);
+    expect(ranked(index, "deploy")).toEqual(["exact", "prefix", "typo"]);
+    expect(ranked(index, "deplox")[0]).toBe("typo");
+  });
+
+  it("weights rare words above common ones", () => {
+    const index = indexed();
+    const rare = index.lookup("tokio").hits.get("rust");
+    const common = index.lookup("kubernetes").hits.get("k8s-summary");
+    expect(rare).toBeGreaterThan(common);
+  });
+});
+
+describe("rankItems", () => {
+  it("orders by score and keeps ties in input order", () => {
+    const items = [{ id: "a" }, { id: "b" }, { id: "c" }];
+    const score = (it) => ({ a: 1, b: 2, c: 1 })[it.id];
+    expect(rankItems(items, score).map((it) => it.id)).toEqual(["b", "a", "c"]);
+  });
+});
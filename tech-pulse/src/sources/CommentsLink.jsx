@@ -0,0 +1,14 @@
+export default function CommentsLink({ item, onOpenThread }) {
+  const label = `${item.comments ?? 0} comments`;
+  if (!onOpenThread || !item.threadId) return <span>{label}</span>;
+  return (
+    <button
+      type="button"
+      onClick={() => onOpenThread(item)}
+      className="rounded hover:text-[#137fec] hover:underline"
+      title="Open discussion"
+    >
+      {label}
+    </button>
+  );
+}
@@ -0,0 +1,46 @@
+import { formatRelative, formatScore } from "../utils.js";
+import Highlight from "../Highlight.jsx";
+
+export default function GitHubCard({ item }) {
+  return (
+    <article className="group cursor-pointer rounded-lg border border-white/5 bg-[#202c3a] p-3 transition-colors hover:bg-[#253341]">
+      <div className="mb-1 flex flex-wrap items-center gap-2">
+        {item.kind === "release" ? (
+          <>
+            <span className="truncate text-[11px] font-semibold text-slate-300">{item.repo}</span>
+            {item.tag ? (
+              <span className="rounded bg-emerald-500/15 px-1.5 py-0.5 font-mono text-[10px] font-bold text-emerald-300">
+                {item.tag}
+              </span>
+            ) : null}
+            {item.prerelease ? (
+              <span className="rounded border border-amber-400/40 px-1.5 text-[10px] text-amber-300">pre-release</span>
+            ) : null}
+          </>
+        ) : null}
+        {item.date ? <span className="text-[10px] text-slate-400">{formatRelative(item.date)}</span> : null}
+      </div>
+      <h3 className="line-clamp-2 text-sm font-medium text-slate-100 group-hover:text-[#137fec]">
+        <a href={item.url} target="_blank" rel="noreferrer">
+          <Highlight text={item.title} />
+        </a>
+      </h3>
+      {item.summary ? (
+        <p className="mt-1 line-clamp-2 text-xs text-slate-300/70">
+          <Highlight text={item.summary} />
+        </p>
+      ) : null}
+      <div className="mt-2 flex flex-wrap items-center gap-3 text-xs text-slate-400">
+        {item.language ? (
+          <span className="flex items-center gap-1">
+            <span className="h-2 w-2 rounded-full bg-[#137fec]" />
+            {item.language}
+          </span>
+        ) : null}
+        <span>★ {formatScore(item.score)}</span>
+        <span>{item.comments ?? 0} open issues</span>
+        {item.author ? <span>by {item.author}</span> : null}
+      </div>
+    </article>
+  );
+}
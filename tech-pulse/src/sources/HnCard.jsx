@@ -0,0 +1,39 @@
+import { formatRelative, formatScore } from "../utils.js";
+import CommentsLink from "./CommentsLink.jsx";
+import Highlight from "../Highlight.jsx";
+
+export default function HnCard({ item, index, onOpenThread }) {
+  return (
+    <article className="group cursor-pointer rounded-lg border border-white/5 bg-[#202c3a] p-3 transition-colors hover:bg-[#253341]">
+      <div className="flex items-start gap-3">
+        <span className="mt-0.5 text-sm font-bold text-[#137fec]">{index + 1}.</span>
+        <div className="min-w-0 flex-1">
+          <h3 className="line-clamp-2 text-sm font-medium text-slate-100 group-hover:text-[#137fec]">
+            <a href={item.url} target="_blank" rel="noreferrer">
+              <Highlight text={item.title} />
+            </a>
+          </h3>
+          <div className="mt-2 flex flex-wrap items-center gap-2 text-xs text-slate-400">
+            <span className="flex items-center gap-1">↑ {formatScore(item.score)}</span>
+            <span>•</span>
+            <CommentsLink item={item} onOpenThread={onOpenThread} />
+            {item.host ? (
+              <>
+                <span>•</span>
+                <span>{item.host}</span>
+              </>
+            ) : null}
+          </div>
+          <div className="mt-1 text-xs text-slate-400">
+            {item.date ? formatRelative(item.date) : ""}
+            {item.author ? (
+              <>
+                {" "}by <span className="text-slate-200/80">{item.author}</span>
+              </>
+            ) : null}
+          </div>
+        </div>
+      </div>
+    </article>
+  );
+}
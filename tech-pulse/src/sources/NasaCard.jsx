@@ -0,0 +1,28 @@
+import { formatRelative } from "../utils.js";
+import Highlight from "../Highlight.jsx";
+
+export default function NasaCard({ item, index }) {
+  return (
+    <article className="cursor-pointer rounded-lg border border-white/5 bg-[#202c3a] p-3 transition-colors hover:bg-[#253341]">
+      <div className="flex items-start gap-3">
+        <span className="mt-0.5 text-sm font-bold text-[#137fec]">{index + 1}.</span>
+        <div className="min-w-0 flex-1">
+          <h3 className="line-clamp-2 text-sm font-semibold text-slate-100">
+            <a className="hover:text-[#137fec]" href={item.url} target="_blank" rel="noreferrer">
+              <Highlight text={item.title} />
+            </a>
+          </h3>
+          {item.imageUrl ? (
+            <div className="mt-2 overflow-hidden rounded-lg border border-white/10">
+              <img src={item.imageUrl} alt={item.title} className="h-28 w-full object-cover" loading="lazy" />
+            </div>
+          ) : null}
+          <p className="mt-2 line-clamp-3 text-xs text-slate-300/80"><Highlight text={item.summary} /></p>
+          <div className="mt-2 text-[11px] text-slate-400">
+            {item.date ? formatRelative(item.date) : ""}{item.author ? ` • ${item.author}` : ""}
+          </div>
+        </div>
+      </div>
+    </article>
+  );
+}
@@ -0,0 +1,51 @@
+import { formatScore } from "../utils.js";
+import Highlight from "../Highlight.jsx";
+
+const HOT_VOTES = 500;
+
+export default function ProductHuntCard({ item }) {
+  const topics = item.topics || [];
+  return (
+    <article className="group relative cursor-pointer overflow-hidden rounded-lg border border-white/5 bg-[#202c3a] p-3 transition-colors hover:bg-[#253341]">
+      {item.score >= HOT_VOTES ? (
+        <div className="absolute right-0 top-0 h-12 w-12">
+          <div className="absolute right-[-28px] top-[8px] w-[100px] rotate-45 bg-[#137fec] py-1 text-center text-[9px] font-bold text-white shadow-sm">
+            HOT
+          </div>
+        </div>
+      ) : null}
+      <div className="flex items-start gap-4">
+        {item.imageUrl ? (
+          <img src={item.imageUrl} alt={`${item.title} icon`} className="h-14 w-14 rounded-lg bg-slate-800 object-cover" loading="lazy" />
+        ) : (
+          <div className="flex h-14 w-14 items-center justify-center rounded-lg bg-slate-800 text-lg font-bold text-slate-400">
+            {item.title.slice(0, 1)}
+          </div>
+        )}
+        <div className="min-w-0 flex-1">
+          <h3 className="truncate text-sm font-bold text-slate-100 group-hover:text-[#137fec]">
+            <a href={item.url} target="_blank" rel="noreferrer">
+              <Highlight text={item.title} />
+            </a>
+          </h3>
+          <p className="mt-0.5 line-clamp-2 text-xs text-slate-400"><Highlight text={item.summary} /></p>
+          {topics.length ? (
+            <div className="mt-2 flex flex-wrap items-center gap-2">
+              {topics.map((t) => (
+                <span key={t} className="rounded border border-slate-700 px-1.5 text-[10px] font-medium text-slate-400">
+                  {t}
+                </span>
+              ))}
+            </div>
+          ) : null}
+        </div>
+        <div className="flex flex-col items-center gap-1">
+          <div className="flex h-14 w-12 flex-col items-center justify-center rounded border border-slate-600 bg-[#101922] group-hover:border-[#137fec]/50">
+            <span className="text-sm text-slate-400 group-hover:text-[#137fec]">▲</span>
+            <span className="text-xs font-bold text-slate-200">{formatScore(item.score)}</span>
+          </div>
+        </div>
+      </div>
+    </article>
+  );
+}
@@ -0,0 +1,20 @@
+import { formatRelative } from "../utils.js";
+import Highlight from "../Highlight.jsx";
+
+export default function QuoteCard({ item, index }) {
+  return (
+    <article className="rounded-lg border border-white/5 bg-[#202c3a] p-3">
+      <div className="flex items-start gap-3">
+        <span className="mt-0.5 text-sm font-bold text-[#137fec]">{index + 1}.</span>
+        <div className="min-w-0 flex-1">
+          <h3 className="text-sm font-semibold text-slate-100"><Highlight text={item.title} /></h3>
+          <p className="mt-2 text-xs text-slate-300/90"><Highlight text={item.summary} /></p>
+          <div className="mt-2 text-[11px] text-slate-400">
+            {item.author ? `— ${item.author}` : ""}
+            {item.date ? ` • ${formatRelative(item.date)}` : ""}
+          </div>
+        </div>
+      </div>
+    </article>
+  );
+}
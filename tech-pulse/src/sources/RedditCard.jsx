@@ -0,0 +1,42 @@
+import { formatRelative, formatScore } from "../utils.js";
+import CommentsLink from "./CommentsLink.jsx";
+import Highlight from "../Highlight.jsx";
+
+export default function RedditCard({ item, onOpenThread }) {
+  return (
+    <article className="group cursor-pointer rounded-lg border border-white/5 bg-[#202c3a] p-3 transition-colors hover:bg-[#253341]">
+      <div className="flex gap-3">
+        <div className="flex min-w-[26px] flex-col items-center gap-1 pt-1">
+          <span className="text-xs font-bold text-slate-200/90">{formatScore(item.score)}</span>
+        </div>
+        <div className="min-w-0 flex-1">
+          <div className="mb-1 flex items-center gap-2">
+            {item.subreddit ? (
+              <span className="rounded bg-white/10 px-1.5 py-0.5 text-[10px] font-bold text-slate-100">
+                {item.subreddit}
+              </span>
+            ) : null}
+            {item.date ? <span className="text-[10px] text-slate-400">{formatRelative(item.date)}</span> : null}
+          </div>
+          <h3 className="mb-2 line-clamp-2 text-sm font-medium text-slate-100 group-hover:text-[#137fec]">
+            <a href={item.url} target="_blank" rel="noreferrer">
+              <Highlight text={item.title} />
+            </a>
+          </h3>
+          {item.imageUrl ? (
+            <div className="relative mb-2 h-28 w-full overflow-hidden rounded-lg">
+              <img src={item.imageUrl} alt={item.title} className="h-full w-full object-cover" loading="lazy" />
+              <div className="absolute inset-0 bg-gradient-to-t from-black/60 to-transparent" />
+            </div>
+          ) : item.summary ? (
+            <p className="mb-2 line-clamp-3 text-xs text-slate-300/70"><Highlight text={item.summary} /></p>
+          ) : null}
+          <div className="flex items-center gap-3 text-xs text-slate-400">
+            <CommentsLink item={item} onOpenThread={onOpenThread} />
+            {item.author ? <span>by {item.author}</span> : null}
+          </div>
+        </div>
+      </div>
+    </article>
+  );
+}
@@ -0,0 +1,38 @@
+import { formatRelative } from "../utils.js";
+import Highlight from "../Highlight.jsx";
+
+export default function RssCard({ item, index }) {
+  return (
+    <article className="group cursor-pointer rounded-lg border border-white/5 bg-[#202c3a] p-3 transition-colors hover:bg-[#253341]">
+      <div className="flex items-start gap-3">
+        <span className="mt-0.5 text-sm font-bold text-[#137fec]">{index + 1}.</span>
+        <div className="min-w-0 flex-1">
+          <h3 className="line-clamp-2 text-sm font-medium text-slate-100 group-hover:text-[#137fec]">
+            <a href={item.url} target="_blank" rel="noreferrer">
+              <Highlight text={item.title} />
+            </a>
+          </h3>
+          {item.imageUrl ? (
+            <div className="mt-2 overflow-hidden rounded-lg border border-white/10">
+              <img src={item.imageUrl} alt={item.title} className="h-28 w-full object-cover" loading="lazy" />
+            </div>
+          ) : null}
+          {item.summary ? (
+            <p className="mt-2 line-clamp-3 text-xs text-slate-300/80">
+              <Highlight text={item.summary} />
+            </p>
+          ) : null}
+          <div className="mt-2 flex flex-wrap items-center gap-2 text-xs text-slate-400">
+            {item.host ? <span>{item.host}</span> : null}
+            {item.date ? <span>{formatRelative(item.date)}</span> : null}
+            {item.author ? (
+              <span>
+                by <span className="text-slate-200/80">{item.author}</span>
+              </span>
+            ) : null}
+          </div>
+        </div>
+      </div>
+    </article>
+  );
+}
@@ -0,0 +1,218 @@
+import { clampText, isoToDate, safeUrl } from "../utils.js";
+import { ConfigError, RateLimitError } from "../errors.js";
+import { fetchJson } from "../http.js";
+import GitHubCard from "./GitHubCard.jsx";
+
+// ---------------------------
+// GitHub REST — no key; a token on a proxy raises the rate limit
+// ---------------------------
+
+// A token in a VITE_ variable would be compiled into the public bundle, so it lives on an
+// optional proxy instead: VITE_GITHUB_PROXY forwards to api.github.com with the Authorization
+// header added server-side (README). `npm run dev` serves /api/github from vite.config.js.
+const API = "https://api.github.com";
+const DEV_PROXY = "/api/github";
+const WINDOW_DAYS = { "24h": 1, "7d": 7, "30d": 30 };
+const SEARCH_CAP = 1000; // the search API never returns past the first 1000 hits
+
+// Repo metadata (stars, issues, language) is shared by every release of a repo:
+// repo → { info, fetchedAt }, refetched once older than REPO_INFO_TTL or on a forced refresh.
+const repoInfo = new Map();
+const REPO_INFO_TTL = 30 * 60 * 1000;
+
+// GitHub answers an exhausted rate limit with 403 (sometimes 429) and x-ratelimit-remaining: 0,
+// resetting at x-ratelimit-reset (epoch seconds); secondary limits send Retry-After instead.
+function rateLimitError(err, now = Date.now()) {
+  const headers = err.headers;
+  if (!headers || (err.status !== 403 && err.status !== 429)) return null;
+  const retryAfter = Number(headers.get("retry-after"));
+  if (Number.isFinite(retryAfter) && retryAfter > 0) return new RateLimitError(err.url, err.status, retryAfter * 1000);
+  if (headers.get("x-ratelimit-remaining") !== "0") return null;
+  const reset = Number(headers.get("x-ratelimit-reset"));
+  return new RateLimitError(err.url, err.status, Number.isFinite(reset) ? Math.max(0, reset * 1000 - now) : 0);
+}
+
+function githubFetch(path, signal) {
+  const base = import.meta.env.VITE_GITHUB_PROXY || (import.meta.env.DEV ? DEV_PROXY : API);
+  return fetchJson(`${base}${path}`, { signal, headers: { Accept: "application/vnd.github+json" } }).catch((err) => {
+    throw (err.kind === "http" && rateLimitError(err)) || err;
+  });
+}
+
+function cleanRepos(list) {
+  return (list || []).map((r) => String(r).trim()).filter((r) => /^[\w.-]+\/[\w.-]+$/.test(r));
+}
+
+function normalizeRepo(r, dateField) {
+  const url = safeUrl(r.html_url || "");
+  return {
+    id: `gh_repo_${r.id}`,
+    source: "github",
+    kind: "repo",
+    title: r.full_name || r.name || "(Untitled)",
+    url,
+    date: isoToDate(r[dateField]),
+    summary: clampText(r.description || "", 160),
+    score: typeof r.stargazers_count === "number" ? r.stargazers_count : 0,
+    comments: typeof r.open_issues_count === "number" ? r.open_issues_count : 0,
+    author: r.owner?.login || "",
+    host: "github.com",
+    repo: r.full_name || "",
+    language: r.language || "",
+    tags: r.topics || [],
+  };
+}
+
+function normalizeRelease(rel, repo) {
+  const info = repoInfo.get(repo)?.info || {};
+  const url = safeUrl(rel.html_url || "");
+  return {
+    id: `gh_rel_${rel.id}`,
+    source: "github",
+    kind: "release",
+    title: rel.name || rel.tag_name || "(Untitled release)",
+    url,
+    date: isoToDate(rel.published_at || rel.created_at),
+    summary: clampText(rel.body || "", 160),
+    score: typeof info.stargazers_count === "number" ? info.stargazers_count : 0,
+    comments: typeof info.open_issues_count === "number" ? info.open_issues_count : 0,
+    author: rel.author?.login || "",
+    host: "github.com",
+    repo,
+    tag: rel.tag_name || "",
+    language: info.language || "",
+    prerelease: Boolean(rel.prerelease),
+  };
+}
+
+function repoInfoFresh(repo, force) {
+  const entry = repoInfo.get(repo);
+  return Boolean(entry) && !force && Date.now() - entry.fetchedAt < REPO_INFO_TTL;
+}
+
+async function fetchReleases({ config, page, signal, force }) {
+  const repos = cleanRepos(config.repos);
+  if (!repos.length) throw new ConfigError("Add at least one owner/repo in column settings.");
+
+  const settled = await Promise.allSettled(
+    repos.map(async (repo) => {
+      const [info, releases] = await Promise.allSettled([
+        repoInfoFresh(repo, force) ? null : githubFetch(`/repos/${repo}`, signal),
+        githubFetch(`/repos/${repo}/releases?per_page=${config.pageSize}&page=${page}`, signal),
+      ]);
+      // A failed lookup isn't cached, so the next load asks again; the releases still show without stars.
+      if (info.status === "fulfilled" && info.value) repoInfo.set(repo, { info: info.value, fetchedAt: Date.now() });
+      if (releases.status === "rejected") throw releases.reason;
+      return { repo, releases: releases.value };
+    })
+  );
+
+  // One bad repo shouldn't blank the column: show the rest and name the ones that failed.
+  const perRepo = settled.filter((r) => r.status === "fulfilled").map((r) => r.value);
+  const failed = repos.filter((_, i) => settled[i].status === "rejected");
+  if (!perRepo.length) throw settled[0].reason;
+
+  const items = perRepo
+    .flatMap(({ repo, releases }) => releases.filter((r) => !r.draft).map((r) => normalizeRelease(r, repo)))
+    .sort((a, b) => (b.date?.getTime() || 0) - (a.date?.getTime() || 0));
+  // A full page from any repo means that repo may have older releases left.
+  const hasMore = perRepo.some(({ releases }) => releases.length === config.pageSize);
+  const notice = failed.length ? `Couldn't load releases for ${failed.join(", ")}.` : null;
+  return { items, cursor: page + 1, hasMore, notice };
+}
+
+async function fetchTrending({ config, page, signal }) {
+  const since = new Date(Date.now() - WINDOW_DAYS[config.daysBack] * 24 * 3600 * 1000).toISOString().slice(0, 10);
+  // "created" = repos born in the window; "starred" = repos pushed to in the window, by total stars
+  // (GitHub search can't tell when stars were given, so this is not "recently starred").
+  const dateField = config.searchBy === "created" ? "created" : "pushed";
+  const terms = [`${dateField}:>${since}`];
+  if (config.language.trim()) terms.push(`language:${config.language.trim()}`);
+
+  const params = new URLSearchParams({
+    q: terms.join(" "),
+    sort: "stars",
+    order: "desc",
+    per_page: String(config.pageSize),
+    page: String(page),
+  });
+  const data = await githubFetch(`/search/repositories?${params.toString()}`, signal);
+  const items = (data.items || []).map((r) => normalizeRepo(r, `${dateField}_at`));
+  const total = Math.min(typeof data.total_count === "number" ? data.total_count : 0, SEARCH_CAP);
+  return { items, cursor: page + 1, hasMore: page * config.pageSize < total };
+}
+
+function fetchGitHub({ config, cursor, signal, force = false }) {
+  const args = { config, page: cursor, signal, force };
+  return config.mode === "releases" ? fetchReleases(args) : fetchTrending(args);
+}
+
+export default {
+  type: "github",
+  meta: {
+    name: "GitHub",
+    subtitle: "Releases and trending repos",
+    badge: "G",
+    badgeBg: "#24292f",
+    description: "Recently created or updated repositories by language, or the latest releases of chosen repos.",
+  },
+  initialCursor: 1, // REST pages are 1-based
+  paginated: true,
+  cacheTtl: REPO_INFO_TTL,
+  defaultConfig: {
+    mode: "search",
+    repos: ["facebook/react", "vitejs/vite"],
+    language: "",
+    searchBy: "created",
+    daysBack: "7d",
+    pageSize: 15,
+  },
+  configFields: [
+    { key: "mode", label: "Mode", kind: "select", options: ["search", "releases"] },
+    {
+      key: "repos",
+      label: "Repositories (owner/repo)",
+      kind: "list",
+      placeholder: "facebook/react, vitejs/vite",
+      visibleWhen: (draft) => draft.mode === "releases",
+    },
+    {
+      key: "language",
+      label: "Language",
+      kind: "text",
+      placeholder: "e.g., rust, typescript",
+      visibleWhen: (draft) => draft.mode === "search",
+    },
+    {
+      key: "searchBy",
+      label: "Repos",
+      kind: "select",
+      // "starred" stays the stored value so saved boards and shared links keep working.
+      options: ["created", "starred"],
+      optionLabels: { created: "Newly created", starred: "Most starred, recently active" },
+      visibleWhen: (draft) => draft.mode === "search",
+    },
+    {
+      key: "daysBack",
+      label: "Window",
+      kind: "select",
+      options: ["24h", "7d", "30d"],
+      visibleWhen: (draft) => draft.mode === "search",
+    },
+    { key: "pageSize", label: "Page size", kind: "select", options: [10, 15, 30] },
+  ],
+  validate: (config) => {
+    if (config.mode !== "releases") return {};
+    const bad = config.repos.filter((r) => !cleanRepos([r]).length);
+    if (!config.repos.length) return { repos: "Add at least one owner/repo." };
+    return bad.length ? { repos: `Use owner/repo: ${bad.join(", ")}` } : {};
+  },
+  describe: (config) => {
+    if (config.mode === "releases") return `Releases · ${cleanRepos(config.repos).join(", ")}`;
+    const what = config.searchBy === "created" ? "New repos" : "Most starred, recently active";
+    return `${what}${config.language ? ` · ${config.language}` : ""} · ${config.daysBack}`;
+  },
+  errorMessage: "Could not load GitHub. Unauthenticated requests are rate-limited; a token proxy raises the limit (see README).",
+  fetch: fetchGitHub,
+  Card: GitHubCard,
+};
@@ -0,0 +1,156 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import github from "./github.js";
+import { HttpError, RateLimitError } from "../errors.js";
+
+const release = (id, published) => ({ id, name: `v${id}`, tag_name: `v${id}`, published_at: published });
+
+// Tests run in dev mode, where requests go through the /api/github dev proxy.
+const apiUrl = (url) => {
+  const u = new URL(url, "http://localhost");
+  return new URL(`${u.pathname.replace(/^\/api\/github/, "")}${u.search}`, "https://api.github.com");
+};
+
+// Routes GitHub API paths to bodies; a number answers with that HTTP status instead, a Response as is.
+function stubGitHub(routes) {
+  const fetch = vi.fn(async (url) => {
+    const body = routes[apiUrl(url).pathname];
+    if (body instanceof Response) return body;
+    if (body === undefined || typeof body === "number") return new Response("{}", { status: body || 404 });
+    return new Response(JSON.stringify(body), { status: 200 });
+  });
+  vi.stubGlobal("fetch", fetch);
+  return fetch;
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.useRealTimers();
+});
+
+describe("github releases", () => {
+  const config = (repos) => ({ ...github.defaultConfig, mode: "releases", repos, pageSize: 2 });
+
+  it("shows the repos that loaded and names the ones that failed", async () => {
+    stubGitHub({
+      "/repos/ok/one": { stargazers_count: 42, language: "Go" },
+      "/repos/ok/one/releases": [release(1, "2026-01-02T00:00:00Z"), release(2, "2026-01-03T00:00:00Z")],
+      "/repos/ok/two": { stargazers_count: 7 },
+      "/repos/ok/two/releases": [release(3, "2026-01-04T00:00:00Z")],
+    });
+
+    const res = await github.fetch({ config: config(["ok/one", "gone/repo", "ok/two"]), cursor: 1 });
+
+    expect(res.items.map((it) => it.id)).toEqual(["gh_rel_3", "gh_rel_2", "gh_rel_1"]);
+    expect(res.items[1]).toMatchObject({ repo: "ok/one", score: 42, language: "Go" });
+    expect(res.notice).toBe("Couldn't load releases for gone/repo.");
+    expect(res.hasMore).toBe(true);
+  });
+
+  it("keeps releases when only the repo lookup fails, and asks again next load", async () => {
+    stubGitHub({
+      "/repos/flaky/info": 403,
+      "/repos/flaky/info/releases": [release(4, "2026-01-05T00:00:00Z")],
+    });
+
+    const first = await github.fetch({ config: config(["flaky/info"]), cursor: 1 });
+    expect(first.items[0]).toMatchObject({ id: "gh_rel_4", score: 0 });
+    expect(first.notice).toBeNull();
+
+    stubGitHub({
+      "/repos/flaky/info": { stargazers_count: 9 },
+      "/repos/flaky/info/releases": [release(4, "2026-01-05T00:00:00Z")],
+    });
+    const second = await github.fetch({ config: config(["flaky/info"]), cursor: 1 });
+    expect(second.items[0].score).toBe(9);
+  });
+
+  it("refetches repo metadata once it's stale or on a forced refresh", async () => {
+    const routes = (stars) => ({
+      "/repos/live/stars": { stargazers_count: stars },
+      "/repos/live/stars/releases": [release(5, "2026-01-06T00:00:00Z")],
+    });
+    const load = (force) => github.fetch({ config: config(["live/stars"]), cursor: 1, force });
+    const now = vi.spyOn(Date, "now");
+    now.mockReturnValue(Date.UTC(2026, 0, 10));
+
+    stubGitHub(routes(1));
+    expect((await load()).items[0].score).toBe(1);
+
+    stubGitHub(routes(2));
+    expect((await load()).items[0].score).toBe(1); // still cached
+    expect((await load(true)).items[0].score).toBe(2);
+
+    stubGitHub(routes(3));
+    now.mockReturnValue(Date.UTC(2026, 0, 10, 1));
+    expect((await load()).items[0].score).toBe(3);
+    now.mockRestore();
+  });
+
+  it("fails the load when every repo fails", async () => {
+    stubGitHub({});
+    await expect(github.fetch({ config: config(["gone/a", "gone/b"]), cursor: 1 })).rejects.toBeInstanceOf(HttpError);
+  });
+});
+
+describe("github repo search", () => {
+  const config = (searchBy) => ({ ...github.defaultConfig, searchBy, language: "rust" });
+
+  it("ranks repos pushed to in the window by stars and says so", async () => {
+    const fetch = stubGitHub({ "/search/repositories": { items: [], total_count: 0 } });
+
+    await github.fetch({ config: config("starred"), cursor: 1 });
+
+    expect(fetch.mock.calls[0][0]).toMatch(/^\/api\/github\/search\/repositories\?/); // the token-adding dev proxy
+    const params = apiUrl(fetch.mock.calls[0][0]).searchParams;
+    expect(params.get("q")).toMatch(/^pushed:>\d{4}-\d{2}-\d{2} language:rust$/);
+    expect(params.get("sort")).toBe("stars");
+    expect(github.describe(config("starred"))).toBe("Most starred, recently active · rust · 7d");
+  });
+
+  it("searches by creation date for new repos", async () => {
+    const fetch = stubGitHub({ "/search/repositories": { items: [], total_count: 0 } });
+
+    await github.fetch({ config: config("created"), cursor: 1 });
+
+    expect(apiUrl(fetch.mock.calls[0][0]).searchParams.get("q")).toMatch(/^created:>/);
+    expect(github.describe(config("created"))).toBe("New repos · rust · 7d");
+  });
+});
+
+describe("github rate limits", () => {
+  const NOW = Date.UTC(2026, 0, 10, 12);
+  const search = { ...github.defaultConfig, searchBy: "starred" };
+  const limited = (status, headers) => new Response('{"message":"API rate limit exceeded"}', { status, headers });
+
+  it("turns an exhausted limit's 403 into a RateLimitError that retries at the reset time", async () => {
+    vi.useFakeTimers({ now: NOW, toFake: ["Date"] });
+    const reset = NOW / 1000 + 42;
+    stubGitHub({
+      "/search/repositories": limited(403, { "x-ratelimit-remaining": "0", "x-ratelimit-reset": String(reset) }),
+    });
+
+    const err = await github.fetch({ config: search, cursor: 1 }).catch((e) => e);
+
+    expect(err).toBeInstanceOf(RateLimitError);
+    expect(err.status).toBe(403);
+    expect(err.retryAfterMs).toBe(42e3);
+  });
+
+  it("honours Retry-After on a secondary-limit 403", async () => {
+    stubGitHub({ "/search/repositories": limited(403, { "retry-after": "30" }) });
+
+    const err = await github.fetch({ config: search, cursor: 1 }).catch((e) => e);
+
+    expect(err).toBeInstanceOf(RateLimitError);
+    expect(err.retryAfterMs).toBe(30e3);
+  });
+
+  it("leaves other 403s as HTTP errors", async () => {
+    stubGitHub({ "/search/repositories": limited(403, { "x-ratelimit-remaining": "12" }) });
+
+    const err = await github.fetch({ config: search, cursor: 1 }).catch((e) => e);
+
+    expect(err).toBeInstanceOf(HttpError);
+    expect(err.status).toBe(403);
+  });
+});
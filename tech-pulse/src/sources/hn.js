@@ -0,0 +1,98 @@
+import { clampText, hostFromUrl, isoToDate, safeUrl } from "../utils.js";
+import { fetchJson } from "../http.js";
+import HnCard from "./HnCard.jsx";
+
+// ---------------------------
+// Hacker News (Algolia) — no key
+// ---------------------------
+
+async function fetchHN({ config, cursor, signal }) {
+  const { query, daysBack, pageSize } = config;
+  const page = cursor;
+  const base = "https://hn.algolia.com/api/v1/search_by_date";
+  const params = new URLSearchParams();
+  params.set("tags", "story");
+  params.set("hitsPerPage", String(pageSize));
+  params.set("page", String(page));
+  if (query && query.trim()) params.set("query", query.trim());
+
+  if (daysBack !== "all") {
+    const nowSec = Math.floor(Date.now() / 1000);
+    const backSec =
+      daysBack === "24h" ? 24 * 3600 : daysBack === "7d" ? 7 * 24 * 3600 : 30 * 24 * 3600;
+    const minSec = nowSec - backSec;
+    params.set("numericFilters", `created_at_i>${minSec}`);
+  }
+
+  const data = await fetchJson(`${base}?${params.toString()}`, {
+    signal,
+    headers: { Accept: "application/json" },
+  });
+
+  const items = (data.hits || []).map((h) => {
+    const url = safeUrl(h.url || (h.objectID ? `https://news.ycombinator.com/item?id=${h.objectID}` : ""));
+    return {
+      id: `hn_${h.objectID}`,
+      source: "hn",
+      title: h.title || "(Untitled)",
+      url,
+      date: isoToDate(h.created_at),
+      summary: clampText(h.story_text || "", 140),
+      score: typeof h.points === "number" ? h.points : 0,
+      comments: typeof h.num_comments === "number" ? h.num_comments : 0,
+      author: h.author || "",
+      host: hostFromUrl(url),
+      threadId: h.objectID ? String(h.objectID) : "",
+    };
+  });
+
+  const hasMore = typeof data.nbPages === "number" ? page + 1 < data.nbPages : false;
+  return { items, cursor: page + 1, hasMore };
+}
+
+function normalizeHNComment(c) {
+  return {
+    id: String(c.id),
+    author: c.author || "",
+    date: c.created_at ? isoToDate(c.created_at) : null,
+    html: c.text || "",
+    deleted: !c.text && !c.author,
+    children: (c.children || []).filter((k) => k.type === "comment").map(normalizeHNComment),
+  };
+}
+
+async function fetchHNThread({ item, signal }) {
+  const data = await fetchJson(`https://hn.algolia.com/api/v1/items/${encodeURIComponent(item.threadId)}`, {
+    signal,
+    headers: { Accept: "application/json" },
+  });
+  return {
+    discussionUrl: `https://news.ycombinator.com/item?id=${item.threadId}`,
+    html: data.text || "",
+    comments: (data.children || []).filter((k) => k.type === "comment").map(normalizeHNComment),
+  };
+}
+
+export default {
+  type: "hn",
+  meta: {
+    name: "Hacker News",
+    subtitle: "Top Stories",
+    badge: "Y",
+    badgeBg: "#ff6600",
+    description: "Stories from news.ycombinator.com, optionally filtered by a search query and time window.",
+  },
+  initialCursor: 0, // Algolia page index
+  paginated: true,
+  cacheTtl: 5 * 60 * 1000,
+  defaultConfig: { query: "", daysBack: "7d", pageSize: 20 },
+  configFields: [
+    { key: "query", label: "Query", kind: "text", placeholder: "e.g., AI, climate, Apple" },
+    { key: "daysBack", label: "Window", kind: "select", options: ["24h", "7d", "30d", "all"] },
+    { key: "pageSize", label: "Page size", kind: "select", options: [10, 20, 30, 50] },
+  ],
+  describe: (config) => `${config.query ? `“${config.query}”` : "Top Stories"} · ${config.daysBack}`,
+  fetch: fetchHN,
+  fetchThread: fetchHNThread,
+  Card: HnCard,
+};
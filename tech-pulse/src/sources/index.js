@@ -0,0 +1,79 @@
+import hn from "./hn.js";
+import reddit from "./reddit.js";
+import nasa from "./nasa.js";
+import quote from "./quote.js";
+import rss from "./rss.js";
+import producthunt from "./producthunt.js";
+import github from "./github.js";
+
+/**
+ * Source-adapter registry.
+ *
+ * Each adapter describes one column type:
+ * - type           unique key stored on columns and items (`item.source`)
+ * - meta           { name, subtitle, badge, badgeBg, description } for the column header
+ *                  and the Add Column catalog
+ * - initialCursor  pagination state for a fresh column (page index, "after" token, …)
+ * - paginated      whether a fresh column starts with "Load More"
+ * - cacheTtl       ms a cached response counts as fresh (older ones are shown as stale and revalidated)
+ * - defaultConfig  per-column settings a new column starts with (query, window, …)
+ * - configFields   optional [{ key, label, kind: "text" | "select" | "list", options?, optionLabels?, placeholder?, visibleWhen? }]
+ *                  rendered by the column settings popover; `visibleWhen(draft)` hides a field
+ *                  unless the current (unsaved) input values need it, and `optionLabels` ({ value: text })
+ *                  names select options whose stored value isn't fit to show
+ * - validate       optional (config) => { [fieldKey]: message } for invalid settings; {} when valid
+ * - describe       optional (config) => column subtitle; falls back to meta.subtitle
+ * - errorMessage   optional friendly message for failures without a more specific one (e.g. CORS)
+ * - fetch          ({ config, cursor, signal, force }) => { items, cursor, hasMore }; `force` is set
+ *                  for user refreshes, so any data the adapter keeps between calls is refetched
+ * - fetchThread    optional ({ item, signal }) => { discussionUrl, html, comments } where each
+ *                  comment is { id, author, date, html, deleted, score?, children: [comment] }
+ * - Card           ({ item, index, onOpenThread? }) => card element for one normalized item
+ *
+ * Adding a feed = writing an adapter module and registering it here.
+ */
+
+const DEFAULT_ERROR = "Could not load content. Try Refresh.";
+const DEFAULT_CACHE_TTL = 5 * 60 * 1000;
+
+const registry = new Map();
+
+export function registerSource(adapter) {
+  if (!adapter?.type) throw new Error("Source adapter needs a type");
+  registry.set(adapter.type, {
+    errorMessage: DEFAULT_ERROR,
+    cacheTtl: DEFAULT_CACHE_TTL,
+    defaultConfig: {},
+    configFields: [],
+    validate: () => ({}),
+    ...adapter,
+  });
+}
+
+export function getSource(type) {
+  return registry.get(type) || null;
+}
+
+export function listSources() {
+  return Array.from(registry.values());
+}
+
+/** Merge saved settings over the adapter defaults, dropping keys the adapter no longer knows. */
+export function normalizeConfig(type, config) {
+  const defaults = getSource(type)?.defaultConfig || {};
+  const out = { ...defaults };
+  for (const key of Object.keys(defaults)) {
+    const v = config?.[key];
+    if (v === undefined || v === null || typeof v !== typeof defaults[key]) continue;
+    if (Array.isArray(defaults[key]) && !(Array.isArray(v) && v.length)) continue;
+    out[key] = v;
+  }
+  return out;
+}
+
+export function columnSubtitle(col) {
+  const src = getSource(col.type);
+  return src?.describe?.(col.config) || src?.meta.subtitle || "";
+}
+
+[hn, reddit, nasa, quote, rss, producthunt, github].forEach(registerSource);
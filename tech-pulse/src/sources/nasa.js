@@ -0,0 +1,53 @@
+import { clampText, isoToDate, safeUrl } from "../utils.js";
+import { fetchJson } from "../http.js";
+import NasaCard from "./NasaCard.jsx";
+
+// ---------------------------
+// NASA APOD — DEMO_KEY
+// ---------------------------
+
+async function fetchNASA({ signal }) {
+  const base = "https://api.nasa.gov/planetary/apod";
+  const params = new URLSearchParams({ api_key: import.meta.env.VITE_NASA_API_KEY || "McO1EuGGc6maPIowuhkdYGWxkJsYQgozNVAkRvYR" });
+  const d = await fetchJson(`${base}?${params.toString()}`, { signal });
+
+  const url = safeUrl(d.url || "");
+  const hd = safeUrl(d.hdurl || "");
+  const bestImage = d.media_type === "image" ? hd || url : "";
+
+  return {
+    items: [
+      {
+        id: `nasa_${d.date || "apod"}`,
+        source: "nasa",
+        title: d.title || "Astronomy Picture of the Day",
+        url: url || "https://apod.nasa.gov/",
+        date: d.date ? isoToDate(`${d.date}T00:00:00Z`) : null,
+        summary: clampText(d.explanation || "", 240),
+        author: d.copyright || "NASA",
+        imageUrl: bestImage,
+        score: 0,
+        comments: 0,
+        host: "api.nasa.gov",
+      },
+    ],
+    cursor: null,
+    hasMore: false,
+  };
+}
+
+export default {
+  type: "nasa",
+  meta: {
+    name: "NASA",
+    subtitle: "Astronomy Picture of the Day",
+    badge: "N",
+    badgeBg: "#137fec",
+    description: "NASA's Astronomy Picture of the Day with its explanation.",
+  },
+  initialCursor: null,
+  paginated: false,
+  cacheTtl: 6 * 3600 * 1000,
+  fetch: fetchNASA,
+  Card: NasaCard,
+};
@@ -0,0 +1,137 @@
+import { hostFromUrl, isoToDate, safeUrl } from "../utils.js";
+import { ConfigError, RateLimitError } from "../errors.js";
+import { fetchJson } from "../http.js";
+import ProductHuntCard from "./ProductHuntCard.jsx";
+
+// ---------------------------
+// Product Hunt (GraphQL v2) — through a proxy that holds the developer token
+// ---------------------------
+
+// Anything VITE_-prefixed is compiled into the public bundle, so the browser never sees the
+// token: it posts to VITE_PRODUCT_HUNT_PROXY, which adds the Authorization header server-side
+// (README). `npm run dev` serves /api/producthunt from vite.config.js for local work.
+const DEV_PROXY = "/api/producthunt";
+
+const POSTS_QUERY = `
+  query TechPulsePosts($first: Int!, $after: String, $order: PostsOrder!, $postedAfter: DateTime) {
+    posts(first: $first, after: $after, order: $order, postedAfter: $postedAfter) {
+      edges {
+        node {
+          id
+          name
+          tagline
+          url
+          website
+          createdAt
+          votesCount
+          commentsCount
+          thumbnail { url }
+          user { name }
+          topics(first: 3) { edges { node { name } } }
+        }
+      }
+      pageInfo { endCursor hasNextPage }
+    }
+  }
+`;
+
+const WINDOW_HOURS = { "24h": 24, "7d": 7 * 24, "30d": 30 * 24 };
+
+export function normalizeProductHuntPosts(data) {
+  const posts = data?.data?.posts;
+  const items = (posts?.edges || [])
+    .map((e) => e?.node)
+    .filter(Boolean)
+    .map((p) => {
+      const url = safeUrl(p.url || p.website || "");
+      const topics = (p.topics?.edges || []).map((t) => t?.node?.name).filter(Boolean);
+      return {
+        id: `ph_${p.id}`,
+        source: "producthunt",
+        title: p.name || "(Untitled)",
+        url,
+        date: p.createdAt ? isoToDate(p.createdAt) : null,
+        summary: p.tagline || "",
+        score: typeof p.votesCount === "number" ? p.votesCount : 0,
+        comments: typeof p.commentsCount === "number" ? p.commentsCount : 0,
+        author: p.user?.name || "",
+        host: hostFromUrl(url),
+        imageUrl: safeUrl(p.thumbnail?.url || ""),
+        topics,
+        tags: topics,
+      };
+    });
+  const nextAfter = posts?.pageInfo?.hasNextPage ? posts.pageInfo.endCursor : null;
+  return { items, cursor: nextAfter, hasMore: Boolean(nextAfter) };
+}
+
+const RATE_LIMIT_CODES = /rate_limit|too_many_requests|complexity|throttl/i;
+const TOKEN_HINT = "Check the developer token on the Product Hunt proxy.";
+
+// GraphQL reports auth failures and rate limits in `errors`, often with HTTP 200.
+function productHuntError(url, errors) {
+  const first = errors[0] || {};
+  const code = String(first.extensions?.code || first.error || "");
+  const message = first.message || first.error_description || code || "unknown error";
+  if (RATE_LIMIT_CODES.test(code)) return new RateLimitError(url, 429, 0);
+  return new ConfigError(`Product Hunt refused the request: ${message}. ${TOKEN_HINT}`);
+}
+
+async function fetchProductHunt({ config, cursor, signal }) {
+  const url = import.meta.env.VITE_PRODUCT_HUNT_PROXY || (import.meta.env.DEV ? DEV_PROXY : "");
+  if (!url) throw new ConfigError("Product Hunt needs a token proxy: set VITE_PRODUCT_HUNT_PROXY (see README).");
+
+  const postedAfter = new Date(Date.now() - WINDOW_HOURS[config.daysBack] * 3600 * 1000).toISOString();
+  const data = await fetchJson(url, {
+    method: "POST",
+    signal,
+    headers: {
+      Accept: "application/json",
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      query: POSTS_QUERY,
+      variables: {
+        first: config.pageSize,
+        after: cursor,
+        order: config.order === "newest" ? "NEWEST" : "VOTES",
+        postedAfter,
+      },
+    }),
+  }).catch((err) => {
+    // The proxy passes Product Hunt's 401/403 through when its token is missing or revoked.
+    if (err.kind === "http" && (err.status === 401 || err.status === 403)) {
+      throw new ConfigError(`Product Hunt rejected the request (HTTP ${err.status}). ${TOKEN_HINT}`);
+    }
+    throw err;
+  });
+  if (data?.errors?.length) throw productHuntError(url, data.errors);
+  return normalizeProductHuntPosts(data);
+}
+
+export default {
+  type: "producthunt",
+  meta: {
+    name: "Product Hunt",
+    subtitle: "Today's Launches",
+    badge: "P",
+    badgeBg: "#DA552F",
+    description: "Launches ranked by votes or recency. Needs a Product Hunt token proxy.",
+  },
+  initialCursor: null, // GraphQL endCursor
+  paginated: true,
+  cacheTtl: 15 * 60 * 1000,
+  defaultConfig: { order: "votes", daysBack: "24h", pageSize: 10 },
+  configFields: [
+    { key: "order", label: "Order", kind: "select", options: ["votes", "newest"] },
+    { key: "daysBack", label: "Window", kind: "select", options: ["24h", "7d", "30d"] },
+    { key: "pageSize", label: "Page size", kind: "select", options: [10, 20, 30] },
+  ],
+  describe: (config) => {
+    const when = config.daysBack === "24h" ? "Today's" : `Last ${config.daysBack}`;
+    return `${when} Launches${config.order === "newest" ? " · newest" : ""}`;
+  },
+  errorMessage: "Could not load Product Hunt. The browser blocked the response; the proxy must allow this site's origin.",
+  fetch: fetchProductHunt,
+  Card: ProductHuntCard,
+};
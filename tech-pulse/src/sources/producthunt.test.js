@@ -0,0 +1,138 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import producthunt, { normalizeProductHuntPosts } from "./producthunt.js";
+import { ConfigError, CorsError, NetworkError, RateLimitError, describeError } from "../errors.js";
+import fixture from "./fixtures/producthunt-posts.json";
+
+function stubResponse(body) {
+  const fetch = vi.fn(async () => new Response(JSON.stringify(body), { status: 200 }));
+  vi.stubGlobal("fetch", fetch);
+  return fetch;
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.unstubAllEnvs();
+});
+
+describe("normalizeProductHuntPosts", () => {
+  const { items, cursor, hasMore } = normalizeProductHuntPosts(fixture);
+
+  it("maps each post node, skipping empty edges", () => {
+    expect(items).toHaveLength(2);
+  });
+
+  it("reads name, tagline, votes, comments, maker, topics and thumbnail", () => {
+    expect(items[0]).toMatchObject({
+      id: "ph_101",
+      source: "producthunt",
+      title: "Orbit",
+      summary: "Calendar for remote teams",
+      url: "https://www.producthunt.com/posts/orbit",
+      host: "producthunt.com",
+      score: 512,
+      comments: 34,
+      author: "Sam",
+      imageUrl: "https://ph-files.example.com/orbit.png",
+      topics: ["Productivity", "Remote Work"],
+      tags: ["Productivity", "Remote Work"],
+    });
+    expect(items[0].date.toISOString()).toBe("2026-01-05T08:00:00.000Z");
+  });
+
+  it("fills in defaults for sparse posts", () => {
+    expect(items[1]).toMatchObject({
+      title: "(Untitled)",
+      summary: "",
+      url: "https://bare.example.org/launch",
+      host: "bare.example.org",
+      date: null,
+      score: 0,
+      comments: 0,
+      author: "",
+      imageUrl: "",
+      topics: [],
+    });
+  });
+
+  it("passes the end cursor on while there is a next page", () => {
+    expect(cursor).toBe("MjA=");
+    expect(hasMore).toBe(true);
+  });
+
+  it("ends pagination on the last page", () => {
+    const last = normalizeProductHuntPosts({
+      data: { posts: { edges: [], pageInfo: { endCursor: "x", hasNextPage: false } } },
+    });
+    expect(last).toEqual({ items: [], cursor: null, hasMore: false });
+  });
+});
+
+describe("producthunt.fetch", () => {
+  const config = producthunt.defaultConfig;
+  const PROXY = "https://proxy.example.com/producthunt";
+
+  it("posts the GraphQL query to the proxy, without a token, and normalizes the stubbed response", async () => {
+    vi.stubEnv("VITE_PRODUCT_HUNT_PROXY", PROXY);
+    const fetch = stubResponse(fixture);
+
+    const res = await producthunt.fetch({ config, cursor: "abc" });
+
+    expect(res.items.map((it) => it.id)).toEqual(["ph_101", "ph_102"]);
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe(PROXY);
+    expect(init.headers.Authorization).toBeUndefined();
+    expect(JSON.parse(init.body).variables).toMatchObject({ first: 10, after: "abc", order: "VOTES" });
+  });
+
+  it("uses the dev server's proxy when none is configured in development", async () => {
+    vi.stubEnv("VITE_PRODUCT_HUNT_PROXY", "");
+    vi.stubEnv("DEV", true);
+    const fetch = stubResponse(fixture);
+    await producthunt.fetch({ config, cursor: null });
+    expect(fetch.mock.calls[0][0]).toBe("/api/producthunt");
+  });
+
+  it("needs a proxy in a production build", async () => {
+    vi.stubEnv("VITE_PRODUCT_HUNT_PROXY", "");
+    vi.stubEnv("DEV", false);
+    const fetch = stubResponse(fixture);
+    await expect(producthunt.fetch({ config, cursor: null })).rejects.toBeInstanceOf(ConfigError);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it("turns GraphQL auth errors into a ConfigError that points at the token", async () => {
+    vi.stubEnv("VITE_PRODUCT_HUNT_PROXY", PROXY);
+    stubResponse({ errors: [{ error: "invalid_oauth_token", error_description: "Please supply a valid access token" }] });
+
+    const err = await producthunt.fetch({ config, cursor: null }).catch((e) => e);
+    expect(err).toBeInstanceOf(ConfigError);
+    expect(err.message).toContain("Please supply a valid access token");
+    expect(err.message).toContain("token");
+  });
+
+  it("turns GraphQL rate-limit errors into a RateLimitError", async () => {
+    vi.stubEnv("VITE_PRODUCT_HUNT_PROXY", PROXY);
+    stubResponse({ errors: [{ message: "Complexity limit reached", extensions: { code: "RATE_LIMIT_REACHED" } }] });
+
+    const err = await producthunt.fetch({ config, cursor: null }).catch((e) => e);
+    expect(err).toBeInstanceOf(RateLimitError);
+    expect(err.retryable).toBe(true);
+  });
+
+  it("reports an HTTP 401 from the proxy as a token problem", async () => {
+    vi.stubEnv("VITE_PRODUCT_HUNT_PROXY", PROXY);
+    vi.stubGlobal("fetch", vi.fn(async () => new Response("{}", { status: 401 })));
+
+    const err = await producthunt.fetch({ config, cursor: null }).catch((e) => e);
+    expect(err).toBeInstanceOf(ConfigError);
+    expect(err.message).toContain("HTTP 401");
+  });
+
+  it("only mentions the token for config errors", () => {
+    expect(producthunt.errorMessage).not.toMatch(/token/i);
+    const cors = describeError(new CorsError(PROXY), producthunt);
+    expect(cors.message).not.toMatch(/token/i);
+    const network = describeError(new NetworkError(PROXY), producthunt);
+    expect(network.message).not.toMatch(/token/i);
+  });
+});
@@ -0,0 +1,46 @@
+import { isoToDate } from "../utils.js";
+import { fetchJson } from "../http.js";
+import QuoteCard from "./QuoteCard.jsx";
+
+// ---------------------------
+// Quotable — no key
+// ---------------------------
+
+async function fetchQuote({ signal }) {
+  const q = await fetchJson("https://api.quotable.io/random", { signal });
+  return {
+    items: [
+      {
+        id: `quote_${q._id}`,
+        source: "quote",
+        title: q.author ? `Quote by ${q.author}` : "Quote",
+        url: "",
+        date: q.dateAdded ? isoToDate(q.dateAdded) : null,
+        summary: `“${q.content}”`,
+        author: q.author || "",
+        host: "quotable.io",
+        tags: Array.isArray(q.tags) ? q.tags : [],
+        score: 0,
+        comments: 0,
+      },
+    ],
+    cursor: null,
+    hasMore: false,
+  };
+}
+
+export default {
+  type: "quote",
+  meta: {
+    name: "Quotes",
+    subtitle: "Daily Inspiration",
+    badge: "Q",
+    badgeBg: "#8b5cf6",
+    description: "A random quote from Quotable, refreshed on demand.",
+  },
+  initialCursor: null,
+  paginated: false,
+  cacheTtl: 60 * 60 * 1000,
+  fetch: fetchQuote,
+  Card: QuoteCard,
+};
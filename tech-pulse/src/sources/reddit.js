@@ -0,0 +1,150 @@
+import { clampText, hostFromUrl, safeUrl } from "../utils.js";
+import { fetchJson } from "../http.js";
+import RedditCard from "./RedditCard.jsx";
+
+// ---------------------------
+// Reddit public JSON — no key
+// ---------------------------
+
+const TIME_RANGES = ["hour", "day", "week", "month", "year", "all"];
+
+const SUBREDDIT_NAME = /^[A-Za-z0-9_]{2,21}$/;
+
+// Accepts "r/foo", "/r/foo" or "foo"; drops anything Reddit wouldn't accept as a name.
+function cleanSubreddits(list) {
+  const names = (list || [])
+    .map((s) => String(s).trim().replace(/^\/?r\//i, ""))
+    .filter((s) => SUBREDDIT_NAME.test(s));
+  return names.length ? names : ["all"];
+}
+
+function redditRequestUrl({ query, subreddits, sort, timeRange, pageSize }, after) {
+  const path = `https://www.reddit.com/r/${cleanSubreddits(subreddits).join("+")}`;
+  const params = new URLSearchParams();
+  params.set("limit", String(pageSize));
+  params.set("raw_json", "1");
+  if (after) params.set("after", after);
+
+  const q = (query || "").trim();
+  if (q) {
+    // Server-side search scoped to the configured subreddits. "rising" has no
+    // search equivalent, so it falls back to relevance.
+    params.set("q", q);
+    params.set("restrict_sr", "1");
+    params.set("sort", sort === "rising" ? "relevance" : sort);
+    params.set("t", timeRange);
+    return `${path}/search.json?${params.toString()}`;
+  }
+
+  if (sort === "top") params.set("t", timeRange);
+  return `${path}/${sort}.json?${params.toString()}`;
+}
+
+async function fetchReddit({ config, cursor, signal }) {
+  const url = redditRequestUrl(config, cursor);
+
+  const data = await fetchJson(url, {
+    signal,
+    headers: {
+      Accept: "application/json",
+      "User-Agent": "TechPulseDashboard/1.0 (portfolio project)",
+    },
+  });
+
+  const children = data?.data?.children || [];
+  const mapped = children
+    .map((c) => c?.data)
+    .filter(Boolean)
+    .map((p) => {
+      const url = safeUrl(p.url_overridden_by_dest || (p.permalink ? `https://www.reddit.com${p.permalink}` : ""));
+      const thumb = safeUrl((p.preview?.images?.[0]?.source?.url || "").replace(/&amp;/g, "&"));
+      return {
+        id: `rd_${p.id}`,
+        source: "reddit",
+        title: p.title || "(Untitled)",
+        url,
+        date: typeof p.created_utc === "number" ? new Date(p.created_utc * 1000) : null,
+        summary: clampText(p.selftext || "", 160),
+        score: typeof p.ups === "number" ? p.ups : 0,
+        comments: typeof p.num_comments === "number" ? p.num_comments : 0,
+        author: p.author || "",
+        subreddit: p.subreddit_name_prefixed || "",
+        imageUrl: thumb || "",
+        host: hostFromUrl(url),
+        threadId: p.permalink || "",
+      };
+    });
+
+  const nextAfter = data?.data?.after || null;
+  return { items: mapped, cursor: nextAfter, hasMore: Boolean(nextAfter) };
+}
+
+function normalizeRedditComments(listing) {
+  return (listing?.data?.children || [])
+    .filter((c) => c?.kind === "t1" && c.data)
+    .map(({ data: c }) => ({
+      id: c.id,
+      author: c.author && c.author !== "[deleted]" ? c.author : "",
+      date: typeof c.created_utc === "number" ? new Date(c.created_utc * 1000) : null,
+      html: c.body_html || "",
+      score: typeof c.score === "number" ? c.score : null,
+      deleted: c.body === "[deleted]" || c.body === "[removed]",
+      children: normalizeRedditComments(c.replies),
+    }));
+}
+
+async function fetchRedditThread({ item, signal }) {
+  const [post, comments] = await fetchJson(`https://www.reddit.com${item.threadId}.json?raw_json=1&limit=200`, {
+    signal,
+    headers: { Accept: "application/json" },
+  });
+  const selftext = post?.data?.children?.[0]?.data?.selftext_html || "";
+  return {
+    discussionUrl: `https://www.reddit.com${item.threadId}`,
+    html: selftext,
+    comments: normalizeRedditComments(comments),
+  };
+}
+
+export default {
+  type: "reddit",
+  meta: {
+    name: "Reddit",
+    subtitle: "Subreddit listings and search",
+    badge: "r",
+    badgeBg: "#FF4500",
+    description: "Hot, new, top or rising posts from one or more subreddits, with optional search.",
+  },
+  initialCursor: null, // listing "after" token
+  paginated: true,
+  cacheTtl: 5 * 60 * 1000,
+  defaultConfig: { query: "", subreddits: ["technology", "startups"], sort: "hot", timeRange: "week", pageSize: 15 },
+  configFields: [
+    { key: "query", label: "Search (within these subreddits)", kind: "text", placeholder: "e.g., AI, climate, Apple" },
+    { key: "subreddits", label: "Subreddits", kind: "list", placeholder: "technology, startups" },
+    { key: "sort", label: "Sort", kind: "select", options: ["hot", "new", "top", "rising"] },
+    {
+      key: "timeRange",
+      label: "Time range",
+      kind: "select",
+      options: TIME_RANGES,
+      visibleWhen: (draft) => draft.sort === "top" || Boolean(draft.query.trim()),
+    },
+    { key: "pageSize", label: "Page size", kind: "select", options: [10, 15, 25, 50] },
+  ],
+  validate: (config) => {
+    const bad = config.subreddits.filter((s) => !SUBREDDIT_NAME.test(String(s).trim().replace(/^\/?r\//i, "")));
+    if (!config.subreddits.length) return { subreddits: "Add at least one subreddit." };
+    return bad.length ? { subreddits: `Not a subreddit name: ${bad.join(", ")}` } : {};
+  },
+  describe: (config) => {
+    const subs = cleanSubreddits(config.subreddits).map((s) => `r/${s}`).join(" + ");
+    const mode = config.sort === "top" ? `top/${config.timeRange}` : config.sort;
+    return config.query ? `${subs} · “${config.query}”` : `${subs} · ${mode}`;
+  },
+  errorMessage:
+    "Could not load Reddit items. If you see a CORS error locally, try a different network or deploy (CORS often differs locally vs hosted).",
+  fetch: fetchReddit,
+  fetchThread: fetchRedditThread,
+  Card: RedditCard,
+};
@@ -0,0 +1,61 @@
+import { hostFromUrl, safeUrl } from "../utils.js";
+import { ConfigError, ParseError } from "../errors.js";
+import { fetchText } from "../http.js";
+import { parseFeed } from "./rssParser.js";
+import RssCard from "./RssCard.jsx";
+
+// ---------------------------
+// RSS 2.0 / Atom feeds — no key (feed must allow CORS)
+// ---------------------------
+
+// Feeds are fetched once per refresh; "Load More" pages through the parsed entries.
+const parsedFeeds = new Map();
+
+async function fetchRss({ config, cursor, signal }) {
+  const feedUrl = safeUrl(config.feedUrl.trim());
+  if (!feedUrl) throw new ConfigError("Set a valid feed URL in column settings.");
+  const offset = cursor;
+
+  let items = offset > 0 ? parsedFeeds.get(feedUrl) : null;
+  if (!items) {
+    const xml = await fetchText(feedUrl, {
+      signal,
+      headers: { Accept: "application/rss+xml, application/atom+xml, application/xml, text/xml" },
+    });
+    try {
+      items = parseFeed(xml, feedUrl).items;
+    } catch (e) {
+      throw new ParseError(feedUrl, e);
+    }
+    parsedFeeds.set(feedUrl, items);
+  }
+
+  const end = offset + config.pageSize;
+  return { items: items.slice(offset, end), cursor: end, hasMore: end < items.length };
+}
+
+export default {
+  type: "rss",
+  meta: {
+    name: "RSS / Atom",
+    subtitle: "Any blog or release feed",
+    badge: "◉",
+    badgeBg: "#f59e0b",
+    description: "Any RSS 2.0 or Atom feed whose server allows cross-origin requests.",
+  },
+  initialCursor: 0, // offset into the parsed entries
+  paginated: true,
+  cacheTtl: 15 * 60 * 1000,
+  defaultConfig: { feedUrl: "https://hnrss.org/frontpage", title: "", pageSize: 15 },
+  configFields: [
+    { key: "feedUrl", label: "Feed URL", kind: "text", placeholder: "https://example.com/feed.xml" },
+    { key: "title", label: "Column title (optional)", kind: "text", placeholder: "e.g., Release notes" },
+    { key: "pageSize", label: "Page size", kind: "select", options: [10, 15, 25, 50] },
+  ],
+  validate: (config) => (safeUrl(config.feedUrl.trim()) ? {} : { feedUrl: "Enter a full feed URL (https://…)." }),
+  describe: (config) => config.title || hostFromUrl(config.feedUrl) || "Feed",
+  errorMessage:
+    "Could not load this feed. Check the URL, and note the feed's server must allow cross-origin (CORS) requests.",
+  fetch: fetchRss,
+  Card: RssCard,
+};
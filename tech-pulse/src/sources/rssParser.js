@@ -0,0 +1,146 @@
+import { clampText, hostFromUrl, isoToDate, safeUrl } from "../utils.js";
+
+// ---------------------------
+// RSS 2.0 / Atom parser → normalized items
+// ---------------------------
+
+const ATOM_NS = "http://www.w3.org/2005/Atom";
+const MEDIA_NS = "http://search.yahoo.com/mrss/";
+
+// Direct children only, matched by local name (and namespace when given) so
+// prefixes like "media:" or "dc:" don't matter.
+function children(el, localName, ns) {
+  return Array.from(el?.children || []).filter(
+    (c) => c.localName === localName && (ns === undefined || c.namespaceURI === ns)
+  );
+}
+
+function child(el, localName, ns) {
+  return children(el, localName, ns)[0] || null;
+}
+
+function text(el, localName, ns) {
+  return child(el, localName, ns)?.textContent?.trim() || "";
+}
+
+function htmlToText(html) {
+  if (!html) return "";
+  const doc = new DOMParser().parseFromString(html, "text/html");
+  return doc.body?.textContent || "";
+}
+
+function firstImgInHtml(html) {
+  if (!html || !html.includes("<img")) return "";
+  const doc = new DOMParser().parseFromString(html, "text/html");
+  return doc.querySelector("img[src]")?.getAttribute("src") || "";
+}
+
+function hashString(s) {
+  let h = 5381;
+  for (let i = 0; i < s.length; i++) h = ((h << 5) + h + s.charCodeAt(i)) | 0;
+  return (h >>> 0).toString(36);
+}
+
+function mediaImage(entry) {
+  const enclosure = children(entry, "enclosure").find((e) => (e.getAttribute("type") || "").startsWith("image/"));
+  if (enclosure) return enclosure.getAttribute("url") || "";
+
+  const content = children(entry, "content", MEDIA_NS).find((e) => {
+    const medium = e.getAttribute("medium");
+    const type = e.getAttribute("type") || "";
+    return medium === "image" || type.startsWith("image/") || (!medium && !type);
+  });
+  if (content) return content.getAttribute("url") || "";
+
+  const group = child(entry, "group", MEDIA_NS);
+  const thumb = child(entry, "thumbnail", MEDIA_NS) || child(group, "thumbnail", MEDIA_NS);
+  if (thumb) return thumb.getAttribute("url") || "";
+
+  const atomEnclosure = children(entry, "link", ATOM_NS).find(
+    (l) => l.getAttribute("rel") === "enclosure" && (l.getAttribute("type") || "").startsWith("image/")
+  );
+  return atomEnclosure?.getAttribute("href") || "";
+}
+
+function normalize({ guid, link, title, dateText, html, author, image }, baseUrl) {
+  const resolve = (u) => {
+    try {
+      return safeUrl(new URL(u, baseUrl || undefined).toString());
+    } catch {
+      return "";
+    }
+  };
+  const url = resolve(link);
+  return {
+    id: `rss_${hashString(guid || link || title)}`,
+    source: "rss",
+    title: clampText(htmlToText(title), 200) || "(Untitled)",
+    url,
+    date: dateText ? isoToDate(dateText) : null,
+    summary: clampText(htmlToText(html), 200),
+    score: 0,
+    comments: 0,
+    author,
+    host: hostFromUrl(url),
+    imageUrl: resolve(image || firstImgInHtml(html)),
+  };
+}
+
+function parseRssItem(item, baseUrl) {
+  return normalize(
+    {
+      guid: text(item, "guid"),
+      // RSS feeds often carry an <atom:link rel="self"> too; skip it
+      link: children(item, "link").find((l) => l.namespaceURI !== ATOM_NS)?.textContent?.trim() || "",
+      title: text(item, "title"),
+      dateText: text(item, "pubDate") || text(item, "date"),
+      html: text(item, "encoded") || text(item, "description"),
+      author: text(item, "creator") || text(item, "author"),
+      image: mediaImage(item),
+    },
+    baseUrl
+  );
+}
+
+function parseAtomEntry(entry, baseUrl) {
+  const links = children(entry, "link", ATOM_NS);
+  const alternate = links.find((l) => !l.getAttribute("rel") || l.getAttribute("rel") === "alternate") || links[0];
+  return normalize(
+    {
+      guid: text(entry, "id", ATOM_NS),
+      link: alternate?.getAttribute("href") || "",
+      title: text(entry, "title", ATOM_NS),
+      dateText: text(entry, "published", ATOM_NS) || text(entry, "updated", ATOM_NS),
+      html: text(entry, "content", ATOM_NS) || text(entry, "summary", ATOM_NS),
+      author: text(child(entry, "author", ATOM_NS), "name", ATOM_NS),
+      image: mediaImage(entry),
+    },
+    baseUrl
+  );
+}
+
+/**
+ * Parse an RSS 2.0 or Atom document.
+ * Returns { title, items } or throws when the text isn't a recognizable feed.
+ */
+export function parseFeed(xml, baseUrl = "") {
+  const doc = new DOMParser().parseFromString(xml, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) throw new Error("Feed is not valid XML");
+
+  const root = doc.documentElement;
+  if (root.localName === "feed" && root.namespaceURI === ATOM_NS) {
+    return {
+      title: text(root, "title", ATOM_NS),
+      items: children(root, "entry", ATOM_NS).map((e) => parseAtomEntry(e, baseUrl)),
+    };
+  }
+
+  // RSS 2.0 (<rss><channel>) and RSS 1.0/RDF (<rdf:RDF> with sibling <item>s)
+  const channel = child(root, "channel");
+  if (root.localName === "rss" || root.localName === "RDF") {
+    const items = root.localName === "rss" ? children(channel, "item") : children(root, "item");
+    return { title: text(channel, "title"), items: items.map((i) => parseRssItem(i, baseUrl)) };
+  }
+
+  throw new Error("Not an RSS or Atom feed");
+}
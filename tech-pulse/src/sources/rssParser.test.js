@@ -0,0 +1,123 @@
+// @vitest-environment jsdom
+import { describe, expect, it } from "vitest";
+import { parseFeed } from "./rssParser.js";
+import rss2 from "./fixtures/rss2.xml?raw";
+import atom from "./fixtures/atom.xml?raw";
+import rdf from "./fixtures/rdf.xml?raw";
+
+const BASE = "https://example.com/feed.xml";
+
+describe("parseFeed: RSS 2.0", () => {
+  const feed = parseFeed(rss2, BASE);
+  const [first, second, third, fourth] = feed.items;
+
+  it("reads the channel title and every item", () => {
+    expect(feed.title).toBe("Example Engineering");
+    expect(feed.items).toHaveLength(4);
+  });
+
+  it("normalizes an item", () => {
+    expect(first).toMatchObject({
+      source: "rss",
+      title: "Shipping faster builds",
+      url: "https://www.example.com/posts/faster-builds",
+      summary: "We cut build times in half.",
+      author: "Ada Lovelace",
+      host: "example.com",
+      score: 0,
+      comments: 0,
+    });
+    expect(first.id).toMatch(/^rss_/);
+    expect(first.date.toISOString()).toBe("2026-01-06T10:00:00.000Z");
+  });
+
+  it("derives stable ids from the guid, else the link", () => {
+    expect(parseFeed(rss2, BASE).items[0].id).toBe(first.id);
+    expect(new Set(feed.items.map((it) => it.id)).size).toBe(4);
+  });
+
+  it("skips <atom:link rel=self> when picking the item link", () => {
+    expect(first.url).not.toContain("feed.xml");
+  });
+
+  it("takes images from <enclosure>, media:content and media:thumbnail", () => {
+    expect(first.imageUrl).toBe("https://cdn.example.com/builds.png");
+    expect(second.imageUrl).toBe("https://cdn.example.com/ep12-cover.jpg"); // audio enclosure ignored
+    expect(third.imageUrl).toBe("https://cdn.example.com/thumb.jpg");
+  });
+
+  it("resolves relative links and inline images against the feed URL", () => {
+    expect(second.url).toBe("https://example.com/posts/episode-12");
+    expect(second.author).toBe("host@example.com (Grace)");
+    expect(fourth.imageUrl).toBe("https://example.com/images/inline.png");
+  });
+
+  it("fills in missing title and date", () => {
+    expect(fourth.title).toBe("(Untitled)");
+    expect(fourth.date).toBeNull();
+    expect(fourth.summary).toBe("Body with an image");
+  });
+});
+
+describe("parseFeed: Atom", () => {
+  const feed = parseFeed(atom, "https://blog.example.org/atom.xml");
+  const [first, second] = feed.items;
+
+  it("reads the feed title and entries", () => {
+    expect(feed.title).toBe("Example Atom");
+    expect(feed.items).toHaveLength(2);
+  });
+
+  it("prefers the alternate link, published date and content", () => {
+    expect(first).toMatchObject({
+      title: "Release & notes",
+      url: "https://blog.example.org/2026/01/release-notes",
+      summary: "Full content wins.",
+      author: "Linus",
+      host: "blog.example.org",
+    });
+    expect(first.date.toISOString()).toBe("2026-01-07T09:15:00.000Z");
+  });
+
+  it("takes images from rel=enclosure links and media:thumbnail", () => {
+    expect(first.imageUrl).toBe("https://blog.example.org/cover.jpg");
+    expect(second.imageUrl).toBe("https://blog.example.org/thumb.png");
+  });
+
+  it("falls back to updated, summary and a rel-less link", () => {
+    expect(second.url).toBe("https://blog.example.org/2026/01/updated");
+    expect(second.date.toISOString()).toBe("2026-01-02T00:00:00.000Z");
+    expect(second.summary).toBe("Plain summary");
+    expect(second.author).toBe("");
+  });
+});
+
+describe("parseFeed: RSS 1.0 / RDF", () => {
+  const feed = parseFeed(rdf);
+
+  it("reads items that are siblings of the channel", () => {
+    expect(feed.title).toBe("Example RDF");
+    expect(feed.items.map((it) => it.title)).toEqual(["First RDF story", "Second RDF story"]);
+  });
+
+  it("uses Dublin Core date and creator", () => {
+    const [first] = feed.items;
+    expect(first).toMatchObject({
+      url: "https://news.example.net/a",
+      summary: "RDF description",
+      author: "Tim",
+      host: "news.example.net",
+    });
+    expect(first.date.toISOString()).toBe("2026-01-03T12:00:00.000Z");
+  });
+});
+
+describe("parseFeed errors", () => {
+  it("rejects invalid XML", () => {
+    expect(() => parseFeed("<rss><channel>")).toThrow("Feed is not valid XML");
+  });
+
+  it("rejects XML that isn't a feed", () => {
+    expect(() => parseFeed("<html><body/></html>")).toThrow("Not an RSS or Atom feed");
+  });
+});
@@ -0,0 +1,127 @@
+import { getSource } from "./sources/index.js";
+import { VIEW_MODES, sanitizeBoard } from "./persistence.js";
+import { duplicateBoard, uniqueBoardName } from "./boards.js";
+
+// ---------------------------
+// Board state <-> URL (?board=<id>&state=<version>.<payload>)
+// ---------------------------
+
+const BOARD_PARAM = "board";
+const STATE_PARAM = "state";
+const STATE_VERSION = 1;
+const BOARD_ID = /^board_[\w-]{1,40}$/;
+
+/**
+ * Payload (v1) — short keys, defaults omitted:
+ *   { n: name, s: globalSearch, v: viewMode, c: [[id, type, configDiff?, refreshMinutes?, width?]] }
+ * where configDiff only holds keys that differ from the adapter's defaultConfig.
+ * Bump STATE_VERSION and add a decoder when the shape changes; old links must keep opening.
+ */
+function toPayload(board, viewMode) {
+  const payload = {
+    n: board.name,
+    c: board.columns.map((col) => {
+      const defaults = getSource(col.type)?.defaultConfig || {};
+      const diff = {};
+      for (const [k, v] of Object.entries(col.config || {})) {
+        if (JSON.stringify(v) !== JSON.stringify(defaults[k])) diff[k] = v;
+      }
+      const row = [col.id, col.type, Object.keys(diff).length ? diff : 0, col.refreshMinutes || 0, col.width || 0];
+      while (row.length > 2 && !row[row.length - 1]) row.pop();
+      return row;
+    }),
+  };
+  if (board.globalSearch) payload.s = board.globalSearch;
+  if (viewMode && viewMode !== "columns") payload.v = viewMode;
+  return payload;
+}
+
+const DECODERS = {
+  1: (p, boardId) => ({
+    board: sanitizeBoard({
+      id: boardId,
+      name: p.n,
+      globalSearch: p.s,
+      columns: (Array.isArray(p.c) ? p.c : []).map((row) => {
+        const [id, type, config, refreshMinutes, width] = Array.isArray(row) ? row : [];
+        return { id, type, config: config || {}, refreshMinutes: refreshMinutes || 0, width: width || undefined };
+      }),
+    }),
+    viewMode: VIEW_MODES.includes(p.v) ? p.v : "columns",
+  }),
+};
+
+// base64url over UTF-8 so search text and feed URLs survive intact
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let bin = "";
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(s) {
+  const bin = atob(s.replace(/-/g, "+").replace(/_/g, "/"));
+  return new TextDecoder().decode(Uint8Array.from(bin, (ch) => ch.charCodeAt(0)));
+}
+
+export function encodeBoardState(board, viewMode) {
+  return `${STATE_VERSION}.${toBase64Url(JSON.stringify(toPayload(board, viewMode)))}`;
+}
+
+/** { board, viewMode } or null when the string is malformed or from an unknown version. */
+export function decodeBoardState(encoded, boardId) {
+  const match = /^(\d+)\.([\w-]+)$/.exec(encoded || "");
+  const decode = match && DECODERS[match[1]];
+  if (!decode) return null;
+  try {
+    return decode(JSON.parse(fromBase64Url(match[2])), boardId);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read the current address. `boardId` is null without a valid ?board; `shared` is the
+ * decoded state when ?state is present and valid.
+ */
+export function readUrlState(href = window.location.href) {
+  const params = new URL(href).searchParams;
+  const raw = params.get(BOARD_PARAM);
+  const boardId = raw && BOARD_ID.test(raw) ? raw : null;
+  const shared = boardId ? decodeBoardState(params.get(STATE_PARAM), boardId) : null;
+  return { boardId, shared };
+}
+
+/** Absolute link to `board` under the app's base path (vite.config.js `base`). */
+export function boardStateUrl(board, viewMode) {
+  const url = new URL(import.meta.env.BASE_URL, window.location.origin);
+  url.searchParams.set(BOARD_PARAM, board.id);
+  url.searchParams.set(STATE_PARAM, encodeBoardState(board, viewMode));
+  return url.toString();
+}
+
+/** Same board and state, ignoring other query params and the hash. */
+export function sameBoardState(a, b) {
+  const pa = new URL(a).searchParams;
+  const pb = new URL(b).searchParams;
+  return pa.get(BOARD_PARAM) === pb.get(BOARD_PARAM) && pa.get(STATE_PARAM) === pb.get(STATE_PARAM);
+}
+
+/**
+ * Layout to start with given the address the app was opened at. A link to a board that
+ * exists locally with the same state just opens it; a link whose state differs (a teammate's
+ * "Main", an older snapshot) is imported as a new board instead of overwriting the local one.
+ */
+export function applyOpeningUrl(layout, { boardId, shared }) {
+  const local = layout.boards.find((b) => b.id === boardId);
+  if (!shared) return local ? { ...layout, activeBoardId: local.id } : layout;
+
+  const viewMode = shared.viewMode;
+  if (local && encodeBoardState(local) === encodeBoardState(shared.board)) {
+    return { ...layout, activeBoardId: local.id, viewMode };
+  }
+  const imported = local
+    ? { ...duplicateBoard(layout.boards, shared.board), name: uniqueBoardName(layout.boards, shared.board.name) }
+    : { ...shared.board, name: uniqueBoardName(layout.boards, shared.board.name) };
+  return { ...layout, boards: [...layout.boards, imported], activeBoardId: imported.id, viewMode };
+}
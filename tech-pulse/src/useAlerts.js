@@ -0,0 +1,92 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { evaluateBatch, loadAlerts, mergeEvaluation, saveAlerts } from "./alerts.js";
+
+function notifyDesktop(notifications) {
+  if (typeof Notification === "undefined" || Notification.permission !== "granted") return;
+  for (const n of notifications.slice(0, 3)) {
+    new Notification("Tech Pulse alert", { body: n.title, tag: n.itemId });
+  }
+}
+
+/**
+ * Alert rules + notification history. Every change goes through `commit`, which
+ * keeps a ref in sync so concurrent column loads never evaluate stale `seen` ids.
+ */
+export default function useAlerts() {
+  const [state, setState] = useState(loadAlerts);
+  const stateRef = useRef(state);
+
+  useEffect(() => {
+    saveAlerts(state);
+  }, [state]);
+
+  const commit = useCallback((fn) => {
+    const next = fn(stateRef.current);
+    if (next === stateRef.current) return;
+    stateRef.current = next;
+    setState(next);
+  }, []);
+
+  const evaluate = useCallback(
+    (items) => {
+      const current = stateRef.current;
+      const result = evaluateBatch(current.rules, current.seen, items);
+      if (!result.notifications.length) return;
+      commit((s) => mergeEvaluation(s, result));
+      if (current.desktop) notifyDesktop(result.notifications);
+    },
+    [commit]
+  );
+
+  const addRule = useCallback(
+    (rule) => {
+      const id = `rule_${Math.random().toString(16).slice(2, 8)}`;
+      commit((s) => ({ ...s, rules: [...s.rules, { ...rule, id, enabled: true }] }));
+    },
+    [commit]
+  );
+
+  const updateRule = useCallback(
+    (id, patch) => commit((s) => ({ ...s, rules: s.rules.map((r) => (r.id === id ? { ...r, ...patch } : r)) })),
+    [commit]
+  );
+
+  const removeRule = useCallback((id) => commit((s) => ({ ...s, rules: s.rules.filter((r) => r.id !== id) })), [commit]);
+
+  const markRead = useCallback(
+    (id) =>
+      commit((s) => ({ ...s, notifications: s.notifications.map((n) => (n.id === id ? { ...n, read: true } : n)) })),
+    [commit]
+  );
+
+  const markAllRead = useCallback(
+    () => commit((s) => ({ ...s, notifications: s.notifications.map((n) => (n.read ? n : { ...n, read: true })) })),
+    [commit]
+  );
+
+  const clearNotifications = useCallback(() => commit((s) => ({ ...s, notifications: [] })), [commit]);
+
+  const setDesktop = useCallback(
+    async (enabled) => {
+      if (enabled && typeof Notification !== "undefined" && Notification.permission !== "granted") {
+        const permission = await Notification.requestPermission();
+        if (permission !== "granted") return;
+      }
+      commit((s) => ({ ...s, desktop: enabled }));
+    },
+    [commit]
+  );
+
+  return {
+    ...state,
+    unread: state.notifications.filter((n) => !n.read).length,
+    evaluate,
+    addRule,
+    updateRule,
+    removeRule,
+    markRead,
+    markAllRead,
+    clearNotifications,
+    setDesktop,
+  };
+}
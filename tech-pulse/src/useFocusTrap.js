@@ -0,0 +1,53 @@
+import { useEffect, useRef } from "react";
+
+const FOCUSABLE =
+  'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Keep Tab / Shift+Tab inside `ref` while mounted and call `onEscape` on Escape.
+ * Focus moves into the container on mount and back to the previously focused element on unmount.
+ */
+export default function useFocusTrap(ref, onEscape) {
+  const escapeRef = useRef(onEscape);
+  useEffect(() => {
+    escapeRef.current = onEscape;
+  }, [onEscape]);
+
+  useEffect(() => {
+    const container = ref.current;
+    if (!container) return undefined;
+    const previous = document.activeElement;
+    if (!container.contains(document.activeElement)) {
+      (container.querySelector("[autofocus]") || container.querySelector(FOCUSABLE) || container).focus();
+    }
+
+    function onKey(e) {
+      if (e.key === "Escape") {
+        e.stopPropagation();
+        escapeRef.current();
+        return;
+      }
+      if (e.key !== "Tab") return;
+      const nodes = Array.from(container.querySelectorAll(FOCUSABLE)).filter((n) => n.offsetParent !== null);
+      if (!nodes.length) {
+        e.preventDefault();
+        return;
+      }
+      const first = nodes[0];
+      const last = nodes[nodes.length - 1];
+      if (e.shiftKey && (document.activeElement === first || !container.contains(document.activeElement))) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    }
+
+    container.addEventListener("keydown", onKey);
+    return () => {
+      container.removeEventListener("keydown", onKey);
+      if (previous instanceof HTMLElement) previous.focus();
+    };
+  }, [ref]);
+}
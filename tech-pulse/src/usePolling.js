@@ -0,0 +1,55 @@
+import { useEffect, useRef } from "react";
+
+const MAX_BACKOFF_FACTOR = 16;
+
+/**
+ * Calls `poll()` every `intervalMs` (0 disables). Skips ticks while the tab is
+ * hidden and catches up as soon as it becomes visible again. A rejected poll
+ * doubles the delay (up to 16x) until the next success.
+ */
+export default function usePolling(intervalMs, poll) {
+  const pollRef = useRef(poll);
+
+  useEffect(() => {
+    pollRef.current = poll;
+  });
+
+  useEffect(() => {
+    if (!intervalMs) return undefined;
+    let timer = null;
+    let inFlight = false;
+    let failures = 0;
+    let cancelled = false;
+
+    function schedule() {
+      const delay = intervalMs * Math.min(2 ** failures, MAX_BACKOFF_FACTOR);
+      timer = setTimeout(tick, delay);
+    }
+
+    async function tick() {
+      timer = null;
+      if (document.hidden) return; // picked up again by onVisibility
+      inFlight = true;
+      try {
+        await pollRef.current();
+        failures = 0;
+      } catch {
+        failures += 1;
+      }
+      inFlight = false;
+      if (!cancelled) schedule();
+    }
+
+    function onVisibility() {
+      if (!document.hidden && timer === null && !inFlight && !cancelled) tick();
+    }
+
+    schedule();
+    document.addEventListener("visibilitychange", onVisibility);
+    return () => {
+      cancelled = true;
+      if (timer) clearTimeout(timer);
+      document.removeEventListener("visibilitychange", onVisibility);
+    };
+  }, [intervalMs]);
+}
@@ -0,0 +1,67 @@
+import { useCallback, useEffect, useState } from "react";
+import { deleteSaved, listSaved, putSaved } from "./savedItems.js";
+
+/**
+ * Saved items as a Map<id, record>, loaded once from IndexedDB.
+ * Updates apply to state immediately and are written through in the background.
+ */
+export default function useSavedItems() {
+  const [saved, setSaved] = useState(() => new Map());
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    listSaved()
+      .then((records) => {
+        if (!cancelled) setSaved(new Map(records.map((r) => [r.id, r])));
+      })
+      .catch(() => {
+        if (!cancelled) setError("Saved items are unavailable (IndexedDB is disabled in this browser).");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const write = useCallback((promise) => {
+    promise.catch(() => setError("Could not update saved items."));
+  }, []);
+
+  const remove = useCallback(
+    (id) => {
+      setSaved((prev) => {
+        const next = new Map(prev);
+        next.delete(id);
+        return next;
+      });
+      write(deleteSaved(id));
+    },
+    [write]
+  );
+
+  const toggle = useCallback(
+    (item) => {
+      if (saved.has(item.id)) {
+        remove(item.id);
+        return;
+      }
+      const record = { id: item.id, item, savedAt: new Date(), tags: [], notes: "" };
+      setSaved((prev) => new Map(prev).set(item.id, record));
+      write(putSaved(record));
+    },
+    [saved, remove, write]
+  );
+
+  const update = useCallback(
+    (id, patch) => {
+      const current = saved.get(id);
+      if (!current) return;
+      const record = { ...current, ...patch };
+      setSaved((prev) => new Map(prev).set(id, record));
+      write(putSaved(record));
+    },
+    [saved, write]
+  );
+
+  return { saved, error, toggle, update, remove };
+}
@@ -0,0 +1,40 @@
+import { useEffect, useState, useSyncExternalStore } from "react";
+import { createSearchIndex } from "./searchIndex.js";
+
+// The index lives outside React; subscribers hear about it each time documents are added.
+function createLiveIndex() {
+  const index = createSearchIndex();
+  const listeners = new Set();
+  let snapshot = { index, size: index.size };
+
+  return {
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getSnapshot: () => snapshot,
+    addAll(items) {
+      index.addAll(items);
+      if (index.size === snapshot.size) return;
+      snapshot = { index, size: index.size };
+      for (const listener of listeners) listener();
+    },
+  };
+}
+
+/**
+ * A search index over every item in the column store (pages, polls, cache hits), kept
+ * for the whole session. Saved items are not in it: the Saved view indexes its records
+ * itself, together with their notes and tags. Adding only indexes ids it hasn't seen, so a Load More costs one
+ * page of tokenizing. Returns `{ index, size }`, a new object whenever documents were
+ * added: new documents change which words match and how they rank.
+ */
+export default function useSearchIndex(store) {
+  const [live] = useState(createLiveIndex);
+
+  useEffect(() => {
+    live.addAll(Object.values(store).flatMap((entry) => [...entry.items, ...entry.pending]));
+  }, [live, store]);
+
+  return useSyncExternalStore(live.subscribe, live.getSnapshot);
+}
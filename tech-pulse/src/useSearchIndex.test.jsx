@@ -0,0 +1,51 @@
+// @vitest-environment jsdom
+import { afterEach, beforeAll, describe, expect, it } from "vitest";
+import { act } from "react";
+import { createRoot } from "react-dom/client";
+import useSearchIndex from "./useSearchIndex.js";
+
+const entry = (items, pending = []) => ({ items, pending });
+const item = (id, title) => ({ id, title, summary: "", source: "hn" });
+
+let container;
+let root;
+const seen = [];
+
+function Probe({ store }) {
+  seen.push(useSearchIndex(store));
+  return null;
+}
+
+function render(store) {
+  act(() => root.render(<Probe store={store} />));
+  return seen[seen.length - 1];
+}
+
+beforeAll(() => {
+  globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+});
+
+afterEach(() => {
+  act(() => root.unmount());
+  container.remove();
+  seen.length = 0;
+});
+
+describe("useSearchIndex", () => {
+  it("indexes loaded and pending items and returns a new snapshot when documents are added", () => {
+    container = document.createElement("div");
+    root = createRoot(container);
+
+    const first = render({ c1: entry([item("a", "Rust compiler")], [item("p", "Kubernetes news")]) });
+    expect(first.size).toBe(2);
+    expect(first.index.lookup("kubernetes").hits.has("p")).toBe(true);
+
+    const same = render({ c1: entry([item("a", "Rust compiler")]) });
+    expect(same).toBe(first);
+
+    const grown = render({ c1: entry([item("a", "Rust compiler")]), c2: entry([item("b", "Go generics")]) });
+    expect(grown).not.toBe(first);
+    expect(grown.size).toBe(3);
+    expect(grown.index).toBe(first.index);
+  });
+});
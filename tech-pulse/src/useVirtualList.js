@@ -0,0 +1,104 @@
+import { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from "react";
+import { anchoredTop, estimateItemHeight, layoutRows, pruneHeights, screenAnchors, visibleRange } from "./virtualList.js";
+
+const OVERSCAN = 600; // px rendered beyond each edge of the viewport
+const STEP = 200; // viewport positions are tracked in steps this size (≤ OVERSCAN) to re-render less
+const NEAR_END = 800; // px from the bottom at which scrolling calls onNearEnd
+
+/**
+ * Mounts only the rows of `items` near the viewport of `scrollRef` (the scrolling element);
+ * `listRef` is the element the rows are positioned in, somewhere inside it. Rows are
+ * measured as they mount (pass `measure` as their ref, with `data-key`) and estimated
+ * until then, so cards can be any height.
+ *
+ * Whenever the list changes (refresh, filter, new page, a card resizing) the first card that
+ * was on screen and is still listed stays where it was. `onNearEnd` fires on user scrolls that
+ * come close to the bottom.
+ *
+ * Returns { rows: [{ item, index, top }], total: list height, measure }.
+ */
+export default function useVirtualList({ items, keyOf, scrollRef, listRef, estimate = estimateItemHeight, onNearEnd }) {
+  const [heights, setHeights] = useState(() => new Map());
+  const [viewTop, setViewTop] = useState(0);
+  const [viewHeight, setViewHeight] = useState(0);
+  const observerRef = useRef(null);
+  const layoutRef = useRef(null);
+  const anchorRef = useRef([]); // see screenAnchors
+  const onNearEndRef = useRef(onNearEnd);
+
+  useEffect(() => {
+    onNearEndRef.current = onNearEnd;
+  });
+
+  // Forget cards that left the list, so refreshes and polls don't grow `heights` for good.
+  useEffect(() => {
+    setHeights((prev) => pruneHeights(prev, items, keyOf));
+  }, [items, keyOf]);
+
+  const layout = useMemo(() => layoutRows(items, keyOf, heights, estimate), [items, keyOf, heights, estimate]);
+
+  // Put the remembered on-screen card back where it was before `layout` changed.
+  useLayoutEffect(() => {
+    layoutRef.current = { items, layout };
+    const el = scrollRef.current;
+    const list = listRef.current;
+    if (!el || !list) return;
+    const top = anchoredTop(anchorRef.current, items, keyOf, layout);
+    if (top !== null && Math.abs(el.scrollTop - list.offsetTop - top) >= 1) el.scrollTop = list.offsetTop + top;
+    anchorRef.current = screenAnchors(items, keyOf, layout, el.scrollTop - list.offsetTop, el.clientHeight);
+  }, [items, keyOf, layout, scrollRef, listRef]);
+
+  useEffect(() => {
+    const el = scrollRef.current;
+    const list = listRef.current;
+    if (!el || !list) return undefined;
+
+    function track(fromUser) {
+      const top = el.scrollTop - list.offsetTop;
+      setViewTop(Math.floor(top / STEP) * STEP);
+      setViewHeight(Math.ceil(el.clientHeight / STEP) * STEP);
+
+      const { items: current, layout: rows } = layoutRef.current;
+      anchorRef.current = screenAnchors(current, keyOf, rows, top, el.clientHeight);
+      if (fromUser && current.length && top + el.clientHeight >= rows.total - NEAR_END) onNearEndRef.current?.();
+    }
+
+    const onScroll = () => track(true);
+    const resize = new ResizeObserver(() => track(false));
+    track(false);
+    el.addEventListener("scroll", onScroll, { passive: true });
+    resize.observe(el);
+    return () => {
+      el.removeEventListener("scroll", onScroll);
+      resize.disconnect();
+    };
+  }, [scrollRef, listRef, keyOf]);
+
+  useEffect(() => () => observerRef.current?.disconnect(), []);
+
+  const measure = useCallback((node) => {
+    if (!node) return undefined;
+    observerRef.current ??= new ResizeObserver((entries) => {
+      setHeights((prev) => {
+        let next = null;
+        for (const { target } of entries) {
+          const h = target.offsetHeight;
+          const key = target.dataset.key;
+          if (!h || prev.get(key) === h) continue;
+          next ??= new Map(prev);
+          next.set(key, h);
+        }
+        return next || prev;
+      });
+    });
+    const observer = observerRef.current;
+    observer.observe(node);
+    return () => observer.unobserve(node);
+  }, []);
+
+  const { start, end } = visibleRange(layout.offsets, layout.total, viewTop, viewHeight + STEP, OVERSCAN);
+  const rows = [];
+  for (let i = start; i < end; i++) rows.push({ item: items[i], index: i, top: layout.offsets[i] });
+
+  return { rows, total: layout.total, measure };
+}
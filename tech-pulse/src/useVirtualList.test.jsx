@@ -0,0 +1,145 @@
+// @vitest-environment jsdom
+import { afterAll, afterEach, beforeAll, describe, expect, it, vi } from "vitest";
+import { act, useRef } from "react";
+import { createRoot } from "react-dom/client";
+import useVirtualList from "./useVirtualList.js";
+
+const VIEWPORT = 800;
+const keyOf = (it) => it.id;
+
+const rowRendered = vi.fn();
+
+function Row({ item, top, measure }) {
+  rowRendered();
+  return (
+    <div ref={measure} data-key={item.id} data-row style={{ transform: `translateY(${top}px)` }}>
+      {item.title}
+    </div>
+  );
+}
+
+function List({ items, onNearEnd }) {
+  const scrollRef = useRef(null);
+  const listRef = useRef(null);
+  const { rows, total, measure } = useVirtualList({ items, keyOf, scrollRef, listRef, onNearEnd });
+  return (
+    <div ref={scrollRef} data-testid="scroll" style={{ height: VIEWPORT, overflowY: "auto" }}>
+      <div ref={listRef} style={{ height: total }} data-total={total}>
+        {rows.map(({ item, top }) => (
+          <Row key={item.id} item={item} top={top} measure={measure} />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+const makeItems = (n) =>
+  Array.from({ length: n }, (_, i) => ({ id: `i${i}`, title: `Story ${i}`, imageUrl: i % 7 ? "" : "https://x/y.png" }));
+
+let container;
+let root;
+
+function render(ui) {
+  container = document.createElement("div");
+  document.body.appendChild(container);
+  root = createRoot(container);
+  act(() => root.render(ui));
+}
+
+const mountedRows = () => container.querySelectorAll("[data-row]");
+const scroller = () => container.querySelector("[data-testid=scroll]");
+
+function scrollTo(top) {
+  act(() => {
+    scroller().scrollTop = top;
+    scroller().dispatchEvent(new Event("scroll"));
+  });
+}
+
+// jsdom's own getter lives on Element.prototype; the override below shadows it on HTMLElement.prototype.
+const ownClientHeight = Object.getOwnPropertyDescriptor(HTMLElement.prototype, "clientHeight");
+
+beforeAll(() => {
+  globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+  // jsdom has no layout or ResizeObserver: give every element a viewport height and no-op observers.
+  vi.stubGlobal(
+    "ResizeObserver",
+    class {
+      observe() {}
+      unobserve() {}
+      disconnect() {}
+    }
+  );
+  Object.defineProperty(HTMLElement.prototype, "clientHeight", { configurable: true, get: () => VIEWPORT });
+});
+
+afterEach(() => {
+  act(() => root.unmount());
+  container.remove();
+  rowRendered.mockClear();
+});
+
+afterAll(() => {
+  vi.unstubAllGlobals();
+  if (ownClientHeight) Object.defineProperty(HTMLElement.prototype, "clientHeight", ownClientHeight);
+  else delete HTMLElement.prototype.clientHeight;
+});
+
+describe("useVirtualList", () => {
+  it("renders 2,000 items with a bounded number of rows mounted", () => {
+    render(<List items={makeItems(2000)} />);
+
+    expect(mountedRows().length).toBeGreaterThan(0);
+    expect(mountedRows().length).toBeLessThan(40);
+    expect(Number(container.querySelector("[data-total]").dataset.total)).toBeGreaterThan(2000 * 100);
+    // The work scales with the window, not the list: only mounted rows ever render, a few times at most.
+    expect(rowRendered.mock.calls.length).toBeLessThan(mountedRows().length * 3);
+  });
+
+  it("keeps the mounted row count bounded while scrolling through 2,000 items", () => {
+    render(<List items={makeItems(2000)} />);
+    for (const top of [5000, 60000, 150000, 0]) {
+      scrollTo(top);
+      expect(mountedRows().length).toBeLessThan(40);
+    }
+  });
+
+  it("mounts the rows around the scroll position", () => {
+    render(<List items={makeItems(2000)} />);
+    scrollTo(100000);
+    const keys = Array.from(mountedRows(), (el) => Number(el.dataset.key.slice(1)));
+    expect(Math.min(...keys)).toBeGreaterThan(500);
+    expect(keys).toEqual([...keys].sort((a, b) => a - b));
+  });
+
+  it("keeps the first on-screen item in place when items are prepended", () => {
+    const items = makeItems(200);
+    render(<List items={items} />);
+    scrollTo(1300);
+    const before = scroller().scrollTop;
+
+    act(() => root.render(<List items={[{ id: "new", title: "New" }, ...items]} />));
+    expect(scroller().scrollTop).toBe(before + 120);
+  });
+
+  it("keeps the scroll position when a refresh brings back the same keys", () => {
+    const items = makeItems(200);
+    render(<List items={items} />);
+    scrollTo(1300);
+    const before = scroller().scrollTop;
+
+    act(() => root.render(<List items={items.map((it) => ({ ...it, title: `${it.title} (updated)` }))} />));
+    expect(scroller().scrollTop).toBe(before);
+    expect(mountedRows()[0].textContent).toContain("(updated)");
+  });
+
+  it("calls onNearEnd only on user scrolls near the bottom", () => {
+    const onNearEnd = vi.fn();
+    render(<List items={makeItems(50)} onNearEnd={onNearEnd} />);
+    expect(onNearEnd).not.toHaveBeenCalled();
+    scrollTo(100);
+    expect(onNearEnd).not.toHaveBeenCalled();
+    scrollTo(6000);
+    expect(onNearEnd).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,59 @@
+// ---------------------------
+// Shared formatting + URL helpers
+// ---------------------------
+
+export function isoToDate(iso) {
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+export function formatRelative(d) {
+  if (!d) return "";
+  const ms = Date.now() - d.getTime();
+  const s = Math.floor(ms / 1000);
+  if (s < 60) return `${s}s ago`;
+  const m = Math.floor(s / 60);
+  if (m < 60) return `${m}m ago`;
+  const h = Math.floor(m / 60);
+  if (h < 24) return `${h}h ago`;
+  const days = Math.floor(h / 24);
+  return `${days}d ago`;
+}
+
+export function hostFromUrl(u) {
+  try {
+    return new URL(u).host.replace(/^www\./, "");
+  } catch {
+    return "";
+  }
+}
+
+export function clampText(s, max = 180) {
+  if (!s) return "";
+  const t = String(s).replace(/\s+/g, " ").trim();
+  return t.length > max ? t.slice(0, max - 1) + "…" : t;
+}
+
+export function safeUrl(u) {
+  try {
+    return new URL(u).toString();
+  } catch {
+    return "";
+  }
+}
+
+export function formatScore(n) {
+  if (typeof n !== "number") return "0";
+  if (n >= 1000) return `${(n / 1000).toFixed(1)}k`;
+  return String(n);
+}
+
+/** Copy of `list` with the entry at `from` moved to index `to` (clamped to the list bounds). */
+export function moveItem(list, from, to) {
+  const target = Math.max(0, Math.min(list.length - 1, to));
+  if (from === target || from < 0 || from >= list.length) return list;
+  const next = list.slice();
+  const [entry] = next.splice(from, 1);
+  next.splice(target, 0, entry);
+  return next;
+}
@@ -0,0 +1,75 @@
+// ---------------------------
+// Variable-height list virtualization (pure functions)
+// ---------------------------
+
+/** Height guess for a card that hasn't been measured yet; image cards run taller. */
+export function estimateItemHeight(item) {
+  return item.imageUrl ? 260 : 120;
+}
+
+/**
+ * Row offsets for `items`, using measured heights (Map<key, px>) where known and
+ * `estimate(item)` otherwise. { offsets: top of each row, total: list height }
+ */
+export function layoutRows(items, keyOf, heights, estimate) {
+  const offsets = new Array(items.length);
+  let top = 0;
+  for (let i = 0; i < items.length; i++) {
+    offsets[i] = top;
+    top += heights.get(keyOf(items[i])) ?? estimate(items[i]);
+  }
+  return { offsets, total: top };
+}
+
+/** `heights` without the keys `items` no longer lists; the same Map when nothing is dropped. */
+export function pruneHeights(heights, items, keyOf) {
+  const listed = new Set(items.map(keyOf));
+  let next = null;
+  for (const key of heights.keys()) {
+    if (listed.has(key)) continue;
+    next ??= new Map(heights);
+    next.delete(key);
+  }
+  return next || heights;
+}
+
+/** Index of the row containing `y` (the last row whose top is at or above it). */
+export function rowAt(offsets, y) {
+  let lo = 0;
+  let hi = offsets.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (offsets[mid] <= y) lo = mid;
+    else hi = mid - 1;
+  }
+  return lo;
+}
+
+/**
+ * Rows [start, end) to mount for a viewport spanning `top`..`top + height` of the list,
+ * plus `overscan` px either side so fast scrolling doesn't flash empty space.
+ */
+export function visibleRange(offsets, total, top, height, overscan) {
+  if (!offsets.length) return { start: 0, end: 0 };
+  const from = Math.max(0, top - overscan);
+  const to = Math.min(total, top + height + overscan);
+  return { start: rowAt(offsets, from), end: rowAt(offsets, to) + 1 };
+}
+
+/**
+ * The rows on screen as [{ key, delta }] (delta: how far the viewport top is past the row's
+ * top), first to last. Empty at the very top of the list, which should stay the top.
+ */
+export function screenAnchors(items, keyOf, { offsets, total }, top, height) {
+  if (top <= 0 || !items.length) return [];
+  const { start, end } = visibleRange(offsets, total, top, height, 0);
+  return items.slice(start, end).map((it, i) => ({ key: keyOf(it), delta: top - offsets[start + i] }));
+}
+
+/** List scroll offset that puts the first anchor still in `items` back where it was, or null. */
+export function anchoredTop(anchors, items, keyOf, { offsets }) {
+  if (!anchors.length) return null;
+  const index = new Map(items.map((it, i) => [keyOf(it), i]));
+  const anchor = anchors.find((a) => index.has(a.key));
+  return anchor ? offsets[index.get(anchor.key)] + anchor.delta : null;
+}
@@ -0,0 +1,135 @@
+import { describe, expect, it } from "vitest";
+import {
+  anchoredTop,
+  estimateItemHeight,
+  layoutRows,
+  pruneHeights,
+  rowAt,
+  screenAnchors,
+  visibleRange,
+} from "./virtualList.js";
+
+const keyOf = (it) => it.id;
+const items = (n) => Array.from({ length: n }, (_, i) => ({ id: `i${i}` }));
+const fixed = (h) => () => h;
+
+describe("estimateItemHeight", () => {
+  it("guesses taller for image cards", () => {
+    expect(estimateItemHeight({ imageUrl: "https://x/y.png" })).toBeGreaterThan(estimateItemHeight({}));
+  });
+});
+
+describe("layoutRows", () => {
+  it("stacks estimated heights", () => {
+    expect(layoutRows(items(3), keyOf, new Map(), fixed(100))).toEqual({ offsets: [0, 100, 200], total: 300 });
+  });
+
+  it("prefers measured heights", () => {
+    const heights = new Map([["i1", 40]]);
+    expect(layoutRows(items(3), keyOf, heights, fixed(100))).toEqual({ offsets: [0, 100, 140], total: 240 });
+  });
+
+  it("handles an empty list", () => {
+    expect(layoutRows([], keyOf, new Map(), fixed(100))).toEqual({ offsets: [], total: 0 });
+  });
+});
+
+describe("pruneHeights", () => {
+  it("drops heights of keys that are no longer listed", () => {
+    const heights = new Map([
+      ["i0", 40],
+      ["gone", 80],
+      ["i2", 60],
+    ]);
+    expect(pruneHeights(heights, items(3), keyOf)).toEqual(
+      new Map([
+        ["i0", 40],
+        ["i2", 60],
+      ])
+    );
+    expect(heights.has("gone")).toBe(true);
+  });
+
+  it("returns the same Map when every key is still listed", () => {
+    const heights = new Map([["i1", 40]]);
+    expect(pruneHeights(heights, items(3), keyOf)).toBe(heights);
+  });
+});
+
+describe("rowAt", () => {
+  const offsets = [0, 100, 140, 300];
+
+  it("finds the row containing a position", () => {
+    expect(rowAt(offsets, 0)).toBe(0);
+    expect(rowAt(offsets, 99)).toBe(0);
+    expect(rowAt(offsets, 100)).toBe(1);
+    expect(rowAt(offsets, 150)).toBe(2);
+  });
+
+  it("clamps to the first and last rows", () => {
+    expect(rowAt(offsets, -50)).toBe(0);
+    expect(rowAt(offsets, 10000)).toBe(3);
+  });
+});
+
+describe("visibleRange", () => {
+  const { offsets, total } = layoutRows(items(100), keyOf, new Map(), fixed(100));
+
+  it("covers the viewport", () => {
+    expect(visibleRange(offsets, total, 1000, 300, 0)).toEqual({ start: 10, end: 14 });
+  });
+
+  it("adds overscan on both sides, clamped to the list", () => {
+    expect(visibleRange(offsets, total, 1000, 300, 200)).toEqual({ start: 8, end: 16 });
+    expect(visibleRange(offsets, total, 0, 300, 500)).toEqual({ start: 0, end: 9 });
+    expect(visibleRange(offsets, total, 9800, 300, 500)).toEqual({ start: 93, end: 100 });
+  });
+
+  it("is empty for an empty list", () => {
+    expect(visibleRange([], 0, 0, 300, 100)).toEqual({ start: 0, end: 0 });
+  });
+});
+
+describe("screenAnchors / anchoredTop", () => {
+  const list = items(10);
+  const layout = layoutRows(list, keyOf, new Map(), fixed(100));
+
+  it("lists the on-screen rows with how far the viewport is past each", () => {
+    expect(screenAnchors(list, keyOf, layout, 250, 150)).toEqual([
+      { key: "i2", delta: 50 },
+      { key: "i3", delta: -50 },
+      { key: "i4", delta: -150 },
+    ]);
+  });
+
+  it("has no anchors at the top of the list", () => {
+    expect(screenAnchors(list, keyOf, layout, 0, 300)).toEqual([]);
+    expect(screenAnchors([], keyOf, { offsets: [], total: 0 }, 100, 300)).toEqual([]);
+  });
+
+  it("keeps the anchored row in place when rows are added above it", () => {
+    const anchors = screenAnchors(list, keyOf, layout, 250, 150);
+    const grown = [{ id: "new1" }, { id: "new2" }, ...list];
+    const top = anchoredTop(anchors, grown, keyOf, layoutRows(grown, keyOf, new Map(), fixed(100)));
+    expect(top).toBe(450);
+  });
+
+  it("falls back to the next on-screen row when the first is filtered out", () => {
+    const anchors = screenAnchors(list, keyOf, layout, 250, 150);
+    const filtered = list.filter((it) => it.id !== "i2" && it.id !== "i0");
+    const top = anchoredTop(anchors, filtered, keyOf, layoutRows(filtered, keyOf, new Map(), fixed(100)));
+    // i3 is now row 1 (top 100) and the viewport was 50px above it.
+    expect(top).toBe(50);
+  });
+
+  it("follows measured heights", () => {
+    const anchors = screenAnchors(list, keyOf, layout, 250, 150);
+    const measured = layoutRows(list, keyOf, new Map([["i0", 300]]), fixed(100));
+    expect(anchoredTop(anchors, list, keyOf, measured)).toBe(450);
+  });
+
+  it("returns null when no anchor survives", () => {
+    expect(anchoredTop([], list, keyOf, layout)).toBeNull();
+    expect(anchoredTop([{ key: "gone", delta: 0 }], list, keyOf, layout)).toBeNull();
+  });
+});
@@ -1,8 +1,31 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
-  base: '/Multi-source-Content-Dashboard/',
+export default defineConfig(({ mode }) => {
+  // No VITE_ prefix: the tokens stay in the dev server and never reach the bundle.
+  const { PRODUCT_HUNT_TOKEN, GITHUB_TOKEN } = loadEnv(mode, '.', '')
+
+  return {
+    plugins: [react()],
+    base: '/Multi-source-Content-Dashboard/',
+    server: {
+      proxy: {
+        // Dev stand-in for the Product Hunt proxy (see README): adds the token server-side.
+        '/api/producthunt': {
+          target: 'https://api.producthunt.com',
+          changeOrigin: true,
+          rewrite: () => '/v2/api/graphql',
+          headers: PRODUCT_HUNT_TOKEN ? { Authorization: `Bearer ${PRODUCT_HUNT_TOKEN}` } : {},
+        },
+        // Dev stand-in for the GitHub proxy: /api/github/<path> → api.github.com/<path>, token optional.
+        '/api/github': {
+          target: 'https://api.github.com',
+          changeOrigin: true,
+          rewrite: (path) => path.replace(/^\/api\/github/, ''),
+          headers: GITHUB_TOKEN ? { Authorization: `Bearer ${GITHUB_TOKEN}` } : {},
+        },
+      },
+    },
+  }
 })